@@ -5,18 +5,40 @@ class PDFComposerApp {
         this.currentPDF = null;
         this.currentPage = 0;
         this.totalPages = 0;
-        this.thumbnails = [];
+        this.thumbnails = []; // pageIndex -> { page, buffer, width, height } once rendered (see THUMBNAIL LIST)
+        this.thumbnailList = null; // Virtualized sidebar: rows, measured heights and the mounted elements
+        this.thumbnailRequests = new Map(); // pageIndex -> pending thumbnail request { priority, task, promise }
+        this.thumbnailCacheBudget = 50 * 1024 * 1024; // Persistent thumbnail cache in IndexedDB, least recently used evicted first
+        this.thumbnailCacheSize = null; // Bytes in the cache, counted on the first write
         this.selectedCitations = new Set();
         this.selectedCover = null;
+        this.citationAnchor = null; // Last page clicked with ○/✓, where a shift-click range starts
+        this.pageTransforms = new Map(); // pageIndex -> { rotation, crop } applied wherever the page is rendered
+        this.cropEditor = null;
         this.fileId = null;
+        this.documents = []; // Uploaded documents in the workspace: { fileId, name, pdf, pageCount, pageOffset }
+        this.sessionId = null; // Saved composition session for the current workspace
+        this.sessionSaveTimer = null;
+        this.isRestoringSession = false;
+        this.pendingCoverTransform = null; // Saved cover position, applied once the interactive cover is set up
+        this.pendingCoverRect = null; // Shared cover rect (fractions of the citation page), applied the same way
+        this.readOnly = false; // Opened from a read-only share link
+        this.history = { undo: [], redo: [] }; // Undoable commands: { type, before, after }
+        this.maxHistory = 100;
+        this.maxServerHistory = 20; // Commands kept in the server copy of a session
+        this.isApplyingHistory = false;
+        this.coverEditStart = null; // Cover transform when the current drag/resize/pinch began
+        this.wheelEdit = null; // { command, time } of the last wheel resize, merged with quick follow-ups
+        this.databasePromise = null;
         this.currentPreviewPage = null;
         this.progressInterval = null; // Track progress interval
         this.isProcessing = false;
         this.processingStartTime = null;
-        this.pdfWorker = null;
-        this.currentTaskId = null;
+        this.renderWorkers = []; // pdf-worker.js instances rendering thumbnails and export pages (see RENDER POOL)
+        this.renderQueue = []; // Render tasks waiting for a free worker
+        this.renderDocuments = new Map(); // documentId -> promise of the document's bytes as a Blob, shared by the pool
+        this.renderTaskCount = 0;
         this.workerSupported = typeof Worker !== 'undefined';
-        this.pdfArrayBuffer = null; // Store PDF data for worker processing
         this.loadingIconInProgress = false; // Prevent concurrent loading icon renders
         this.lastLoadingIconUpdate = 0; // Debounce loading icon updates
         
@@ -41,8 +63,27 @@ class PDFComposerApp {
             originalWidth: 0,
             originalHeight: 0,
             minScale: 0.1,
-            maxScale: 2.0
+            maxScale: 2.0,
+            zIndex: 0 // Stacking position among the overlay layers
         };
+        this.overlayLayers = []; // Extra overlays above the citation page: { id, pageIndex, x, y, scale, zIndex, ... } like coverTransform
+        this.activeOverlay = 'cover'; // Overlay the transform controls and handlers act on: 'cover' or a layer id
+        this.annotations = []; // Text boxes, rectangles, arrows and highlights in fractions of the composition page
+        this.selectedAnnotation = null;
+        this.annotationDrag = null;
+        this.annotationFonts = []; // Fonts served from fonts/, besides the standard Helvetica
+        this.captionStyle = 'apa'; // 'apa' | 'mla' | 'chicago'
+        this.captionText = '';
+        this.captionEdited = false;
+        this.searchQuery = ''; // Phrase highlighted wherever it occurs on the citation pages
+        this.searchMatches = new Map(); // pageIndex|transform -> promise of matches, each a list of rects in fractions of the page
+        this.searchHighlightRects = []; // Matches as placed in the preview, in fractions of the composition canvas
+        this.pageSearch = { query: '', results: [], total: 0, filter: false, active: false, taskId: null }; // Full-text page search
+        this.searchWorker = null; // pdf-worker.js instance holding the text index
+        this.textIndexStatus = new Map(); // fileId -> { indexed, totalPages, complete }
+        this.pageSearchTimer = null;
+        this.ocrEnabled = false; // OCR pages without a text layer
+        this.ocrPages = new Map(); // fileId:page -> promise of the page's OCR result (null if it has text)
         
         // Overlay mode state
         this.overlayMode = 'custom'; // 'custom' or 'sidebyside'
@@ -70,8 +111,18 @@ class PDFComposerApp {
                 });
             });
             
+            // Read before showEmptyState, which marks the session as closed
+            const shareToOpen = this.getShareToOpen();
+            const sessionToRestore = shareToOpen ? null : this.getSessionToRestore();
             this.showEmptyState();
             console.log('PDF Composer App initialized successfully');
+            this.loadAnnotationFonts().catch(error => console.warn('Failed to load annotation fonts:', error));
+
+            if (shareToOpen) {
+                await this.openShareLink(shareToOpen);
+            } else if (sessionToRestore) {
+                await this.restoreSessionOnStartup(sessionToRestore);
+            }
         } catch (error) {
             console.error('Error initializing app:', error);
             this.showToast('Failed to initialize application', 'error');
@@ -86,88 +137,10 @@ class PDFComposerApp {
             console.error('PDF.js library not loaded');
         }
         
-        // Initialize thumbnail generation worker
-        this.initializeThumbnailWorker();
-    }
-    
-    initializeThumbnailWorker() {
-        if (this.workerSupported) {
-            try {
-                this.thumbnailWorker = new Worker('./pdf-worker.js');
-                this.setupWorkerMessageHandlers();
-                console.log('PDF thumbnail worker initialized successfully');
-            } catch (error) {
-                console.warn('Failed to initialize Web Worker, falling back to main thread:', error);
-                this.workerSupported = false;
-            }
-        } else {
-            console.log('Web Workers not supported, using main thread processing');
-        }
+        // Workers rendering thumbnails and export pages
+        this.initializeRenderPool();
     }
     
-    setupWorkerMessageHandlers() {
-        if (!this.thumbnailWorker) return;
-        
-        this.thumbnailWorker.addEventListener('message', (event) => {
-            const { type, taskId, progress, message, thumbnails, error } = event.data;
-            
-            // Ignore messages from old tasks
-            if (taskId && taskId !== this.currentTaskId) {
-                return;
-            }
-            
-            switch (type) {
-                case 'PROGRESS':
-                    this.updateProgress(progress, message);
-                    // If thumbnails are provided in batches, add them immediately
-                    if (thumbnails && thumbnails.length > 0) {
-                        this.processThumbnailBatch(thumbnails);
-                    }
-                    break;
-                    
-                case 'COMPLETE':
-                    console.log('Worker completed thumbnail generation');
-                    if (this.isCancelled) {
-                        console.log('Worker completed but was cancelled - not showing PDF viewer');
-                        this.onThumbnailGenerationCancelled();
-                        return;
-                    }
-                    if (thumbnails) {
-                        this.thumbnails = thumbnails;
-                    }
-                    this.onThumbnailGenerationComplete();
-                    break;
-                    
-                case 'ERROR':
-                    console.error('Worker error:', error);
-                    if (this.isCancelled) {
-                        console.log('Worker error occurred but was cancelled - handling as cancelled');
-                        this.onThumbnailGenerationCancelled();
-                        return;
-                    }
-                    this.onThumbnailGenerationError(error);
-                    break;
-                    
-                case 'CANCELLED':
-                    console.log('Worker task cancelled:', message);
-                    this.onThumbnailGenerationCancelled();
-                    break;
-                    
-                case 'HEARTBEAT':
-                    // Worker is alive and responsive
-                    break;
-                    
-                default:
-                    console.log('Unknown worker message type:', type);
-            }
-        });
-        
-        this.thumbnailWorker.addEventListener('error', (error) => {
-            console.error('Worker error:', error);
-            this.onThumbnailGenerationError(error);
-        });
-    }
-
     async renderNewSideBySidePreview() {
         console.log('RENDER NEW SIDE BY SIDE PREVIEW');
         
@@ -181,7 +154,7 @@ class PDFComposerApp {
             const context = canvas.getContext('2d');
             
             // Get citation and cover pages
-            const citationPageIndices = Array.from(this.selectedCitations).sort((a, b) => a - b);
+            const citationPageIndices = this.getOrderedCitations();
             const firstCitationPageIndex = citationPageIndices[0];
             const citationPage = await this.currentPDF.getPage(firstCitationPageIndex + 1);
             const coverPage = await this.currentPDF.getPage(this.selectedCover + 1);
@@ -269,148 +242,6 @@ class PDFComposerApp {
         }
     }
     
-    processThumbnailBatch(thumbnails) {
-        // Process thumbnails as they arrive from worker
-        for (const thumbnail of thumbnails) {
-            if (thumbnail.renderData) {
-                // Handle fallback rendering for browsers without OffscreenCanvas
-                this.renderThumbnailFallback(thumbnail);
-            }
-            
-            // Add to thumbnails array if not already present
-            const existingIndex = this.thumbnails.findIndex(t => t.page === thumbnail.page);
-            if (existingIndex >= 0) {
-                this.thumbnails[existingIndex] = thumbnail;
-            } else {
-                this.thumbnails.push(thumbnail);
-            }
-        }
-        
-        // Update UI with new thumbnails
-        this.renderThumbnails();
-    }
-    
-    async renderThumbnailFallback(thumbnail) {
-        // Fallback rendering for browsers that don't support OffscreenCanvas in workers
-        if (!thumbnail.renderData || !this.currentPDF) return;
-        
-        try {
-            const page = await this.currentPDF.getPage(thumbnail.page + 1);
-            const viewport = page.getViewport({ scale: thumbnail.renderData.viewport.scale });
-            
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            
-            // Set canvas to exact rendered size (no extra space)
-            canvas.width = Math.round(viewport.width);
-            canvas.height = Math.round(viewport.height);
-            
-            // Fill with white background for clean edges
-            context.fillStyle = '#ffffff';
-            context.fillRect(0, 0, canvas.width, canvas.height);
-            
-            await page.render({
-                canvasContext: context,
-                viewport: viewport
-            }).promise;
-            
-            thumbnail.buffer = canvas.toDataURL('image/png');
-            thumbnail.renderData = null; // Clear render data
-            
-            page.cleanup();
-        } catch (error) {
-            console.error('Fallback rendering failed for page', thumbnail.page, error);
-        }
-    }
-    
-    onThumbnailGenerationComplete() {
-        console.log('All thumbnails generated successfully');
-        
-        // Check if cancelled before proceeding
-        if (this.isCancelled) {
-            console.log('Thumbnail generation completed but was cancelled - not showing PDF viewer');
-            this.onThumbnailGenerationCancelled();
-            return;
-        }
-        
-        // Hide thumbnail loading state
-        const loadingElement = document.getElementById('thumbnailsLoading');
-        if (loadingElement) {
-            loadingElement.style.display = 'none';
-        }
-        
-        this.renderThumbnails();
-        this.completeProgress();
-        
-        // Small delay to show 100% completion, then show PDF viewer
-        setTimeout(() => {
-            if (!this.isCancelled) {
-                this.showPDFViewer();
-            } else {
-                console.log('Cancelled during completion delay - not showing PDF viewer');
-            }
-        }, 500);
-        
-        // Clear processing state
-        this.isProcessing = false;
-        this.processingStartTime = null;
-        this.currentTaskId = null;
-        this.stopBackgroundKeepAlive();
-    }
-    
-    onThumbnailGenerationError(error) {
-        console.error('Thumbnail generation failed:', error);
-        
-        // Check if cancelled - don't show error UI if cancelled
-        if (this.isCancelled) {
-            console.log('Thumbnail generation failed but was cancelled - not showing error UI');
-            this.onThumbnailGenerationCancelled();
-            return;
-        }
-        
-        // Hide thumbnail loading state
-        const loadingElement = document.getElementById('thumbnailsLoading');
-        if (loadingElement) {
-            loadingElement.style.display = 'none';
-        }
-        
-        // Create placeholder thumbnails
-        this.thumbnails = Array.from({ length: this.totalPages }, (_, i) => ({
-            page: i,
-            buffer: null,
-            width: 200,
-            height: 300,
-            error: 'Generation failed'
-        }));
-        
-        this.renderThumbnails();
-        this.completeProgress();
-        
-        setTimeout(() => {
-            if (!this.isCancelled) {
-                this.showPDFViewer();
-            } else {
-                console.log('Cancelled during error delay - not showing PDF viewer');
-            }
-        }, 500);
-        
-        // Clear processing state
-        this.isProcessing = false;
-        this.processingStartTime = null;
-        this.currentTaskId = null;
-        this.stopBackgroundKeepAlive();
-    }
-    
-    onThumbnailGenerationCancelled() {
-        console.log('Thumbnail generation was cancelled');
-        
-        // Clear processing state
-        this.isProcessing = false;
-        this.processingStartTime = null;
-        this.currentTaskId = null;
-        this.stopBackgroundKeepAlive();
-    }
-
     setupEventListeners() {
         if (this.eventListenersInitialized) {
             console.log('Event listeners already initialized, skipping');
@@ -469,6 +300,33 @@ class PDFComposerApp {
             console.error('Choose file button not found');
         }
 
+        // Add another document to the current workspace
+        const addDocumentBtn = document.getElementById('addDocumentBtn');
+        const addFileInput = document.getElementById('addFileInput');
+        if (addDocumentBtn && addFileInput) {
+            addDocumentBtn.addEventListener('click', () => addFileInput.click());
+            addFileInput.addEventListener('change', this.handleAddDocument.bind(this));
+        }
+
+        // Crop editor dialog
+        ['cropTop', 'cropRight', 'cropBottom', 'cropLeft'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('input', () => this.renderCropEditor());
+        });
+        const cropApplyBtn = document.getElementById('cropApplyBtn');
+        const cropCancelBtn = document.getElementById('cropCancelBtn');
+        const cropResetBtn = document.getElementById('cropResetBtn');
+        if (cropApplyBtn) cropApplyBtn.addEventListener('click', () => this.applyCropEditor());
+        if (cropCancelBtn) cropCancelBtn.addEventListener('click', () => this.closeCropEditor());
+        if (cropResetBtn) {
+            cropResetBtn.addEventListener('click', () => {
+                ['cropTop', 'cropRight', 'cropBottom', 'cropLeft'].forEach(id => {
+                    document.getElementById(id).value = 0;
+                });
+                this.renderCropEditor();
+            });
+        }
+
         // PDF navigation removed - using preview only
 
 
@@ -498,8 +356,158 @@ class PDFComposerApp {
             console.error('Export button not found during setup');
         }
         if (resetCoverBtn) {
-            resetCoverBtn.addEventListener('click', this.resetCoverTransform.bind(this));
+            resetCoverBtn.addEventListener('click', () => {
+                this.setActiveOverlay('cover');
+                this.beginCoverEdit();
+                this.resetCoverTransform();
+                this.endCoverEdit();
+            });
+        }
+        
+        // Overlay layer stacking
+        const raiseOverlayBtn = document.getElementById('raiseOverlayBtn');
+        const lowerOverlayBtn = document.getElementById('lowerOverlayBtn');
+        const removeOverlayBtn = document.getElementById('removeOverlayBtn');
+        if (raiseOverlayBtn) {
+            raiseOverlayBtn.addEventListener('click', () => this.moveActiveOverlay(1));
+        }
+        if (lowerOverlayBtn) {
+            lowerOverlayBtn.addEventListener('click', () => this.moveActiveOverlay(-1));
         }
+        if (removeOverlayBtn) {
+            removeOverlayBtn.addEventListener('click', () => this.removeActiveOverlay());
+        }
+        
+        // Annotation tools
+        document.querySelectorAll('[data-annotation]').forEach(button => {
+            button.addEventListener('click', () => this.addAnnotation(button.dataset.annotation));
+        });
+        const deleteAnnotationBtn = document.getElementById('deleteAnnotationBtn');
+        const annotationFont = document.getElementById('annotationFont');
+        const annotationSize = document.getElementById('annotationSize');
+        const annotationColor = document.getElementById('annotationColor');
+        if (deleteAnnotationBtn) {
+            deleteAnnotationBtn.addEventListener('click', () => this.deleteSelectedAnnotation());
+        }
+        if (annotationFont) {
+            annotationFont.addEventListener('change', (e) => this.updateAnnotation(this.selectedAnnotation, { font: e.target.value }));
+        }
+        if (annotationSize) {
+            annotationSize.addEventListener('change', (e) => this.updateAnnotation(this.selectedAnnotation, { fontSize: parseFloat(e.target.value) }));
+        }
+        if (annotationColor) {
+            annotationColor.addEventListener('change', (e) => this.updateAnnotation(this.selectedAnnotation, { color: e.target.value }));
+        }
+        
+        // Virtualized thumbnail list follows its scroll position and size
+        const thumbnailsContainer = document.getElementById('thumbnailsContainer');
+        if (thumbnailsContainer) {
+            thumbnailsContainer.addEventListener('scroll', () => this.scheduleThumbnailWindowUpdate(), { passive: true });
+            if (typeof ResizeObserver !== 'undefined') {
+                new ResizeObserver(() => this.scheduleThumbnailWindowUpdate()).observe(thumbnailsContainer);
+            }
+        }
+
+        // Citation page ranges and bulk selection
+        const pageRangeInput = document.getElementById('pageRangeInput');
+        if (pageRangeInput) {
+            pageRangeInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.selectPageRange();
+                }
+            });
+        }
+        const pageRangeBtn = document.getElementById('pageRangeBtn');
+        if (pageRangeBtn) pageRangeBtn.addEventListener('click', () => this.selectPageRange());
+        const selectAllBtn = document.getElementById('selectAllCitationsBtn');
+        if (selectAllBtn) selectAllBtn.addEventListener('click', () => this.selectAllCitations());
+        const selectNoneBtn = document.getElementById('selectNoneCitationsBtn');
+        if (selectNoneBtn) selectNoneBtn.addEventListener('click', () => this.clearCitations());
+        const invertBtn = document.getElementById('invertCitationsBtn');
+        if (invertBtn) invertBtn.addEventListener('click', () => this.invertCitations());
+
+        // Full-text page search
+        const pageSearchInput = document.getElementById('pageSearchInput');
+        const pageSearchFilter = document.getElementById('pageSearchFilter');
+        if (pageSearchInput) {
+            pageSearchInput.addEventListener('input', (e) => this.onPageSearchInput(e.target.value));
+            pageSearchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.clearPageSearch();
+                    pageSearchInput.blur();
+                }
+            });
+        }
+        const ocrToggle = document.getElementById('ocrToggle');
+        if (ocrToggle) {
+            ocrToggle.addEventListener('change', (e) => {
+                this.setOCREnabled(e.target.checked);
+                this.layoutSearchHighlights();
+            });
+        }
+        if (pageSearchFilter) {
+            pageSearchFilter.addEventListener('change', (e) => {
+                this.pageSearch.filter = e.target.checked;
+                this.applyPageSearchFilter();
+            });
+        }
+        
+        // Passage search on the citation pages
+        const citationSearch = document.getElementById('citationSearch');
+        const citationSearchBtn = document.getElementById('citationSearchBtn');
+        const clearSearchBtn = document.getElementById('clearSearchBtn');
+        if (citationSearch) {
+            citationSearch.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.searchCitations(citationSearch.value);
+                }
+            });
+        }
+        if (citationSearchBtn) {
+            citationSearchBtn.addEventListener('click', () => this.searchCitations(citationSearch ? citationSearch.value : ''));
+        }
+        if (clearSearchBtn) {
+            clearSearchBtn.addEventListener('click', () => this.searchCitations(''));
+        }
+        
+        // Citation caption
+        const captionStyle = document.getElementById('captionStyle');
+        const captionText = document.getElementById('captionText');
+        const regenerateCaptionBtn = document.getElementById('regenerateCaptionBtn');
+        const stampCaptionBtn = document.getElementById('stampCaptionBtn');
+        if (captionStyle) {
+            captionStyle.addEventListener('change', (e) => {
+                this.captionStyle = e.target.value;
+                this.captionEdited = false;
+                this.updateCaption();
+                this.scheduleSessionSave();
+            });
+        }
+        if (captionText) {
+            captionText.addEventListener('input', (e) => {
+                this.captionText = e.target.value;
+                this.captionEdited = true;
+                this.scheduleSessionSave();
+            });
+        }
+        if (regenerateCaptionBtn) {
+            regenerateCaptionBtn.addEventListener('click', () => {
+                this.captionEdited = false;
+                this.updateCaption();
+                this.scheduleSessionSave();
+            });
+        }
+        if (stampCaptionBtn) {
+            stampCaptionBtn.addEventListener('click', () => this.stampCaption());
+        }
+        document.addEventListener('mousedown', (e) => {
+            // Clicking anywhere but an annotation or its controls clears the selection
+            if (this.selectedAnnotation && !e.target.closest('[data-annotation-id], .annotation-controls')) {
+                this.selectAnnotation(null);
+            }
+        });
         
         // Enhanced mode switcher buttons
         const modeSwitcher = document.getElementById('modeSwitcher');
@@ -534,9 +542,6 @@ class PDFComposerApp {
         // Page Visibility API - prevent processing interruption when tab switches
         this.setupBackgroundProcessingSupport();
         
-        // Initialize Web Worker for background processing
-        this.initializeWorker();
-
         // Keyboard shortcuts
         document.addEventListener('keydown', this.handleKeyPress.bind(this));
         
@@ -548,6 +553,21 @@ class PDFComposerApp {
                 this.showEmptyState();
             });
         }
+
+        const shareBtn = document.getElementById('shareBtn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => this.createShareLink());
+        }
+
+        const restoreSessionBtn = document.getElementById('restoreSessionBtn');
+        if (restoreSessionBtn) {
+            restoreSessionBtn.addEventListener('click', () => {
+                const sessionId = localStorage.getItem('pdfComposer:lastSessionId');
+                if (sessionId) {
+                    this.restoreSessionOnStartup(sessionId);
+                }
+            });
+        }
     }
 
     setupBackgroundProcessingSupport() {
@@ -607,8 +627,6 @@ class PDFComposerApp {
             } else {
                 console.log('Tab became active again - deactivating background preservation');
                 this.deactivateBackgroundPreservation();
-                // Send ping to worker to ensure it's still responsive
-                this.pingWorker();
             }
         }
     }
@@ -617,7 +635,6 @@ class PDFComposerApp {
         if (this.isProcessing) {
             console.log('Tab gained focus during processing');
             this.deactivateBackgroundPreservation();
-            this.pingWorker();
         }
     }
     
@@ -640,7 +657,7 @@ class PDFComposerApp {
         this.showBackgroundProcessingIndicator();
         
         // Additional mitigation for throttling
-        if (this.thumbnailWorker) {
+        if (this.renderWorkers.length > 0) {
             // Worker continues processing regardless of tab state
             console.log('Worker-based processing continues in background');
         }
@@ -719,20 +736,8 @@ class PDFComposerApp {
                 // Force a frame even when hidden
             });
         }
-        
-        // Strategy 3: Worker heartbeat
-        this.pingWorker();
     }
     
-    pingWorker() {
-        if (this.thumbnailWorker && this.currentTaskId) {
-            this.thumbnailWorker.postMessage({
-                type: 'PING',
-                taskId: this.currentTaskId
-            });
-        }
-    }
-
     async initializeWakeLock() {
         // Initialize wake lock support detection
         this.wakeLockSupported = 'wakeLock' in navigator;
@@ -905,91 +910,6 @@ class PDFComposerApp {
         favicon.href = href;
     }
 
-    initializeWorker() {
-        if (this.workerSupported) {
-            try {
-                this.pdfWorker = new Worker('./pdf-worker.js');
-                this.pdfWorker.addEventListener('message', this.handleWorkerMessage.bind(this));
-                this.pdfWorker.addEventListener('error', (error) => {
-                    console.error('PDF Worker error:', error);
-                    this.workerSupported = false;
-                    this.pdfWorker = null;
-                });
-                console.log('PDF Worker initialized successfully');
-            } catch (error) {
-                console.error('Failed to initialize PDF Worker:', error);
-                this.workerSupported = false;
-                this.pdfWorker = null;
-            }
-        }
-    }
-
-    handleWorkerMessage(event) {
-        const { type, data, taskId, progress, message, pageNum, totalPages, thumbnails, error } = event.data;
-        
-        // Only process messages for current task
-        if (taskId !== this.currentTaskId) return;
-        
-        switch (type) {
-            case 'PDF_LOADED':
-                console.log('PDF loaded in worker, total pages:', data?.totalPages || totalPages);
-                break;
-                
-            case 'PROGRESS':
-                this.updateProgress(progress, message);
-                if (pageNum % 10 === 0) {
-                    console.log(`Generated ${pageNum}/${totalPages} thumbnails`);
-                    document.title = `PDF Composer - Loading ${Math.round(progress)}%`;
-                }
-                break;
-                
-            case 'THUMBNAILS_BATCH':
-                // Add batch of thumbnails to our array
-                for (const thumbnail of thumbnails) {
-                    this.thumbnails[thumbnail.page] = thumbnail;
-                }
-                this.updateThumbnailUI();
-                break;
-                
-            case 'THUMBNAILS_COMPLETE':
-                console.log('All thumbnails generated successfully via worker');
-                this.finalizeThumbnailGeneration();
-                break;
-                
-            case 'ERROR':
-                console.error('Worker error:', error);
-                this.handleWorkerError(error);
-                break;
-                
-            case 'CANCELLED':
-                console.log('Worker task cancelled');
-                break;
-        }
-    }
-
-    finalizeThumbnailGeneration() {
-        // Restore original title
-        document.title = 'PDF Composer Web';
-        
-        // Clear processing state
-        this.isProcessing = false;
-        this.processingStartTime = null;
-        this.stopBackgroundKeepAlive();
-        
-        // Update UI
-        this.updateThumbnailUI();
-        this.updateProgress(100, 'PDF loaded successfully!');
-    }
-
-    handleWorkerError(error) {
-        console.error('Worker failed, falling back to main thread processing:', error);
-        this.workerSupported = false;
-        this.pdfWorker = null;
-        
-        // Fall back to main thread processing
-        this.generateAllThumbnails();
-    }
-
     handleKeyPress(event) {
         // Allow cancellation with Escape key during processing
         if (event.key === 'Escape' && this.isProcessing) {
@@ -1001,7 +921,36 @@ class PDFComposerApp {
 
         if (!this.currentPDF) return;
 
+        // Keys belong to the crop dialog while it is open
+        if (this.cropEditor) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.closeCropEditor();
+            }
+            return;
+        }
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo and redo composition edits
+        const isTyping = event.target && event.target.matches && event.target.matches('input, textarea, select, [contenteditable="true"]');
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z' && !isTyping) {
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return;
+        }
+        if (isTyping) return;
+
         switch (event.key) {
+            case 'Delete':
+            case 'Backspace':
+                if (this.selectedAnnotation) {
+                    event.preventDefault();
+                    this.deleteSelectedAnnotation();
+                }
+                break;
             case 'ArrowLeft':
                 event.preventDefault();
                 this.previousPage();
@@ -1010,6 +959,19 @@ class PDFComposerApp {
                 event.preventDefault();
                 this.nextPage();
                 break;
+            case ' ':
+                // A focused button keeps Space for itself
+                if (event.target.matches && event.target.matches('button')) break;
+                event.preventDefault();
+                this.toggleCitationSelection(this.currentPage);
+                this.citationAnchor = this.currentPage;
+                break;
+            case 'c':
+            case 'C':
+                if (event.ctrlKey || event.metaKey || event.altKey) break; // Leave copy alone
+                event.preventDefault();
+                this.toggleCoverSelection(this.currentPage);
+                break;
         }
     }
 
@@ -1072,8 +1034,8 @@ class PDFComposerApp {
             return;
         }
 
-        if (file.size > 50 * 1024 * 1024) { // 50MB limit
-            this.showToast('File size exceeds 50MB limit', 'error');
+        if (file.size > 200 * 1024 * 1024) { // 200MB limit, matching the server
+            this.showToast('File size exceeds 200MB limit', 'error');
             // Reset file input immediately
             event.target.value = '';
             return;
@@ -1189,9 +1151,6 @@ class PDFComposerApp {
             return;
         }
 
-        const formData = new FormData();
-        formData.append('pdf', file);
-
         try {
             console.log('Uploading PDF to server...');
             this.updateProgress(10, 'Uploading PDF to server...');
@@ -1199,10 +1158,9 @@ class PDFComposerApp {
             // Create new AbortController for this upload
             this.currentAbortController = new AbortController();
             
-            const response = await fetch('/api/upload', {
-                method: 'POST',
-                body: formData,
-                signal: this.currentAbortController.signal
+            const result = await this.sendPDFToServer(file, this.currentAbortController.signal, (sent, total) => {
+                const megabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+                this.updateProgress(10 + 15 * (sent / total), `Uploading PDF... ${megabytes(sent)} of ${megabytes(total)} MB`);
             });
             
             if (this.isCancelled) {
@@ -1210,12 +1168,7 @@ class PDFComposerApp {
                 return;
             }
 
-            if (!response.ok) {
-                throw new Error(`Upload failed: ${response.statusText}`);
-            }
-
             this.updateProgress(25, 'Processing PDF on server...');
-            const result = await response.json();
             
             if (this.isCancelled) {
                 console.log('Upload cancelled after server processing');
@@ -1226,6 +1179,7 @@ class PDFComposerApp {
                 this.fileId = result.fileId;
                 this.totalPages = result.pageCount;
                 this.thumbnails = result.thumbnails;
+                this.storeSessionFile(result.fileId, file);
                 
                 if (this.isCancelled) {
                     console.log('Upload cancelled before PDF viewing');
@@ -1252,22 +1206,155 @@ class PDFComposerApp {
         }
     }
 
-    async loadPDFForViewing(file) {
-        try {
-            if (this.isCancelled) {
-                console.log('PDF loading cancelled before starting');
-                return;
+    // Send a PDF to the server, skipping the upload when identical bytes are already stored.
+    // Resolves to the upload response ({ success, fileId, pageCount, thumbnails, ... }).
+    // onProgress(sentBytes, totalBytes) reports real upload progress.
+    async sendPDFToServer(file, signal = undefined, onProgress = null) {
+        const sha256 = await this.hashFile(file);
+        if (sha256) {
+            const reuse = await fetch(`/api/documents/by-hash/${sha256}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ filename: file.name }),
+                signal
+            });
+            if (reuse.ok) {
+                console.log('PDF already on server, skipping upload:', file.name);
+                return reuse.json();
             }
+        }
 
-            console.log('Loading PDF for viewing, file size:', file.size, 'bytes');
-            
-            // Activate background processing support immediately
-            this.activateBackgroundPreservation();
-            
-            // Check if PDF.js is available
-            if (typeof pdfjsLib === 'undefined') {
-                console.error('PDF.js library not loaded - checking script tags...');
-                const scripts = Array.from(document.scripts);
+        return this.uploadInChunks(file, sha256, signal, onProgress);
+    }
+
+    // Resumable chunked upload. The upload id is remembered per file so a retry after a
+    // dropped connection (or a page reload) continues from the bytes the server already has.
+    async uploadInChunks(file, sha256, signal = undefined, onProgress = null) {
+        const resumeKey = `pdfUpload:${file.name}:${file.size}:${file.lastModified}`;
+        let upload = this.getResumableUpload(resumeKey);
+        let offset = upload ? await this.getUploadOffset(upload.uploadId, signal) : null;
+
+        if (offset === null) {
+            const response = await fetch('/api/uploads', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ filename: file.name, size: file.size, sha256 }),
+                signal
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `Upload failed: ${response.statusText}`);
+            }
+            upload = { uploadId: result.uploadId, chunkSize: result.chunkSize };
+            offset = result.offset;
+            localStorage.setItem(resumeKey, JSON.stringify(upload));
+        } else {
+            console.log(`Resuming upload ${upload.uploadId} at ${offset} of ${file.size} bytes`);
+        }
+
+        try {
+            let retries = 0;
+            while (offset < file.size) {
+                if (onProgress) onProgress(offset, file.size);
+                const chunk = file.slice(offset, offset + upload.chunkSize);
+
+                try {
+                    const response = await fetch(`/api/uploads/${upload.uploadId}?offset=${offset}`, {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/octet-stream' },
+                        body: chunk,
+                        signal
+                    });
+                    const result = await response.json();
+
+                    if (response.status === 409 && Number.isInteger(result.offset)) {
+                        // Server has a different view of the offset (or is still writing a retried chunk)
+                        if (result.offset === offset) {
+                            await new Promise(resolve => setTimeout(resolve, 500));
+                        }
+                        offset = result.offset;
+                        continue;
+                    }
+                    if (!response.ok) {
+                        throw new Error(result.error || `Upload failed: ${response.statusText}`);
+                    }
+                    offset = result.offset;
+                    retries = 0;
+                } catch (error) {
+                    if (error.name === 'AbortError' || retries >= 5) {
+                        throw error;
+                    }
+                    // Dropped connection: wait, then ask the server how much it has before retrying
+                    retries++;
+                    console.warn(`Chunk upload failed (attempt ${retries}), retrying:`, error.message);
+                    await new Promise(resolve => setTimeout(resolve, 1000 * retries));
+                    const serverOffset = await this.getUploadOffset(upload.uploadId, signal).catch(() => null);
+                    if (serverOffset !== null) offset = serverOffset;
+                }
+            }
+            if (onProgress) onProgress(file.size, file.size);
+
+            const response = await fetch(`/api/uploads/${upload.uploadId}/complete`, { method: 'POST', signal });
+            const result = await response.json();
+            localStorage.removeItem(resumeKey);
+            if (!response.ok) {
+                throw new Error(result.error || `Upload failed: ${response.statusText}`);
+            }
+            return result;
+        } catch (error) {
+            // A cancelled upload won't be resumed, so free the partial file on the server
+            if (error.name === 'AbortError') {
+                localStorage.removeItem(resumeKey);
+                fetch(`/api/uploads/${upload.uploadId}`, { method: 'DELETE' }).catch(() => {});
+            }
+            throw error;
+        }
+    }
+
+    getResumableUpload(resumeKey) {
+        try {
+            return JSON.parse(localStorage.getItem(resumeKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Bytes the server holds for a chunked upload, or null if it no longer knows the upload
+    async getUploadOffset(uploadId, signal = undefined) {
+        const response = await fetch(`/api/uploads/${uploadId}`, { method: 'HEAD', signal });
+        if (!response.ok) return null;
+        return parseInt(response.headers.get('Upload-Offset'), 10);
+    }
+
+    // SHA-256 of a file as hex, or null where Web Crypto isn't available (non-secure contexts)
+    async hashFile(file) {
+        if (!window.crypto || !window.crypto.subtle) {
+            return null;
+        }
+        return this.hashBytes(await file.arrayBuffer());
+    }
+
+    async hashBytes(bytes) {
+        const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async loadPDFForViewing(file) {
+        try {
+            if (this.isCancelled) {
+                console.log('PDF loading cancelled before starting');
+                return;
+            }
+
+            console.log('Loading PDF for viewing, file size:', file.size, 'bytes');
+            
+            // Activate background processing support immediately
+            this.activateBackgroundPreservation();
+            
+            // Check if PDF.js is available
+            if (typeof pdfjsLib === 'undefined') {
+                console.error('PDF.js library not loaded - checking script tags...');
+                const scripts = Array.from(document.scripts);
                 const pdfJsScript = scripts.find(s => s.src.includes('pdf.min.js'));
                 console.error('PDF.js script found:', !!pdfJsScript);
                 if (pdfJsScript) {
@@ -1290,7 +1377,6 @@ class PDFComposerApp {
                 console.log('PDF loading cancelled after array buffer');
                 return;
             }
-            this.pdfArrayBuffer = arrayBuffer; // Store for worker processing
             this.updateProgress(40, 'Parsing PDF structure...');
             
             if (this.isCancelled) {
@@ -1298,7 +1384,10 @@ class PDFComposerApp {
                 return;
             }
 
-            this.currentPDF = await pdfjsLib.getDocument(arrayBuffer).promise;
+            const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
+            // A freshly chosen file starts a new workspace
+            this.resetWorkspace();
+            this.registerDocument(this.fileId, file.name, pdf);
             console.log('PDF document loaded successfully:', this.currentPDF.numPages, 'pages');
             
             if (this.isCancelled) {
@@ -1317,13 +1406,11 @@ class PDFComposerApp {
             
             this.currentPage = 0;
             
-            // Generate thumbnails for all pages
-            this.updateProgress(50, 'PDF loaded, generating thumbnails...');
-            console.log('Generating thumbnails...');
-            await this.generateAllThumbnails();
+            // Thumbnails are rendered on demand as they scroll into view (see THUMBNAIL LIST)
+            this.updateProgress(90, 'PDF loaded, preparing pages...');
             
             if (this.isCancelled) {
-                console.log('PDF loading cancelled after thumbnail generation');
+                console.log('PDF loading cancelled before showing pages');
                 this.deactivateBackgroundPreservation();
                 return;
             }
@@ -1373,346 +1460,866 @@ class PDFComposerApp {
         }
     }
 
-    async generateAllThumbnails() {
-        if (!this.currentPDF || this.isCancelled) {
-            console.log('Skipping thumbnail generation - cancelled or no PDF');
-            return;
-        }
+    // Workspace - every uploaded document contributes a contiguous block of page indices,
+    // so selections and thumbnails keep using plain indices across all documents
 
-        console.log('Generating thumbnails for', this.totalPages, 'pages...');
-        // Initialize thumbnails array with proper size to maintain correct indexing
-        this.thumbnails = new Array(this.totalPages).fill(null);
+    resetWorkspace() {
+        this.sessionId = null; // A new workspace is saved as a new session
+        this.resetThumbnails();
+        this.documents = [];
+        this.totalPages = 0;
+        this.selectedCitations.clear();
+        this.selectedCover = null;
+        this.citationAnchor = null;
+        this.pageTransforms.clear();
+        this.overlayLayers = [];
+        this.activeOverlay = 'cover';
+        this.coverTransform.zIndex = 0;
+        document.querySelectorAll('.overlay-layer').forEach(element => element.remove());
+        this.annotations = [];
+        this.selectedAnnotation = null;
+        this.renderAnnotations();
+        this.captionText = '';
+        this.captionEdited = false;
+        this.setSearchQuery('');
+        this.resetTextIndex();
+        this.history = { undo: [], redo: [] };
+        this.updateSelectionSummary();
+    }
 
-        // Set processing state
-        this.isProcessing = true;
-        this.processingStartTime = Date.now();
+    registerDocument(fileId, name, pdf) {
+        const doc = {
+            fileId,
+            name,
+            pdf,
+            pageCount: pdf.numPages,
+            pageOffset: this.documents.reduce((sum, d) => sum + d.pageCount, 0)
+        };
+        this.documents.push(doc);
+        this.totalPages = doc.pageOffset + doc.pageCount;
+        this.thumbnails.length = this.totalPages; // Rendered on demand as they scroll into view
+        this.currentPDF = this.createWorkspaceDocument();
+        if (this.pageSearch.active) {
+            this.ensureTextIndex();
+        }
+        console.log('Registered document', name, 'pages', doc.pageOffset, '-', this.totalPages - 1);
+        this.scheduleSessionSave();
+        return doc;
+    }
 
-        try {
-            // Use simple main thread processing with enhanced background support
-            await this.generateThumbnailsMainThread();
-        } finally {
-            this.isProcessing = false;
-            if (this.isCancelled) {
-                console.log('Thumbnail generation completed with cancellation');
+    createWorkspaceDocument() {
+        // Behaves like a single pdf.js document whose pages span all uploaded documents
+        const app = this;
+        return {
+            get numPages() {
+                return app.documents.reduce((sum, doc) => sum + doc.pageCount, 0);
+            },
+            getPage(pageNumber) {
+                const doc = app.getDocumentForPage(pageNumber - 1);
+                if (!doc) {
+                    return Promise.reject(new Error(`Invalid page request: ${pageNumber}`));
+                }
+                return doc.pdf.getPage(pageNumber - doc.pageOffset)
+                    .then(page => app.wrapTransformedPage(page, pageNumber - 1));
+            },
+            destroy() {
+                return Promise.all(app.documents.map(doc => doc.pdf.destroy()));
             }
+        };
+    }
+
+    getDocumentForPage(pageIndex) {
+        return this.documents.find(doc => pageIndex >= doc.pageOffset && pageIndex < doc.pageOffset + doc.pageCount) || null;
+    }
+
+    getPageRef(pageIndex) {
+        const doc = this.getDocumentForPage(pageIndex);
+        if (!doc) return null;
+
+        const ref = { fileId: doc.fileId, page: pageIndex - doc.pageOffset };
+        const { rotation, crop } = this.getPageTransform(pageIndex);
+        if (rotation) ref.rotation = rotation;
+        if (crop) ref.crop = crop;
+        return ref;
+    }
+
+    // Sessions - the workspace (documents, selections, page transforms, cover transform and mode)
+    // is saved to IndexedDB, with a copy on the server, so a composition survives reloads
+
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open('pdf-composer', 2);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore('sessions', { keyPath: 'id' });
+                        db.createObjectStore('files', { keyPath: 'fileId' });
+                    }
+                    if (event.oldVersion < 2) {
+                        // Version 2: thumbnails by document hash, page and width (see THUMBNAIL CACHE)
+                        const thumbnails = db.createObjectStore('thumbnails', { keyPath: 'key' });
+                        thumbnails.createIndex('accessedAt', 'accessedAt');
+                    }
+                };
+                request.onblocked = () => console.warn('Session database upgrade waits for other tabs of the app to close');
+                request.onsuccess = () => {
+                    // Let a tab with a newer version of the app upgrade the database
+                    request.result.onversionchange = () => request.result.close();
+                    resolve(request.result);
+                };
+                request.onerror = () => reject(request.error);
+            });
         }
+        return this.databasePromise;
     }
-    
-    async generateThumbnailsWithWorker() {
+
+    // Run one request against an object store and resolve with its result
+    async databaseRequest(storeName, mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    createSessionId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    serializeSession() {
+        // Pages are stored as { fileId, page } so they survive documents being re-uploaded
+        const toRef = pageIndex => {
+            const doc = this.getDocumentForPage(pageIndex);
+            return { fileId: doc.fileId, page: pageIndex - doc.pageOffset };
+        };
+
+        return {
+            version: 1,
+            documents: this.documents.map(doc => ({ fileId: doc.fileId, name: doc.name, pageCount: doc.pageCount })),
+            citations: this.getOrderedCitations().map(toRef),
+            cover: this.selectedCover !== null ? toRef(this.selectedCover) : null,
+            pageTransforms: Array.from(this.pageTransforms.entries()).map(([pageIndex, transform]) => ({
+                ...toRef(pageIndex),
+                rotation: transform.rotation,
+                crop: transform.crop
+            })),
+            coverTransform: {
+                x: this.coverTransform.x,
+                y: this.coverTransform.y,
+                scale: this.coverTransform.scale,
+                zIndex: this.coverTransform.zIndex || 0
+            },
+            // Positions as fractions of the citation page, so they survive another window size; the pixel
+            // offsets in coverTransform and each layer are only used by sessions saved without them
+            coverRect: this.getNormalizedCoverRect() || this.pendingCoverRect,
+            overlayLayers: this.overlayLayers.map(layer => ({
+                id: layer.id,
+                ...toRef(layer.pageIndex),
+                x: layer.x,
+                y: layer.y,
+                scale: layer.scale,
+                zIndex: layer.zIndex,
+                rect: this.getNormalizedOverlayRect(layer) || layer.pendingRect
+            })),
+            annotations: this.getAnnotationsState(),
+            caption: { style: this.captionStyle, text: this.captionText, edited: this.captionEdited },
+            searchQuery: this.searchQuery,
+            ocrEnabled: this.ocrEnabled,
+            overlayMode: this.overlayMode,
+            history: this.serializeHistory(toRef),
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    scheduleSessionSave() {
+        if (this.isRestoringSession || this.readOnly || this.documents.length === 0) return;
+
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => {
+            this.sessionSaveTimer = null;
+            this.saveSession().catch(error => console.warn('Failed to save session:', error));
+        }, 1000);
+    }
+
+    // Save a pending change right away (before the workspace is cleared or the page unloads)
+    flushSessionSave() {
+        if (!this.sessionSaveTimer) return;
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = null;
+        this.saveSession({ keepalive: true }).catch(error => console.warn('Failed to save session:', error));
+    }
+
+    async saveSession({ keepalive = false } = {}) {
+        if (this.documents.length === 0) return;
+        if (!this.sessionId) {
+            this.sessionId = this.createSessionId();
+        }
+
+        const sessionId = this.sessionId;
+        const session = this.serializeSession();
+        localStorage.setItem('pdfComposer:lastSessionId', sessionId);
+        localStorage.setItem('pdfComposer:sessionOpen', '1');
+
+        await this.databaseRequest('sessions', 'readwrite', store => store.put({ id: sessionId, session, updatedAt: session.savedAt }));
+
+        // The server copy lets the session be reopened from another browser with ?session=<id>.
+        // It carries only the most recent history, and keepalive (needed to outlive an unloading page)
+        // only when the body is under the browsers' 64KB keepalive limit
+        const history = {
+            undo: session.history.undo.slice(-this.maxServerHistory),
+            redo: session.history.redo.slice(-this.maxServerHistory)
+        };
+        const body = JSON.stringify({ session: { ...session, history } });
         try {
-            console.log('Using Web Worker for thumbnail generation');
-            
-            // Generate unique task ID
-            this.currentTaskId = 'task_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            
-            // Convert PDF to ArrayBuffer for worker
-            const pdfArrayBuffer = await this.getPDFArrayBuffer();
-            
-            // Send task to worker
-            this.pdfWorker.postMessage({
-                type: 'GENERATE_THUMBNAILS',
-                taskId: this.currentTaskId,
-                data: {
-                    pdfData: pdfArrayBuffer,
-                    totalPages: this.totalPages,
-                    options: {
-                        batchSize: Math.max(1, Math.min(10, Math.floor(this.totalPages / 20))), // Dynamic batch size
-                        totalPages: this.totalPages
-                    }
-                }
+            const response = await fetch(`/api/sessions/${sessionId}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: keepalive && body.length < 60 * 1024
             });
-            
-            // Worker will handle progress updates and completion via message handlers
-            
+            if (!response.ok) {
+                console.warn('Server did not save session:', (await response.json()).error);
+            }
         } catch (error) {
-            console.error('Worker processing failed, falling back to main thread:', error);
-            this.workerSupported = false;
-            await this.generateThumbnailsMainThread();
+            console.warn('Could not save session to server:', error.message);
         }
+
+        await this.pruneSessionStore();
+        console.log('Session saved:', sessionId);
     }
-    
-    async getPDFArrayBuffer() {
-        // Get the PDF data as ArrayBuffer for worker processing
-        
-        // First try to get from the loaded PDF document
-        if (this.currentPDF && this.currentPDF._transport && this.currentPDF._transport._source) {
-            const source = this.currentPDF._transport._source;
-            if (source.data) {
-                return source.data;
-            }
+
+    // Keep the 10 most recent sessions and only the files they use
+    async pruneSessionStore() {
+        const sessions = await this.databaseRequest('sessions', 'readonly', store => store.getAll());
+        sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+        for (const stale of sessions.slice(10)) {
+            await this.databaseRequest('sessions', 'readwrite', store => store.delete(stale.id));
         }
-        
-        // Try to get from stored buffer if available
-        if (this.pdfArrayBuffer) {
-            return this.pdfArrayBuffer;
+
+        const usedFiles = new Set(sessions.slice(0, 10).flatMap(record => record.session.documents.map(doc => doc.fileId)));
+        this.documents.forEach(doc => usedFiles.add(doc.fileId));
+        const storedFiles = await this.databaseRequest('files', 'readonly', store => store.getAllKeys());
+        for (const fileId of storedFiles.filter(id => !usedFiles.has(id))) {
+            await this.databaseRequest('files', 'readwrite', store => store.delete(fileId));
         }
-        
-        // Fallback: re-fetch PDF data if not available
-        if (this.fileId) {
-            console.log('Re-fetching PDF data for worker processing');
-            const response = await fetch(`/api/get-pdf/${this.fileId}`);
+    }
+
+    // Keep the PDF itself locally so a session can be restored even after the server copy expires
+    storeSessionFile(fileId, file) {
+        this.databaseRequest('files', 'readwrite', store => store.put({ fileId, name: file.name, blob: file }))
+            .catch(error => console.warn('Could not store PDF for session restore:', error));
+    }
+
+    async getSessionFile(savedDocument) {
+        const stored = await this.databaseRequest('files', 'readonly', store => store.get(savedDocument.fileId)).catch(() => null);
+        if (stored) {
+            return new File([stored.blob], savedDocument.name, { type: 'application/pdf' });
+        }
+
+        const response = await fetch(`/api/pdf/${encodeURIComponent(savedDocument.fileId)}/file`);
+        if (!response.ok) {
+            throw new Error(`${savedDocument.name} is no longer available`);
+        }
+        return new File([await response.blob()], savedDocument.name, { type: 'application/pdf' });
+    }
+
+    // Session to reopen on load: an explicit ?session=<id>, or the one open when the page was left
+    getSessionToRestore() {
+        const requested = new URLSearchParams(window.location.search).get('session');
+        if (requested) return requested;
+        return localStorage.getItem('pdfComposer:sessionOpen') ? localStorage.getItem('pdfComposer:lastSessionId') : null;
+    }
+
+    updateRestoreSessionButton() {
+        const restoreSessionBtn = document.getElementById('restoreSessionBtn');
+        if (restoreSessionBtn) {
+            restoreSessionBtn.classList.toggle('hidden', !localStorage.getItem('pdfComposer:lastSessionId'));
+        }
+    }
+
+    async restoreSessionOnStartup(sessionId) {
+        if (this.isProcessing) return;
+        try {
+            await this.restoreSession(sessionId);
+            this.showToast('Previous session restored', 'success');
+        } catch (error) {
+            console.error('Session restore failed:', error);
+            this.showToast('Could not restore session: ' + error.message, 'error');
+            this.showEmptyState();
+        }
+    }
+
+    async restoreSession(sessionId) {
+        let record = await this.databaseRequest('sessions', 'readonly', store => store.get(sessionId)).catch(() => null);
+        if (!record) {
+            const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}`);
             if (!response.ok) {
-                throw new Error(`Failed to fetch PDF data: ${response.statusText}`);
+                throw new Error('Session not found');
             }
-            const arrayBuffer = await response.arrayBuffer();
-            this.pdfArrayBuffer = arrayBuffer; // Store for future use
-            return arrayBuffer;
+            record = await response.json();
         }
-        
-        throw new Error('PDF data not available for worker processing');
+
+        console.log('Restoring session', sessionId, record.session);
+        await this.openSession(record.session);
+        this.sessionId = sessionId;
+        this.scheduleSessionSave();
     }
-    
-    async generateThumbnailsMainThread() {
-        console.log('=== THUMBNAIL DEBUG: Starting generation ===');
-        console.log('Total pages:', this.totalPages);
-        console.log('Document visibility state:', document.visibilityState);
-        console.log('Document hidden:', document.hidden);
-        
-        // Initialize thumbnails array with proper size to maintain indexing
-        this.thumbnails = new Array(this.totalPages).fill(null);
-        
-        // Show thumbnail loading state
-        const loadingElement = document.getElementById('thumbnailsLoading');
-        if (loadingElement) {
-            loadingElement.style.display = 'flex';
-        }
-        
-        // Store original title to restore later
-        const originalTitle = document.title;
-        
-        // Track timing and browser throttling
-        let lastProcessTime = performance.now();
-        let throttleDetectionCount = 0;
-        
-        // Page Visibility API monitoring
-        const handleVisibilityChange = () => {
-            console.log('=== VISIBILITY CHANGE ===');
-            console.log('New visibility state:', document.visibilityState);
-            console.log('Document hidden:', document.hidden);
-            console.log('Performance now:', performance.now());
-        };
-        
-        document.addEventListener('visibilitychange', handleVisibilityChange);
-        
+
+    // Load a saved session or shared composition into a fresh workspace
+    async openSession(session) {
+        if (!session.documents || session.documents.length === 0) {
+            throw new Error('Session has no documents');
+        }
+
+        this.isRestoringSession = true;
+        this.isCancelled = false;
+        this.isProcessing = true;
+        this.showLoadingState();
+
         try {
-            for (let pageNum = 1; pageNum <= this.totalPages; pageNum++) {
-                if (this.isCancelled) {
-                    console.log(`Thumbnail generation cancelled at page ${pageNum}/${this.totalPages}`);
-                    break;
+            // Documents may have been re-uploaded under new ids
+            const fileIds = new Map();
+
+            for (let i = 0; i < session.documents.length; i++) {
+                const saved = session.documents[i];
+                this.updateProgress(5 + 20 * (i / session.documents.length), `Restoring ${saved.name}...`);
+
+                // Re-sending is cheap: the server reuses its copy when it still has the same bytes
+                const file = await this.getSessionFile(saved);
+                const result = await this.sendPDFToServer(file);
+                if (!result.success) {
+                    throw new Error(result.error || 'Upload failed');
+                }
+                fileIds.set(saved.fileId, result.fileId);
+
+                if (i === 0) {
+                    this.fileId = result.fileId;
+                    this.totalPages = result.pageCount;
+                    this.thumbnails = result.thumbnails;
+                    this.storeSessionFile(result.fileId, file);
+                    await this.loadPDFForViewing(file);
+                } else {
+                    await this.addDocumentToWorkspace(file, result);
                 }
-                
-                try {
-                    if (this.isCancelled) {
-                        console.log(`Thumbnail generation cancelled before page ${pageNum} load`);
-                        break;
-                    }
-                    
-                    const startTime = performance.now();
-                    console.log(`=== Processing page ${pageNum}/${this.totalPages} at ${startTime.toFixed(2)}ms ===`);
-                    
-                    const page = await this.currentPDF.getPage(pageNum);
-                    if (this.isCancelled) {
-                        console.log(`Thumbnail generation cancelled after page ${pageNum} load`);
-                        break;
-                    }
-                    console.log(`Page ${pageNum} loaded in ${(performance.now() - startTime).toFixed(2)}ms`);
-                    
-                    // Calculate optimal scale for thumbnail generation
-                    // Target thumbnail width for consistent display
-                    const targetThumbnailWidth = 150;
-                    const baseViewport = page.getViewport({ scale: 1 });
-                    let scale = targetThumbnailWidth / baseViewport.width;
-                    
-                    // Adjust scale based on document size for performance
-                    if (this.totalPages > 500) scale *= 0.6;      // Smaller for 500+ pages
-                    else if (this.totalPages > 200) scale *= 0.8; // Slightly smaller for 200+ pages
-                    
-                    // Ensure minimum scale for readability and maximum for performance
-                    scale = Math.max(0.15, Math.min(0.5, scale));
-                    
-                    const viewport = page.getViewport({ scale });
-                    
-                    // Create canvas sized to viewport (no extra space)
-                    const canvas = document.createElement('canvas');
-                    const context = canvas.getContext('2d');
-                    
-                    // Set canvas to exact rendered size
-                    canvas.width = Math.round(viewport.width);
-                    canvas.height = Math.round(viewport.height);
-
-                    const renderStartTime = performance.now();
-                    // Render page to canvas with white background for clean edges
-                    context.fillStyle = '#ffffff';
-                    context.fillRect(0, 0, canvas.width, canvas.height);
-                    
-                    await page.render({
-                        canvasContext: context,
-                        viewport: viewport
-                    }).promise;
-                    console.log(`Page ${pageNum} rendered in ${(performance.now() - renderStartTime).toFixed(2)}ms`);
 
-                    // Convert to base64
-                    const thumbnailDataURL = canvas.toDataURL('image/png');
-                    
-                    // Store thumbnail at correct index to maintain page order
-                    this.thumbnails[pageNum - 1] = {
-                        page: pageNum - 1,
-                        buffer: thumbnailDataURL,
-                        width: viewport.width,
-                        height: viewport.height
-                    };
-
-                    // Update progress for user feedback
-                    const thumbnailProgress = 50 + (pageNum / this.totalPages) * 50; // From 50% to 100%
-                    this.updateProgress(thumbnailProgress, `Generating thumbnails... ${pageNum}/${this.totalPages}`);
-                    
-                    const endTime = performance.now();
-                    const processingTime = endTime - startTime;
-                    console.log(`Page ${pageNum} total processing time: ${processingTime.toFixed(2)}ms`);
-                    
-                    // Detect browser throttling
-                    if (pageNum > 1) {
-                        const timeSinceLastPage = startTime - lastProcessTime;
-                        if (timeSinceLastPage > 1000) { // More than 1 second gap indicates potential throttling
-                            throttleDetectionCount++;
-                            console.warn(`=== POTENTIAL THROTTLING DETECTED ===`);
-                            console.warn(`Gap since last page: ${timeSinceLastPage.toFixed(2)}ms`);
-                            console.warn(`Throttle detection count: ${throttleDetectionCount}`);
-                            console.warn(`Visibility state: ${document.visibilityState}`);
-                        }
-                    }
-                    lastProcessTime = endTime;
-                    
-                    // Enhanced background processing with anti-throttling
-                    if (pageNum % 3 === 0 || pageNum === this.totalPages) {
-                        console.log(`Generated ${pageNum}/${this.totalPages} thumbnails`);
-                        console.log(`Throttle detections so far: ${throttleDetectionCount}`);
-                        
-                        // Update document title to show progress (visible even when tab is inactive)
-                        const progressPercent = Math.round(thumbnailProgress);
-                        document.title = `PDF Composer - Loading ${progressPercent}%`;
-                        
-                        // Force immediate UI update
-                        this.updateThumbnailUI();
-                        
-                        // Use enhanced yielding with anti-throttling
-                        await this.yieldToMainThread();
-                        
-                        // Additional anti-throttling: tiny DOM manipulation
-                        const progressEl = document.getElementById('progressText');
-                        if (progressEl) {
-                            progressEl.style.opacity = progressEl.style.opacity === '1' ? '0.999' : '1';
-                        }
-                        
-                        console.log(`Yield complete for batch ending at page ${pageNum}`);
-                    }
-                    
-                    // Clean up page
-                    page.cleanup();
-                    
-                } catch (pageError) {
-                    console.error(`Error generating thumbnail for page ${pageNum}:`, pageError);
-                    // Add placeholder thumbnail at correct index for failed page
-                    this.thumbnails[pageNum - 1] = {
-                        page: pageNum - 1,
-                        buffer: null,
-                        width: 200,
-                        height: 300
-                    };
-                    // Continue with next page
+                if (this.isCancelled) {
+                    throw new Error('Restore cancelled');
                 }
             }
-            
-            console.log('=== THUMBNAIL DEBUG: Generation complete ===');
-            console.log(`Total throttle detections: ${throttleDetectionCount}`);
-            console.log(`Final visibility state: ${document.visibilityState}`);
-            
-            // Check if cancelled before calling completion handler
-            if (!this.isCancelled) {
-                // Complete processing only if not cancelled
-                this.onThumbnailGenerationComplete();
-            } else {
-                console.log('=== THUMBNAIL DEBUG: Generation cancelled - skipping completion ===');
-                this.onThumbnailGenerationCancelled();
-            }
-            
-        } catch (error) {
-            console.error('Error generating thumbnails:', error);
-            this.onThumbnailGenerationError(error);
+
+            this.applySessionState(session, fileIds);
         } finally {
-            // Remove visibility listener
-            document.removeEventListener('visibilitychange', handleVisibilityChange);
-            // Restore original title
-            document.title = originalTitle;
-            
-            if (this.isCancelled) {
-                console.log('=== THUMBNAIL DEBUG: Generation cancelled ===');
-                // Clear any partially generated thumbnails
-                this.thumbnails = new Array(this.totalPages).fill(null);
-                this.isProcessing = false;
-                this.processingStartTime = null;
-            }
+            this.isRestoringSession = false;
+            this.isProcessing = false;
         }
     }
-    
-    async yieldToMainThread() {
-        // Simple immediate return without yielding - prevent browser throttling
-        return Promise.resolve();
+
+    applySessionState(session, fileIds) {
+        const toIndex = ref => {
+            const doc = this.documents.find(d => d.fileId === fileIds.get(ref.fileId));
+            return doc && ref.page < doc.pageCount ? doc.pageOffset + ref.page : null;
+        };
+
+        this.pageTransforms.clear();
+        for (const saved of session.pageTransforms || []) {
+            const pageIndex = toIndex(saved);
+            if (pageIndex !== null) {
+                this.pageTransforms.set(pageIndex, { rotation: saved.rotation || 0, crop: saved.crop || null });
+                this.refreshThumbnail(pageIndex);
+            }
+        }
+
+        this.selectedCitations = new Set((session.citations || []).map(toIndex).filter(pageIndex => pageIndex !== null));
+        this.selectedCover = session.cover ? toIndex(session.cover) : null;
+        this.pendingCoverTransform = session.coverTransform || null;
+        this.pendingCoverRect = session.coverRect || null;
+        this.coverTransform.zIndex = (session.coverTransform && session.coverTransform.zIndex) || 0;
+        this.overlayLayers = (session.overlayLayers || [])
+            .map(saved => this.createOverlayLayer({ ...saved, pageIndex: toIndex(saved) }))
+            .filter(layer => layer.pageIndex !== null);
+        this.activeOverlay = 'cover';
+        this.annotations = Array.isArray(session.annotations) ? session.annotations : [];
+        this.selectedAnnotation = null;
+        if (session.caption) {
+            this.captionStyle = session.caption.style || 'apa';
+            this.captionText = session.caption.text || '';
+            this.captionEdited = Boolean(session.caption.edited);
+            const captionStyle = document.getElementById('captionStyle');
+            const captionInput = document.getElementById('captionText');
+            if (captionStyle) captionStyle.value = this.captionStyle;
+            if (captionInput) captionInput.value = this.captionText;
+        } else {
+            this.updateCaption();
+        }
+        this.setSearchQuery(session.searchQuery || '');
+        this.setOCREnabled(Boolean(session.ocrEnabled));
+        this.handleModeSwitch(session.overlayMode === 'sidebyside' ? 'sidebyside' : 'custom');
+        this.restoreHistory(session.history, toIndex);
+
+        this.renderThumbnails();
+        this.updateSelectionSummary();
     }
 
-    // renderCurrentPage removed - using preview only
+    // ============== SHARE LINKS ==============
 
-    renderThumbnails() {
-        const container = document.getElementById('thumbnailsContainer');
-        container.innerHTML = '';
+    // Share id from a /c/<shareId> link
+    getShareToOpen() {
+        const match = window.location.pathname.match(/^\/c\/([A-Za-z0-9]+)$/);
+        return match ? match[1] : null;
+    }
+
+    // Cover position as fractions of the citation page, so it survives a different preview size
+    getNormalizedCoverRect() {
+        return this.selectedCover !== null ? this.getNormalizedOverlayRect(this.coverTransform) : null;
+    }
 
-        for (let i = 0; i < this.totalPages; i++) {
-            const thumbnailElement = this.createThumbnailElement(i);
-            container.appendChild(thumbnailElement);
+    // Overlay position as fractions of the citation page, so it survives a different preview size
+    getNormalizedOverlayRect(transform) {
+        const previewCanvas = document.getElementById('previewCanvas');
+        if (this.overlayMode !== 'custom' || !transform.originalWidth ||
+            !previewCanvas || !previewCanvas.width || !previewCanvas.height) {
+            return null;
         }
 
-        document.getElementById('pageCount').textContent = this.totalPages;
+        const overlay = this.calculateOverlayDimensions(transform, previewCanvas.width, previewCanvas.height);
+        return {
+            x: overlay.x / previewCanvas.width,
+            y: overlay.y / previewCanvas.height,
+            width: overlay.width / previewCanvas.width,
+            height: overlay.height / previewCanvas.height
+        };
     }
-    
-    updateThumbnailUI() {
-        // Update thumbnail images that have been loaded without regenerating entire UI
-        const container = document.getElementById('thumbnailsContainer');
-        if (!container) return;
-        
-        for (let i = 0; i < this.totalPages; i++) {
-            const thumbnailElement = container.querySelector(`[data-page="${i}"]`);
-            if (thumbnailElement) {
-                const imageContainer = thumbnailElement.querySelector('.thumbnail-image');
-                if (imageContainer) {
-                    imageContainer.innerHTML = this.getThumbnailImageHTML(i);
-                }
-            }
+
+    // Inverse of getNormalizedOverlayRect for the current preview; false if the preview isn't ready
+    applyNormalizedOverlayRect(rect, overlay) {
+        const { transform } = overlay;
+        const previewCanvas = document.getElementById('previewCanvas');
+        const previewCanvasContainer = document.querySelector('.preview-canvas-container');
+        if (!previewCanvas || !previewCanvasContainer || !transform.originalWidth) {
+            return false;
         }
+
+        const canvasRect = previewCanvas.getBoundingClientRect();
+        const containerRect = previewCanvasContainer.getBoundingClientRect();
+        const scale = rect.width * previewCanvas.width / transform.originalWidth;
+
+        transform.x = rect.x * previewCanvas.width + (canvasRect.left - containerRect.left);
+        transform.y = rect.y * previewCanvas.height + (canvasRect.top - containerRect.top);
+        this.setOverlayScale(overlay, Math.max(transform.minScale, Math.min(transform.maxScale, scale)));
+        return true;
     }
 
-    createThumbnailElement(pageIndex) {
-        const div = document.createElement('div');
-        div.className = 'thumbnail-item';
-        div.dataset.page = pageIndex;
+    async createShareLink() {
+        if (this.documents.length === 0) return;
 
-        div.innerHTML = `
-            <div class="thumbnail-content">
-                <div class="thumbnail-image">
-                    ${this.getThumbnailImageHTML(pageIndex)}
-                </div>
-                <div class="thumbnail-info">
-                    <span class="page-number">${pageIndex + 1}</span>
-                    <div class="selection-indicators">
-                        ${this.getSelectionBadges(pageIndex)}
-                    </div>
-                </div>
-                <div class="selection-controls">
+        const editable = document.getElementById('shareAccess')?.value === 'editable';
+        const composition = this.serializeSession();
+        const shareBtn = document.getElementById('shareBtn');
+        if (shareBtn) shareBtn.disabled = true;
+
+        try {
+            const response = await fetch('/api/shares', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ composition, editable })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Share failed');
+            }
+
+            const url = new URL(result.url, window.location.origin).href;
+            try {
+                await navigator.clipboard.writeText(url);
+                this.showToast(`Share link copied: ${url}`, 'success');
+            } catch (error) {
+                this.showToast(`Share link: ${url}`, 'success');
+            }
+        } catch (error) {
+            console.error('Share link error:', error);
+            this.showToast('Failed to create share link: ' + error.message, 'error');
+        } finally {
+            if (shareBtn) shareBtn.disabled = false;
+        }
+    }
+
+    async openShareLink(shareId) {
+        if (this.isProcessing) return;
+        try {
+            const response = await fetch(`/api/shares/${encodeURIComponent(shareId)}`);
+            const share = await response.json();
+            if (!response.ok) {
+                throw new Error(share.error || 'Share link not found');
+            }
+
+            console.log('Opening shared composition', shareId, share);
+            await this.openSession(share.composition);
+            this.setReadOnly(!share.editable);
+            if (this.selectedCitations.size > 0) {
+                this.showCompositionPreview();
+            }
+
+            // An editable share is a starting point: changes are saved as the viewer's own session
+            this.scheduleSessionSave();
+            this.showToast(share.editable ? 'Shared composition opened' : 'Shared composition opened read-only', 'success');
+        } catch (error) {
+            console.error('Opening share link failed:', error);
+            this.showToast('Could not open share link: ' + error.message, 'error');
+            this.showEmptyState();
+        }
+    }
+
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        document.body.classList.toggle('read-only', readOnly);
+        this.renderCitationOrder();
+    }
+
+    async handleAddDocument(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (this.readOnly) return;
+
+        if (!file || file.type !== 'application/pdf') {
+            this.showToast('Please select a valid PDF file', 'error');
+            return;
+        }
+        if (file.size > 200 * 1024 * 1024) { // 200MB limit, matching the server
+            this.showToast('File size exceeds 200MB limit', 'error');
+            return;
+        }
+        if (this.isProcessing) {
+            console.log('Already processing a file, ignoring added document');
+            return;
+        }
+
+        this.isProcessing = true;
+        const addDocumentBtn = document.getElementById('addDocumentBtn');
+        if (addDocumentBtn) addDocumentBtn.disabled = true;
+
+        try {
+            this.showToast(`Adding ${file.name}...`, 'info');
+
+            const result = await this.sendPDFToServer(file);
+            if (!result.success) {
+                throw new Error(result.error || 'Upload failed');
+            }
+
+            const doc = await this.addDocumentToWorkspace(file, result);
+            this.showToast(`Added ${file.name} (${doc.pageCount} pages)`, 'success');
+        } catch (error) {
+            console.error('Add document error:', error);
+            this.showToast('Failed to add PDF: ' + error.message, 'error');
+        } finally {
+            this.isProcessing = false;
+            if (addDocumentBtn) addDocumentBtn.disabled = false;
+        }
+    }
+
+    // Register an uploaded file as an extra workspace document (result is the upload response)
+    async addDocumentToWorkspace(file, result) {
+        const pdf = await pdfjsLib.getDocument(await file.arrayBuffer()).promise;
+        const doc = this.registerDocument(result.fileId, file.name, pdf);
+        this.storeSessionFile(result.fileId, file);
+
+        this.renderThumbnails();
+        this.updateSelectionSummary();
+        return doc;
+    }
+
+    createDocumentGroupHeader(doc) {
+        const header = document.createElement('div');
+        header.className = 'document-group-header';
+        header.dataset.fileId = doc.fileId;
+
+        const name = document.createElement('span');
+        name.className = 'document-group-name';
+        name.textContent = doc.name;
+        name.title = doc.name;
+
+        const count = document.createElement('span');
+        count.className = 'document-group-count';
+        count.textContent = `${doc.pageCount} PP`;
+
+        header.append(name, count);
+        return header;
+    }
+
+    // Page transforms - user rotation (clockwise, 90° steps) and crop margins per page.
+    // Crop margins are fractions of the page as originally displayed, before the user's rotation.
+
+    getPageTransform(pageIndex) {
+        return this.pageTransforms.get(pageIndex) || { rotation: 0, crop: null };
+    }
+
+    setPageTransform(pageIndex, changes) {
+        const transform = { ...this.getPageTransform(pageIndex), ...changes };
+        if (transform.rotation === 0 && !transform.crop) {
+            this.pageTransforms.delete(pageIndex);
+        } else {
+            this.pageTransforms.set(pageIndex, transform);
+        }
+
+        this.scheduleSessionSave();
+        this.refreshThumbnail(pageIndex);
+        if (this.selectedCitations.has(pageIndex) || this.selectedCover === pageIndex) {
+            this.updatePreview();
+        }
+    }
+
+    rotatePage(pageIndex) {
+        if (this.readOnly) return;
+        const { rotation } = this.getPageTransform(pageIndex);
+        this.setPageTransform(pageIndex, { rotation: (rotation + 90) % 360 });
+    }
+
+    wrapTransformedPage(page, pageIndex) {
+        const { rotation, crop } = this.getPageTransform(pageIndex);
+        if (rotation === 0 && !crop) return page;
+
+        const app = this;
+        const PageViewport = page.getViewport({ scale: 1 }).constructor;
+        const viewBox = PageGeometry.getCroppedViewBox(page.view, page.rotate, crop);
+
+        const getViewport = ({ scale = 1, offsetX = 0, offsetY = 0, dontFlip = false } = {}) => new PageViewport({
+            viewBox,
+            scale,
+            rotation: (page.rotate + rotation) % 360,
+            offsetX,
+            offsetY,
+            dontFlip
+        });
+
+        const render = (params) => {
+            if (!crop) return page.render(params);
+
+            // Content outside the crop would otherwise spill over neighbouring pages on shared canvases
+            const context = params.canvasContext;
+            const baseTransform = context.getTransform();
+            context.save();
+            if (params.transform) context.transform(...params.transform);
+            context.beginPath();
+            context.rect(0, 0, params.viewport.width, params.viewport.height);
+            context.clip();
+            // pdf.js appends to the current path, so don't leave the clip rect behind
+            context.beginPath();
+            context.setTransform(baseTransform);
+
+            const task = page.render(params);
+            task.promise.then(() => context.restore(), () => context.restore());
+            return task;
+        };
+
+        // Bind everything else to the real page - pdf.js pages rely on private fields
+        return new Proxy(page, {
+            get(target, prop) {
+                if (prop === 'getViewport') return getViewport;
+                if (prop === 'render') return render;
+                if (prop === 'view') return viewBox;
+                if (prop === 'rotate') return (target.rotate + rotation) % 360;
+                const value = Reflect.get(target, prop, target);
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    }
+
+    async refreshThumbnail(pageIndex) {
+        if (!this.currentPDF) return;
+
+        try {
+            const page = await this.currentPDF.getPage(pageIndex + 1);
+            const baseViewport = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: Math.max(0.15, Math.min(0.5, 150 / baseViewport.width)) });
+
+            const canvas = document.createElement('canvas');
+            const context = canvas.getContext('2d');
+            canvas.width = Math.round(viewport.width);
+            canvas.height = Math.round(viewport.height);
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+
+            await page.render({ canvasContext: context, viewport }).promise;
+
+            this.thumbnails[pageIndex] = {
+                page: pageIndex,
+                buffer: canvas.toDataURL('image/png'),
+                width: viewport.width,
+                height: viewport.height
+            };
+
+            this.updateThumbnailImage(pageIndex);
+        } catch (error) {
+            console.error('Error refreshing thumbnail for page', pageIndex, error);
+        }
+    }
+
+    async openCropEditor(pageIndex) {
+        if (this.readOnly) return;
+        const dialog = document.getElementById('cropDialog');
+        if (!dialog || !this.currentPDF) return;
+
+        const doc = this.getDocumentForPage(pageIndex);
+        const { rotation, crop } = this.getPageTransform(pageIndex);
+        // Sliders work on the page as currently displayed, i.e. after rotation
+        const margins = PageGeometry.rotateMargins(crop || { top: 0, right: 0, bottom: 0, left: 0 }, rotation / 90);
+
+        this.cropEditor = { pageIndex, page: await doc.pdf.getPage(pageIndex - doc.pageOffset + 1) };
+
+        ['top', 'right', 'bottom', 'left'].forEach(side => {
+            document.getElementById(`crop${side[0].toUpperCase()}${side.slice(1)}`).value = Math.round(margins[side] * 100);
+        });
+        document.getElementById('cropPageLabel').textContent = `P${this.getPageLabel(pageIndex)}`;
+
+        dialog.classList.remove('hidden');
+        await this.renderCropEditor();
+    }
+
+    getCropEditorMargins() {
+        const margins = {};
+        ['top', 'right', 'bottom', 'left'].forEach(side => {
+            margins[side] = parseInt(document.getElementById(`crop${side[0].toUpperCase()}${side.slice(1)}`).value, 10) / 100;
+        });
+        return margins;
+    }
+
+    async renderCropEditor() {
+        if (!this.cropEditor) return;
+
+        const canvas = document.getElementById('cropCanvas');
+        const context = canvas.getContext('2d');
+        const { page, pageIndex } = this.cropEditor;
+        const { rotation } = this.getPageTransform(pageIndex);
+
+        // Show the whole page (uncropped) so the removed margins stay visible
+        const baseViewport = page.getViewport({ scale: 1, rotation: (page.rotate + rotation) % 360 });
+        const scale = Math.min(360 / baseViewport.width, 360 / baseViewport.height);
+        const viewport = page.getViewport({ scale, rotation: (page.rotate + rotation) % 360 });
+
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+
+        if (this.cropEditor.renderTask) {
+            this.cropEditor.renderTask.cancel();
+        }
+        this.cropEditor.renderTask = page.render({ canvasContext: context, viewport });
+        try {
+            await this.cropEditor.renderTask.promise;
+        } catch (error) {
+            if (error && error.name === 'RenderingCancelledException') return;
+            throw error;
+        }
+
+        const margins = this.getCropEditorMargins();
+        const left = margins.left * canvas.width;
+        const top = margins.top * canvas.height;
+        const right = canvas.width - margins.right * canvas.width;
+        const bottom = canvas.height - margins.bottom * canvas.height;
+
+        // Dim the parts that will be cropped away
+        context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        context.fillRect(0, 0, canvas.width, top);
+        context.fillRect(0, bottom, canvas.width, canvas.height - bottom);
+        context.fillRect(0, top, left, bottom - top);
+        context.fillRect(right, top, canvas.width - right, bottom - top);
+        context.strokeStyle = '#ff6b9d';
+        context.lineWidth = 2;
+        context.strokeRect(left, top, right - left, bottom - top);
+    }
+
+    applyCropEditor() {
+        if (!this.cropEditor) return;
+
+        const { pageIndex } = this.cropEditor;
+        const { rotation } = this.getPageTransform(pageIndex);
+        const margins = this.getCropEditorMargins();
+        const hasCrop = Object.values(margins).some(value => value > 0);
+
+        this.closeCropEditor();
+        // Store margins relative to the unrotated page so later rotations keep the same crop
+        this.setPageTransform(pageIndex, { crop: hasCrop ? PageGeometry.rotateMargins(margins, -rotation / 90) : null });
+    }
+
+    closeCropEditor() {
+        const dialog = document.getElementById('cropDialog');
+        if (dialog) dialog.classList.add('hidden');
+        this.cropEditor = null;
+    }
+
+    // renderCurrentPage removed - using preview only
+
+    renderThumbnails() {
+        const container = document.getElementById('thumbnailsContainer');
+        container.innerHTML = '';
+
+        // Only rows near the viewport are mounted, between these spacers (see THUMBNAIL LIST)
+        const topSpacer = document.createElement('div');
+        const bottomSpacer = document.createElement('div');
+        topSpacer.className = bottomSpacer.className = 'thumbnails-spacer';
+        container.append(topSpacer, bottomSpacer);
+
+        const previous = this.thumbnailList;
+        this.thumbnailList = {
+            rows: this.getThumbnailRows(),
+            heights: previous ? previous.heights : new Map(),
+            pageEstimate: previous ? previous.pageEstimate : 200,
+            headerEstimate: previous ? previous.headerEstimate : 28,
+            paddingTop: parseFloat(getComputedStyle(container).paddingTop) || 0,
+            mounted: new Map(),
+            topSpacer,
+            bottomSpacer,
+            frame: null,
+            scrollTarget: null
+        };
+        this.updateThumbnailWindow();
+
+        document.getElementById('pageCount').textContent = this.totalPages;
+    }
+    
+    updateThumbnailUI() {
+        // Update the mounted thumbnails' images without rebuilding the list
+        if (!this.thumbnailList) return;
+
+        for (const row of this.thumbnailList.rows) {
+            if (row.doc === undefined && this.thumbnailList.mounted.has(row.key)) {
+                this.updateThumbnailImage(row.pageIndex);
+            }
+        }
+    }
+
+    createThumbnailElement(pageIndex) {
+        const div = document.createElement('div');
+        div.className = 'thumbnail-item';
+        div.classList.toggle('current-page', pageIndex === this.currentPage);
+        div.classList.toggle('search-hit', this.isPageSearchHit(pageIndex));
+        div.dataset.page = pageIndex;
+
+        div.innerHTML = `
+            <div class="thumbnail-content">
+                <div class="thumbnail-image">
+                    ${this.getThumbnailImageHTML(pageIndex)}
+                </div>
+                <div class="thumbnail-info">
+                    <span class="page-number">${this.getPageLabel(pageIndex)}</span>
+                    <div class="selection-indicators">
+                        ${this.getSelectionBadges(pageIndex)}
+                    </div>
+                </div>
+                <div class="selection-controls">
                     <button class="selection-btn citation-btn" data-page="${pageIndex}" title="Select for Citation">
                         ${this.selectedCitations.has(pageIndex) ? '✓' : '○'}
                     </button>
                     <button class="selection-btn cover-btn" data-page="${pageIndex}" title="Select as Cover">
                         ${this.selectedCover === pageIndex ? '★' : '☆'}
                     </button>
+                    <button class="selection-btn overlay-btn" data-page="${pageIndex}" title="Add as extra overlay">
+                        ${this.isOverlayLayerPage(pageIndex) ? '◼' : '◫'}
+                    </button>
+                    <button class="selection-btn rotate-btn" data-page="${pageIndex}" title="Rotate 90°">↻</button>
+                    <button class="selection-btn crop-btn" data-page="${pageIndex}" title="Crop page">⌗</button>
                 </div>
             </div>
         `;
@@ -1720,7 +2327,7 @@ class PDFComposerApp {
         // Add event listeners
         div.addEventListener('click', (e) => {
             if (!e.target.classList.contains('selection-btn')) {
-                this.showPagePreview(pageIndex);
+                this.goToPage(pageIndex);
             }
         });
 
@@ -1728,7 +2335,7 @@ class PDFComposerApp {
         const citationBtn = div.querySelector('.citation-btn');
         citationBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.toggleCitationSelection(pageIndex);
+            this.onCitationButtonClick(e, pageIndex);
         });
 
         // Cover button
@@ -1738,6 +2345,21 @@ class PDFComposerApp {
             this.toggleCoverSelection(pageIndex);
         });
 
+        div.querySelector('.overlay-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleOverlayLayer(pageIndex);
+        });
+
+        div.querySelector('.rotate-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.rotatePage(pageIndex);
+        });
+
+        div.querySelector('.crop-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openCropEditor(pageIndex);
+        });
+
         this.updateThumbnailClasses(div, pageIndex);
         
         return div;
@@ -1757,17 +2379,38 @@ class PDFComposerApp {
                 : `data:image/png;base64,${thumbnail.buffer}`;
             return `<img src="${src}" alt="Page ${pageIndex + 1}">`;
         }
+        // Nothing rendered locally - let the server render this page instead
+        const serverSrc = thumbnail && (thumbnail.url || this.getServerThumbnailURL(pageIndex, thumbnail.width));
+        if (serverSrc) {
+            return `<img src="${serverSrc}" alt="Page ${pageIndex + 1}" loading="lazy">`;
+        }
         return `<div class="thumbnail-loading">Loading...</div>`;
     }
 
+    getServerThumbnailURL(pageIndex, width = 200, format = 'png') {
+        const ref = this.getPageRef(pageIndex);
+        if (!ref) return null;
+        return `/api/pdf/${encodeURIComponent(ref.fileId)}/pages/${ref.page}/thumbnail?width=${width}&format=${format}`;
+    }
+
+    getPageLabel(pageIndex) {
+        // Page numbers restart for each document in the workspace
+        const ref = this.getPageRef(pageIndex);
+        return ref ? ref.page + 1 : pageIndex + 1;
+    }
+
     getSelectionBadges(pageIndex) {
         let badges = '';
         if (this.selectedCitations.has(pageIndex)) {
-            badges += '<span class="selection-badge badge-citation">CIT</span>';
+            const position = this.getOrderedCitations().indexOf(pageIndex) + 1;
+            badges += `<span class="selection-badge badge-citation">CIT ${position}</span>`;
         }
         if (this.selectedCover === pageIndex) {
             badges += '<span class="selection-badge badge-cover">CVR</span>';
         }
+        if (this.isOverlayLayerPage(pageIndex)) {
+            badges += '<span class="selection-badge badge-overlay">OVL</span>';
+        }
         return badges;
     }
 
@@ -1788,53 +2431,223 @@ class PDFComposerApp {
         }
     }
 
+    // ============== UNDO / REDO ==============
+    // Edits are recorded as { type, before, after } commands so the history can be saved with the session.
+    // Page references in commands are page indices into the workspace.
+
+    recordHistory(command) {
+        if (this.isApplyingHistory || this.isRestoringSession) return false;
+        if (JSON.stringify(command.before) === JSON.stringify(command.after)) return false;
+
+        this.history.undo.push(command);
+        if (this.history.undo.length > this.maxHistory) {
+            this.history.undo.shift();
+        }
+        this.history.redo = [];
+        this.scheduleSessionSave();
+        return true;
+    }
+
+    undo() {
+        return this.stepHistory(this.history.undo, this.history.redo, 'before');
+    }
+
+    redo() {
+        return this.stepHistory(this.history.redo, this.history.undo, 'after');
+    }
+
+    stepHistory(from, to, side) {
+        if (this.readOnly || from.length === 0) return false;
+
+        const command = from.pop();
+        to.push(command);
+
+        this.isApplyingHistory = true;
+        try {
+            this.applyHistoryState(command.type, command[side]);
+        } finally {
+            this.isApplyingHistory = false;
+        }
+        this.scheduleSessionSave();
+        return true;
+    }
+
+    applyHistoryState(type, state) {
+        switch (type) {
+            case 'citations':
+                this.setCitationOrder(state);
+                break;
+            case 'cover':
+                this.setSelectedCover(state);
+                break;
+            case 'mode':
+                // Keep the cover where it is when the overlay is set up again
+                if (state === 'custom' && this.coverTransform.originalWidth) {
+                    this.pendingCoverTransform = this.getCoverTransformState();
+                }
+                this.handleModeSwitch(state);
+                break;
+            case 'coverTransform':
+                // Commands restored with a session carry the position as a rect of the citation page
+                if (state.rect && this.applyNormalizedOverlayRect(state.rect, this.getCoverOverlay())) {
+                    break;
+                }
+                Object.assign(this.coverTransform, { x: state.x, y: state.y, scale: state.scale });
+                this.updateCoverScale(state.scale);
+                break;
+            case 'layers':
+                this.applyLayersState(state);
+                break;
+            case 'annotations':
+                this.applyAnnotationsState(state);
+                break;
+        }
+    }
+
+    getCoverTransformState() {
+        return { x: this.coverTransform.x, y: this.coverTransform.y, scale: this.coverTransform.scale };
+    }
+
+    // The cover's transform, or every layer when an extra layer is selected
+    getOverlayEditState() {
+        return this.getActiveOverlay().id === 'cover'
+            ? { type: 'coverTransform', state: this.getCoverTransformState() }
+            : { type: 'layers', state: this.getLayersState() };
+    }
+
+    // A drag, resize or pinch is recorded as one command when it ends
+    beginCoverEdit() {
+        if (!this.coverEditStart) {
+            this.coverEditStart = this.getOverlayEditState();
+        }
+    }
+
+    endCoverEdit() {
+        if (!this.coverEditStart) return;
+        const { type, state: before } = this.coverEditStart;
+        this.recordHistory({ type, before, after: this.getOverlayEditState().state });
+        this.coverEditStart = null;
+    }
+
+    // History for the saved session, with pages stored as { fileId, page } like the rest of it
+    serializeHistory(toRef) {
+        const serializeState = (type, state) => {
+            if (type === 'citations') return state.map(toRef);
+            if (type === 'cover') return state === null ? null : toRef(state);
+            if (type === 'layers') {
+                return {
+                    ...state,
+                    layers: state.layers.map(({ pendingRect, ...layer }) => ({
+                        ...layer,
+                        pageIndex: undefined,
+                        page: toRef(layer.pageIndex),
+                        rect: this.getHistoryOverlayRect(this.overlayLayers.find(live => live.id === layer.id), layer) || pendingRect || null
+                    }))
+                };
+            }
+            if (type === 'coverTransform') return { ...state, rect: this.getHistoryOverlayRect(this.coverTransform, state) };
+            return state;
+        };
+        const serialize = commands => commands.map(command => ({
+            type: command.type,
+            before: serializeState(command.type, command.before),
+            after: serializeState(command.type, command.after)
+        }));
+        return { undo: serialize(this.history.undo), redo: serialize(this.history.redo) };
+    }
+
+    // A recorded overlay position as fractions of the citation page, measured against the overlay's current size
+    getHistoryOverlayRect(transform, state) {
+        return transform ? this.getNormalizedOverlayRect({ ...transform, ...state }) : null;
+    }
+
+    restoreHistory(saved, toIndex) {
+        // Commands referring to pages that no longer exist are dropped
+        const restoreState = (type, state) => {
+            if (type === 'citations') {
+                const order = state.map(toIndex);
+                return order.includes(null) ? undefined : order;
+            }
+            if (type === 'cover') return state === null ? null : (toIndex(state) ?? undefined);
+            if (type === 'layers') {
+                // The rect is applied once the layer is on screen, like a share link's
+                const layers = state.layers.map(({ page, rect, ...layer }) => ({ ...layer, pageIndex: toIndex(page), pendingRect: rect || null }));
+                return layers.some(layer => layer.pageIndex == null) ? undefined : { ...state, layers };
+            }
+            return state;
+        };
+        const restore = commands => (commands || []).map(command => ({
+            type: command.type,
+            before: restoreState(command.type, command.before),
+            after: restoreState(command.type, command.after)
+        })).filter(command => command.before !== undefined && command.after !== undefined);
+
+        this.history = { undo: restore(saved && saved.undo), redo: restore(saved && saved.redo) };
+    }
+
     toggleCitationSelection(pageIndex) {
+        if (this.readOnly) return; // Read-only share links cannot change the composition
         console.log('=== TOGGLING CITATION SELECTION ===');
         console.log('Page index:', pageIndex);
         console.log('Currently selected citations:', Array.from(this.selectedCitations));
         
+        const before = this.getOrderedCitations();
         if (this.selectedCitations.has(pageIndex)) {
-            this.selectedCitations.delete(pageIndex);
+            this.setCitationOrder(before.filter(index => index !== pageIndex));
             console.log('Removed citation:', pageIndex);
         } else {
-            this.selectedCitations.add(pageIndex);
+            this.setCitationOrder([...before, pageIndex]);
             console.log('Added citation:', pageIndex);
         }
+        this.recordHistory({ type: 'citations', before, after: this.getOrderedCitations() });
         
         console.log('New citations selection:', Array.from(this.selectedCitations));
         console.log('Cover selected:', this.selectedCover);
-        
-        this.updateThumbnailElement(pageIndex);
-        this.updateSelectionSummary();
-        this.updatePreviewStatus();
-        this.updatePreviewVisibility();
-        
         console.log('=== CITATION SELECTION COMPLETE ===');
     }
 
     toggleCoverSelection(pageIndex) {
+        if (this.readOnly) return;
         console.log('=== TOGGLING COVER SELECTION ===');
         console.log('Page index:', pageIndex);
         console.log('Current cover:', this.selectedCover);
         
         const oldCover = this.selectedCover; // Store old cover before changing
-        
-        if (this.selectedCover === pageIndex) {
-            this.selectedCover = null;
-            console.log('Removed cover selection');
-            
-            // Hide cover container when cover is deselected
-            const coverContainer = document.getElementById('coverImageContainer');
-            if (coverContainer) {
-                coverContainer.classList.add('hidden');
-            }
-        } else {
-            this.selectedCover = pageIndex;
-            console.log('Set cover to:', pageIndex);
-        }
+        this.setSelectedCover(this.selectedCover === pageIndex ? null : pageIndex);
+        this.recordHistory({ type: 'cover', before: oldCover, after: this.selectedCover });
         
         console.log('Citations selected:', Array.from(this.selectedCitations));
         console.log('Cover selected:', this.selectedCover);
+        console.log('=== COVER SELECTION COMPLETE ===');
+    }
+
+    // Change the citation selection (in order) and refresh everything that shows it
+    setCitationOrder(order) {
+        const changed = new Set([...this.selectedCitations, ...order]);
+        this.selectedCitations = new Set(order);
+
+        changed.forEach(pageIndex => this.updateThumbnailElement(pageIndex));
+        this.updateSelectionSummary();
+        this.updatePreviewStatus();
+        this.updatePreviewVisibility();
+        this.updateCaption();
+    }
+
+    setSelectedCover(pageIndex) {
+        const oldCover = this.selectedCover;
+        this.selectedCover = pageIndex;
+
+        if (pageIndex === null) {
+            console.log('Removed cover selection');
+            
+            // Hide cover container when cover is deselected
+            const coverContainer = document.getElementById('coverImageContainer');
+            if (coverContainer) {
+                coverContainer.classList.add('hidden');
+            }
+        } else {
+            console.log('Set cover to:', pageIndex);
+        }
         
         // Update only affected thumbnails for performance
         if (oldCover !== null) {
@@ -1851,8 +2664,6 @@ class PDFComposerApp {
         if (this.selectedCitations.size > 0 && this.selectedCover !== null) {
             this.renderCompositionPreview();
         }
-        
-        console.log('=== COVER SELECTION COMPLETE ===');
     }
 
     updateThumbnailElement(pageIndex) {
@@ -1868,6 +2679,12 @@ class PDFComposerApp {
             coverBtn.textContent = this.selectedCover === pageIndex ? '★' : '☆';
             coverBtn.classList.toggle('active-cover', this.selectedCover === pageIndex);
             
+            const overlayBtn = element.querySelector('.overlay-btn');
+            if (overlayBtn) {
+                overlayBtn.textContent = this.isOverlayLayerPage(pageIndex) ? '◼' : '◫';
+                overlayBtn.classList.toggle('active-overlay', this.isOverlayLayerPage(pageIndex));
+            }
+            
             // Update badges
             const badgesContainer = element.querySelector('.selection-indicators');
             badgesContainer.innerHTML = this.getSelectionBadges(pageIndex);
@@ -1875,12 +2692,20 @@ class PDFComposerApp {
             // Update classes
             this.updateThumbnailClasses(element, pageIndex);
         }
+        this.updatePageSearchResult(pageIndex);
     }
 
 
     goToPage(pageIndex) {
         if (pageIndex >= 0 && pageIndex < this.totalPages) {
+            const previous = document.querySelector(`.thumbnail-item[data-page="${this.currentPage}"]`);
+            if (previous) previous.classList.remove('current-page');
             this.currentPage = pageIndex;
+
+            // Space and C act on the current page, so keep it marked and in view
+            const current = document.querySelector(`.thumbnail-item[data-page="${pageIndex}"]`);
+            if (current) current.classList.add('current-page');
+            this.scrollToThumbnail(pageIndex);
             this.showPagePreview(pageIndex);
         }
     }
@@ -1914,7 +2739,7 @@ class PDFComposerApp {
         composeBtn.disabled = true;
 
         try {
-            const selectedPages = Array.from(this.selectedCitations);
+            const selectedPages = this.getOrderedCitations().map(pageIndex => this.getPageRef(pageIndex));
             const coverPlacement = document.getElementById('coverPlacement')?.value || 'top';
             const exportFormat = document.getElementById('exportFormat')?.value || 'pdf';
 
@@ -1926,7 +2751,7 @@ class PDFComposerApp {
                 body: JSON.stringify({
                     fileId: this.fileId,
                     selectedPages: selectedPages,
-                    coverPage: this.selectedCover,
+                    coverPage: this.selectedCover !== null ? this.getPageRef(this.selectedCover) : null,
                     coverPlacement: coverPlacement,
                     exportFormat: exportFormat
                 })
@@ -2128,7 +2953,7 @@ class PDFComposerApp {
             const contentWidth = pageWidth - (2 * margin);
             
             // Calculate layout based on mode
-            const citationPages = Array.from(this.selectedCitations).sort((a, b) => a - b);
+            const citationPages = this.getOrderedCitations();
             let pagesPerRow, citationWidth, citationHeight;
             
             if (this.overlayMode === 'sidebyside' && this.selectedCover !== null) {
@@ -2305,10 +3130,14 @@ class PDFComposerApp {
             if (transformControls) {
                 transformControls.style.display = 'none';
             }
-            // Disable export button in batch mode (not supported yet)
+            // Batch preview exports one composed page per citation
+            const exportScope = document.getElementById('previewExportScope');
+            if (exportScope) {
+                exportScope.value = 'batch';
+            }
             const exportBtn = document.getElementById('exportPreviewBtn');
             if (exportBtn) {
-                exportBtn.disabled = true;
+                exportBtn.disabled = false;
             }
         }
 
@@ -2318,7 +3147,7 @@ class PDFComposerApp {
         batchPreviewList.innerHTML = '';
 
         // Get selected citation pages
-        const citationPages = Array.from(this.selectedCitations).sort((a, b) => a - b);
+        const citationPages = this.getOrderedCitations();
 
         try {
             // Create preview items for each citation
@@ -2392,6 +3221,7 @@ class PDFComposerApp {
         });
         
         const format = document.getElementById('previewExportFormat').value;
+        const scope = document.getElementById('previewExportScope')?.value || 'single';
         const exportBtn = document.getElementById('exportPreviewBtn');
         const originalText = exportBtn.textContent;
         
@@ -2426,10 +3256,16 @@ class PDFComposerApp {
                 throw new Error('No cover page selected');
             }
             
-            // Use simpler export method
-            await this.exportCurrentComposition(format);
-            
-            this.showToast(`Composition exported as ${format.toUpperCase()}`, 'success');
+            if (scope === 'batch') {
+                await this.exportBatchComposition(format);
+                this.showToast(format === 'pdf'
+                    ? `${this.selectedCitations.size} compositions exported as one PDF`
+                    : `${this.selectedCitations.size} compositions exported as ${format.toUpperCase()} images (ZIP)`, 'success');
+            } else {
+                // Use simpler export method
+                await this.exportCurrentComposition(format);
+                this.showToast(`Composition exported as ${format.toUpperCase()}`, 'success');
+            }
             
         } catch (error) {
             console.error('Export error:', error);
@@ -2462,60 +3298,22 @@ class PDFComposerApp {
         }
 
         try {
-            console.log('=== CALLING CREATE COMPOSITION CANVAS ===');
-            // Create a composite canvas that includes both background and cover
-            // Use different scales for different formats - enhanced for maximum quality
-            let scale = 3; // Default high scale
-            if (format === 'png') scale = 4; // Maximum quality for PNG
-            if (format === 'jpeg') scale = 3; // High quality for JPEG  
-            if (format === 'pdf') scale = 4; // Maximum quality for PDF
-            
-            const exportCanvas = await this.createCompositionCanvas(scale);
-            console.log('=== EXPORT CANVAS CREATED SUCCESSFULLY ===');
-            
-            if (!exportCanvas) {
-                throw new Error('Failed to create export canvas - please ensure composition is rendered first');
-            }
-            
-            console.log('Created export canvas with dimensions:', exportCanvas.width, 'x', exportCanvas.height);
-            console.log('Export format requested:', format);
-            
-            if (exportCanvas.width === 0 || exportCanvas.height === 0) {
-                throw new Error('Export canvas is empty - please ensure composition is rendered first');
+            if (format === 'pdf') {
+                // PDF keeps the source pages as vector content instead of rasterizing them
+                await this.exportCompositionToVectorPDF();
+                console.log('Export completed successfully');
+                return;
             }
 
-            if (format === 'png') {
-                // Export as PNG - wrap in promise to make it awaitable
-                await new Promise((resolve, reject) => {
-                    exportCanvas.toBlob((blob) => {
-                        if (blob) {
-                            this.downloadFile(blob, 'composition.png', 'image/png');
-                            resolve();
-                        } else {
-                            reject(new Error('Failed to create PNG blob'));
-                        }
-                    }, 'image/png', 0.95);
-                });
-            } else if (format === 'jpeg') {
-                // Export as JPEG - wrap in promise to make it awaitable
-                await new Promise((resolve, reject) => {
-                    exportCanvas.toBlob((blob) => {
-                        if (blob) {
-                            this.downloadFile(blob, 'composition.jpg', 'image/jpeg');
-                            resolve();
-                        } else {
-                            reject(new Error('Failed to create JPEG blob'));
-                        }
-                    }, 'image/jpeg', 0.95);
-                });
-            } else if (format === 'pdf') {
-                // Export as PDF using export canvas
-                const imageData = exportCanvas.toDataURL('image/png');
-                if (!imageData || imageData === 'data:,') {
-                    throw new Error('Failed to get preview canvas image data');
-                }
-                await this.exportCanvasToPDF(exportCanvas, imageData);
-            }
+            // Rasterize the vector layout so images carry the cover and every overlay layer exactly as the PDF does
+            const scale = format === 'png' ? 4 : 3; // Maximum quality for PNG, high quality for JPEG
+            const extension = format === 'jpeg' ? 'jpg' : 'png';
+            const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+            const pdfBytes = await this.buildVectorPDF([await this.calculateVectorPDFLayout()]);
+
+            await this.rasterizePDF(pdfBytes, 1, format, scale, blob => {
+                this.downloadFile(blob, `composition.${extension}`, mimeType);
+            });
 
             console.log('Export completed successfully');
 
@@ -2570,6 +3368,254 @@ class PDFComposerApp {
         }
     }
 
+    async exportCompositionToVectorPDF() {
+        console.log('Creating vector PDF for mode:', this.overlayMode);
+
+        try {
+            const layout = await this.calculateVectorPDFLayout();
+            console.log('Vector PDF layout:', layout);
+
+            const pdfBytes = await this.buildVectorPDF([layout]);
+            this.downloadFile(pdfBytes, 'composition.pdf', 'application/pdf');
+
+            console.log('Vector PDF export completed, size:', pdfBytes.length);
+        } catch (error) {
+            console.error('Vector PDF export error:', error);
+            throw new Error('PDF export failed: ' + error.message);
+        }
+    }
+
+    // One composition per citation page, each with the cover overlaid (or beside it) as in the preview.
+    // PDF gives a single multi-page document; PNG/JPEG give a ZIP with one image per composition.
+    async exportBatchComposition(format) {
+        const citationPageIndices = this.getOrderedCitations();
+        console.log(`Creating batch export of ${citationPageIndices.length} compositions as ${format}`);
+
+        const layouts = [];
+        for (const pageIndex of citationPageIndices) {
+            layouts.push(await this.calculateVectorPDFLayout([pageIndex]));
+        }
+        const pdfBytes = await this.buildVectorPDF(layouts);
+
+        if (format === 'pdf') {
+            this.downloadFile(pdfBytes, 'compositions.pdf', 'application/pdf');
+            return;
+        }
+
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip library not available');
+        }
+
+        // Rasterize the batch PDF so the images match the PDF export exactly
+        const zip = new JSZip();
+        const extension = format === 'jpeg' ? 'jpg' : 'png';
+        const scale = format === 'png' ? 4 : 3; // Same quality scales as the single composition export
+
+        await this.rasterizePDF(pdfBytes, layouts.length, format, scale, (blob, pageNum) => {
+            zip.file(`composition-${String(pageNum).padStart(3, '0')}.${extension}`, blob);
+        });
+
+        const zipBlob = await zip.generateAsync({ type: 'blob' });
+        this.downloadFile(zipBlob, 'compositions.zip', 'application/zip');
+    }
+
+    // Render each page of a PDF to a PNG or JPEG blob, handed to onImage in page order. The pages are
+    // rendered in parallel by the render pool, or one at a time here when there is none
+    async rasterizePDF(pdfBytes, pageCount, format, scale, onImage) {
+        if (this.renderWorkers.length > 0) {
+            try {
+                await this.rasterizePDFInWorkers(pdfBytes, pageCount, format, scale, onImage);
+                return;
+            } catch (error) {
+                if (error.delivered > 0) throw error;
+                console.warn('Rendering the export in workers failed, rendering it here:', error);
+            }
+        }
+
+        const extension = format === 'jpeg' ? 'jpg' : 'png';
+        const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+        const pdf = await pdfjsLib.getDocument({ data: pdfBytes }).promise;
+
+        try {
+            for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+                const page = await pdf.getPage(pageNum);
+                const viewport = page.getViewport({ scale });
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(viewport.width);
+                canvas.height = Math.ceil(viewport.height);
+                const context = canvas.getContext('2d');
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+
+                await page.render({ canvasContext: context, viewport }).promise;
+                const blob = await new Promise((resolve, reject) => {
+                    canvas.toBlob(result => result ? resolve(result) : reject(new Error(`Failed to create ${extension.toUpperCase()} blob`)), mimeType, 0.95);
+                });
+                onImage(blob, pageNum);
+
+                page.cleanup();
+                canvas.width = 0; // Release the canvas memory before the next page
+            }
+        } finally {
+            await pdf.destroy();
+        }
+    }
+
+    async rasterizePDFInWorkers(pdfBytes, pageCount, format, scale, onImage) {
+        const documentId = `export_${++this.renderTaskCount}`;
+        // Alongside the thumbnails on screen; the preview's own thumbnails still come first
+        const tasks = [];
+        for (let page = 0; page < pageCount; page++) {
+            tasks.push(this.scheduleRender('RENDER_PAGE', documentId, () => pdfBytes, { page, scale, format, quality: 0.95 }, 0));
+        }
+        tasks.forEach(task => task.promise.catch(() => {})); // Failures surface in page order below
+
+        let delivered = 0;
+        try {
+            for (const task of tasks) {
+                const image = await task.promise;
+                if (!image) {
+                    throw new Error('Export rendering was cancelled');
+                }
+                onImage(image.blob, ++delivered);
+            }
+        } catch (error) {
+            error.delivered = delivered; // Images already handed over can't be taken back
+            throw error;
+        } finally {
+            tasks.forEach(task => this.cancelRender(task));
+            this.closeRenderDocuments(documentId);
+        }
+    }
+
+    // Build a PDF with one page per layout, embedding each source page only once
+    async buildVectorPDF(layouts) {
+        if (typeof PDFLib === 'undefined') {
+            throw new Error('PDF-lib library not available');
+        }
+
+        const pdfDoc = await PDFLib.PDFDocument.create();
+        const sourceDocs = new Map();
+        const embeddedPages = new Map();
+        const annotationFonts = new Map();
+
+        for (const layout of layouts) {
+            const page = pdfDoc.addPage([layout.width, layout.height]);
+
+            for (const placement of layout.placements) {
+                const sourceDocument = this.getDocumentForPage(placement.pageIndex);
+                if (!sourceDocs.has(sourceDocument.fileId)) {
+                    // getData() returns a fresh copy - the buffer handed to pdf.js has been transferred to its worker
+                    const sourceBytes = await sourceDocument.pdf.getData();
+                    sourceDocs.set(sourceDocument.fileId, await PDFLib.PDFDocument.load(sourceBytes));
+                }
+                const sourceDoc = sourceDocs.get(sourceDocument.fileId);
+                const sourcePage = sourceDoc.getPage(placement.pageIndex - sourceDocument.pageOffset);
+
+                const pageRotation = sourcePage.getRotation().angle;
+                const { rotation, crop } = this.getPageTransform(placement.pageIndex);
+
+                if (!embeddedPages.has(placement.pageIndex)) {
+                    // Embed the visible crop box (plus any user crop), which is what pdf.js renders in the preview
+                    const cropBox = sourcePage.getCropBox();
+                    const [left, bottom, right, top] = PageGeometry.getCroppedViewBox(
+                        [cropBox.x, cropBox.y, cropBox.x + cropBox.width, cropBox.y + cropBox.height],
+                        pageRotation,
+                        crop
+                    );
+                    const embedded = await pdfDoc.embedPage(sourcePage, { left, bottom, right, top });
+                    embeddedPages.set(placement.pageIndex, embedded);
+                }
+
+                PageGeometry.drawEmbeddedPage(page, embeddedPages.get(placement.pageIndex), placement, pageRotation + rotation);
+            }
+
+            await this.drawOCRTextLayer(pdfDoc, page, layout, annotationFonts);
+            await this.addSearchHighlightAnnotations(pdfDoc, page, layout);
+            await this.drawAnnotations(pdfDoc, page, annotationFonts);
+        }
+
+        return pdfDoc.save();
+    }
+
+    async calculateVectorPDFLayout(citationPageIndices = this.getOrderedCitations()) {
+        // Returns page rects in PDF points with a top-left origin, mirroring the preview geometry
+
+        const overlayStack = this.getOverlayStack();
+
+        if (this.overlayMode === 'sidebyside') {
+            // Same arrangement as renderSideBySidePreview at native page size:
+            // citations left to right, then the cover and layers in stack order, everything top-aligned
+            const citationViewports = [];
+            for (const pageIndex of citationPageIndices) {
+                const page = await this.currentPDF.getPage(pageIndex + 1);
+                citationViewports.push(page.getViewport({ scale: 1 }));
+            }
+
+            const totalCitationWidth = citationViewports.reduce((sum, vp) => sum + vp.width, 0);
+            const citationStep = totalCitationWidth / citationViewports.length;
+            const placements = citationViewports.map((viewport, i) => ({
+                pageIndex: citationPageIndices[i],
+                x: citationStep * i,
+                y: 0,
+                width: viewport.width,
+                height: viewport.height
+            }));
+
+            let x = totalCitationWidth;
+            for (const { pageIndex } of overlayStack) {
+                const page = await this.currentPDF.getPage(pageIndex + 1);
+                const viewport = page.getViewport({ scale: 1 });
+                placements.push({ pageIndex, x, y: 0, width: viewport.width, height: viewport.height });
+                x += viewport.width;
+            }
+
+            return {
+                width: x,
+                height: Math.max(...placements.map(placement => placement.height)),
+                placements
+            };
+        }
+
+        // Custom overlay: first citation fitted into the preview canvas, cover and layers where the user put them
+        const previewCanvas = document.getElementById('previewCanvas');
+        const canvasWidth = previewCanvas ? previewCanvas.width : 800;
+        const canvasHeight = previewCanvas ? previewCanvas.height : 1131;
+
+        const backgroundPageIndex = citationPageIndices[0];
+        const backgroundPage = await this.currentPDF.getPage(backgroundPageIndex + 1);
+        const backgroundViewport = backgroundPage.getViewport({ scale: 1 });
+
+        const fitScale = Math.min(canvasWidth / backgroundViewport.width, canvasHeight / backgroundViewport.height);
+        // Convert canvas pixels to points so the background page keeps its original size
+        const toPoints = 1 / fitScale;
+        const overlays = overlayStack.map(({ pageIndex, transform }) => {
+            const rect = this.calculateOverlayDimensions(transform, canvasWidth, canvasHeight);
+            return {
+                pageIndex,
+                x: rect.x * toPoints,
+                y: rect.y * toPoints,
+                width: rect.width * toPoints,
+                height: rect.height * toPoints
+            };
+        });
+
+        return {
+            width: canvasWidth * toPoints,
+            height: canvasHeight * toPoints,
+            placements: [
+                {
+                    pageIndex: backgroundPageIndex,
+                    x: (canvasWidth - backgroundViewport.width * fitScale) / 2 * toPoints,
+                    y: (canvasHeight - backgroundViewport.height * fitScale) / 2 * toPoints,
+                    width: backgroundViewport.width,
+                    height: backgroundViewport.height
+                },
+                ...overlays
+            ]
+        };
+    }
+
     downloadFile(data, filename, mimeType) {
         console.log('Downloading file:', filename, 'Type:', mimeType);
         console.log('Data type:', data instanceof Blob ? 'Blob' : typeof data);
@@ -3000,7 +4046,7 @@ class PDFComposerApp {
         context.fillRect(0, 0, canvasWidth, canvasHeight);
         
         // Get citation and cover pages
-        const citationPageIndices = Array.from(this.selectedCitations).sort((a, b) => a - b);
+        const citationPageIndices = this.getOrderedCitations();
         const firstCitationPageIndex = citationPageIndices[0];
         const citationPage = await this.currentPDF.getPage(firstCitationPageIndex + 1);
         const coverPage = await this.currentPDF.getPage(this.selectedCover + 1);
@@ -3079,7 +4125,7 @@ class PDFComposerApp {
         console.log('Rendering composition with custom cover positioning');
         
         // Get the first selected citation page to use as background
-        const citationPages = Array.from(this.selectedCitations).sort((a, b) => a - b);
+        const citationPages = this.getOrderedCitations();
         const backgroundPageIndex = citationPages[0];
         
         console.log('Using citation page', backgroundPageIndex, 'as background');
@@ -3161,17 +4207,22 @@ class PDFComposerApp {
     }
 
     calculateCoverDimensions(canvasWidth, canvasHeight) {
+        return this.calculateOverlayDimensions(this.coverTransform, canvasWidth, canvasHeight);
+    }
+
+    // Where an overlay (the cover or an extra layer) lands on a canvas of the given size
+    calculateOverlayDimensions(transform, canvasWidth, canvasHeight) {
         console.log('=== CALCULATING COVER DIMENSIONS FOR EXPORT ===');
         console.log('Export canvas size:', canvasWidth, 'x', canvasHeight);
-        console.log('Current cover transform:', this.coverTransform);
+        console.log('Current cover transform:', transform);
         
         // Validate coverTransform object
-        if (!this.coverTransform || 
-            typeof this.coverTransform.originalWidth === 'undefined' ||
-            typeof this.coverTransform.originalHeight === 'undefined' ||
-            typeof this.coverTransform.scale === 'undefined' ||
-            typeof this.coverTransform.x === 'undefined' ||
-            typeof this.coverTransform.y === 'undefined') {
+        if (!transform || 
+            typeof transform.originalWidth === 'undefined' ||
+            typeof transform.originalHeight === 'undefined' ||
+            typeof transform.scale === 'undefined' ||
+            typeof transform.x === 'undefined' ||
+            typeof transform.y === 'undefined') {
             console.warn('Invalid cover transform - using default values');
             const defaultWidth = canvasWidth * 0.25;
             const defaultHeight = canvasHeight * 0.35;
@@ -3220,8 +4271,8 @@ class PDFComposerApp {
             const citationTop = canvasRect.top - containerRect.top;
             
             // Convert cover position from container coordinates to citation page relative coordinates
-            const citationRelativeX = this.coverTransform.x - citationLeft;
-            const citationRelativeY = this.coverTransform.y - citationTop;
+            const citationRelativeX = transform.x - citationLeft;
+            const citationRelativeY = transform.y - citationTop;
             
             // Convert to relative positioning within the canvas
             const relativeX = citationRelativeX / previewWidth;
@@ -3232,11 +4283,11 @@ class PDFComposerApp {
             coverY = relativeY * canvasHeight;
             
             // Calculate cover dimensions - scale should be relative to export canvas size
-            coverWidth = this.coverTransform.originalWidth * this.coverTransform.scale * scaleRatio;
-            coverHeight = this.coverTransform.originalHeight * this.coverTransform.scale * scaleRatio;
+            coverWidth = transform.originalWidth * transform.scale * scaleRatio;
+            coverHeight = transform.originalHeight * transform.scale * scaleRatio;
             
             console.log('Cover coordinate conversion:', {
-                containerCoords: { x: this.coverTransform.x, y: this.coverTransform.y },
+                containerCoords: { x: transform.x, y: transform.y },
                 citationBounds: { left: citationLeft, top: citationTop },
                 relativeCoords: { x: citationRelativeX, y: citationRelativeY },
                 normalizedCoords: { x: relativeX, y: relativeY },
@@ -3245,14 +4296,14 @@ class PDFComposerApp {
         } else {
             // Fallback if container not found - use direct scaling
             console.warn('Container not found, using direct coordinate scaling');
-            coverWidth = this.coverTransform.originalWidth * this.coverTransform.scale * scaleRatio;
-            coverHeight = this.coverTransform.originalHeight * this.coverTransform.scale * scaleRatio;
-            coverX = this.coverTransform.x * scaleRatio;
-            coverY = this.coverTransform.y * scaleRatio;
+            coverWidth = transform.originalWidth * transform.scale * scaleRatio;
+            coverHeight = transform.originalHeight * transform.scale * scaleRatio;
+            coverX = transform.x * scaleRatio;
+            coverY = transform.y * scaleRatio;
         }
         
         // Validate dimensions - if they're invalid, use fallback values
-        if (coverWidth <= 0 || coverHeight <= 0 || this.coverTransform.originalWidth <= 0) {
+        if (coverWidth <= 0 || coverHeight <= 0 || transform.originalWidth <= 0) {
             console.warn('Invalid cover dimensions detected, using fallback values');
             const fallbackWidth = canvasWidth * 0.25;
             const fallbackHeight = canvasHeight * 0.25;
@@ -3506,7 +4557,7 @@ class PDFComposerApp {
         const margin = 40;
         const contentWidth = pageWidth - (2 * margin);
         
-        const citationPages = Array.from(this.selectedCitations).sort((a, b) => a - b);
+        const citationPages = this.getOrderedCitations();
         const pagesPerRow = Math.min(2, citationPages.length);
         const citationWidth = contentWidth / pagesPerRow;
         const citationHeight = citationWidth * 1.4;
@@ -3579,6 +4630,9 @@ class PDFComposerApp {
             console.log('File input reset immediately');
         }
         
+        // Save any pending change before the workspace is cleared
+        this.flushSessionSave();
+        this.setReadOnly(false);
         this.cancelAllOperations();
         
         // Reset UI state
@@ -3603,6 +4657,10 @@ class PDFComposerApp {
         
         // Clear any stored file info
         this.currentFileInfo = null;
+
+        // The saved session stays available from the restore button, but isn't reopened on reload
+        localStorage.removeItem('pdfComposer:sessionOpen');
+        this.updateRestoreSessionButton();
     }
 
     cancelAllOperations() {
@@ -3631,14 +4689,6 @@ class PDFComposerApp {
         // Cancel any ongoing render tasks
         this.cancelCurrentRenderTask();
         
-        // Cancel worker tasks
-        if (this.thumbnailWorker && this.currentTaskId) {
-            this.thumbnailWorker.postMessage({
-                type: 'CANCEL',
-                taskId: this.currentTaskId
-            });
-        }
-        
         // Clear all intervals and timeouts
         if (this.progressInterval) {
             clearInterval(this.progressInterval);
@@ -3663,11 +4713,10 @@ class PDFComposerApp {
         // Reset processing state
         this.isProcessing = false;
         this.processingStartTime = null;
-        this.currentTaskId = null;
         
-        // Clear PDF and buffer references
+        // Clear PDF references
         this.currentPDF = null;
-        this.pdfArrayBuffer = null;
+        this.documents = [];
         
         // Keep cancellation flag true until explicitly reset by new upload
         // Don't reset it here - let the next upload operation reset it
@@ -4133,7 +5182,7 @@ class PDFComposerApp {
         context.fillRect(0, 0, canvasWidth, canvasHeight);
 
         // Render citations
-        const citationPages = Array.from(this.selectedCitations).sort((a, b) => a - b);
+        const citationPages = this.getOrderedCitations();
         const cols = Math.ceil(Math.sqrt(citationPages.length));
         const rows = Math.ceil(citationPages.length / cols);
         
@@ -4272,7 +5321,7 @@ class PDFComposerApp {
         context.fillRect(0, 0, canvasWidth, canvasHeight);
 
         // Get the first citation page (assuming single citation for side-by-side)
-        const citationPages = Array.from(this.selectedCitations).sort((a, b) => a - b);
+        const citationPages = this.getOrderedCitations();
         const citationPageIndex = citationPages[0];
         
         // Get page dimensions to maintain aspect ratio
@@ -4356,7 +5405,7 @@ class PDFComposerApp {
             const context = canvas.getContext('2d');
             
             // Get first citation page for background
-            const citationPageIndices = Array.from(this.selectedCitations).sort((a, b) => a - b);
+            const citationPageIndices = this.getOrderedCitations();
             const firstCitationPageIndex = citationPageIndices[0];
             const citationPage = await this.currentPDF.getPage(firstCitationPageIndex + 1);
             const citationViewport = citationPage.getViewport({ scale: 1 });
@@ -4418,7 +5467,7 @@ class PDFComposerApp {
             const container = canvas.parentElement;
             
             // Get all citation pages and cover page
-            const citationPageIndices = Array.from(this.selectedCitations).sort((a, b) => a - b);
+            const citationPageIndices = this.getOrderedCitations();
             const coverPageIndex = this.selectedCover;
             
             // Load all pages
@@ -4715,7 +5764,7 @@ class PDFComposerApp {
 
         try {
             // Get all citation pages for multi-citation support
-            const citationPageIndices = Array.from(this.selectedCitations).sort((a, b) => a - b);
+            const citationPageIndices = this.getOrderedCitations();
             const firstCitationPageIndex = citationPageIndices[0];
             
             // Get first citation page for canvas sizing
@@ -4865,6 +5914,8 @@ class PDFComposerApp {
                 await this.setupInteractiveCover();
                 console.log('Interactive cover setup complete');
             }
+            await this.renderOverlayLayers();
+            await this.layoutSearchHighlights();
             
             console.log('Composition preview complete');
             
@@ -4897,7 +5948,7 @@ class PDFComposerApp {
         
         try {
             // Get all citation pages and cover page
-            const citationPageIndices = Array.from(this.selectedCitations).sort((a, b) => a - b);
+            const citationPageIndices = this.getOrderedCitations();
             const coverPageIndex = this.selectedCover;
             
             // Load all pages
@@ -5061,8 +6112,7 @@ class PDFComposerApp {
 
         try {
             // Get all citation pages and cover page
-            const citationPageIndices = Array.from(this.selectedCitations).sort((a, b) => a - b);
-            const coverPageIndex = this.selectedCover;
+            const citationPageIndices = this.getOrderedCitations();
             
             // Load all pages
             const citationPages = [];
@@ -5075,8 +6125,16 @@ class PDFComposerApp {
                 citationViewports.push(viewport);
             }
             
-            const coverPage = await this.currentPDF.getPage(coverPageIndex + 1);
-            const coverViewport = coverPage.getViewport({ scale: 1 });
+            // The cover and any overlay layers follow the citations in stack order
+            const stackPages = [];
+            for (const { pageIndex } of this.getOverlayStack()) {
+                const page = await this.currentPDF.getPage(pageIndex + 1);
+                stackPages.push({ pageIndex, page, viewport: page.getViewport({ scale: 1 }) });
+            }
+            const coverViewport = {
+                width: stackPages.reduce((sum, entry) => sum + entry.viewport.width, 0),
+                height: Math.max(...stackPages.map(entry => entry.viewport.height))
+            };
             
             // Calculate available viewport space for responsive scaling
             const viewportWidth = window.innerWidth;
@@ -5184,26 +6242,27 @@ class PDFComposerApp {
                 currentX += citationWidth;
             }
             
-            // Render cover page with responsive scaling
+            // Render the cover and layers with responsive scaling
             const finalCoverScale = optimalScale;
             
-            const scaledCoverWidth = coverViewport.width * finalCoverScale;
-            const scaledCoverHeight = coverViewport.height * finalCoverScale;
-            
             // Position to fill the allocated space
-            const coverX = citationSectionWidth;
+            let coverX = citationSectionWidth;
             const coverY = 0; // Top-aligned
             
-            console.log(`Rendering cover page ${coverPageIndex + 1} at scale ${finalCoverScale.toFixed(3)}`);
-            context.save();
-            context.translate(coverX, coverY);
-            await coverPage.render({
-                canvasContext: context,
-                viewport: coverPage.getViewport({ scale: finalCoverScale })
-            }).promise;
-            context.restore();
+            for (const { pageIndex, page, viewport } of stackPages) {
+                console.log(`Rendering overlay page ${pageIndex + 1} at scale ${finalCoverScale.toFixed(3)}`);
+                context.save();
+                context.translate(coverX, coverY);
+                await page.render({
+                    canvasContext: context,
+                    viewport: page.getViewport({ scale: finalCoverScale })
+                }).promise;
+                context.restore();
+                coverX += viewport.width * finalCoverScale;
+            }
             
             console.log('Side by side preview complete with dynamic scaling');
+            await this.layoutSearchHighlights();
             
             // Enable export button
             const exportBtn = document.getElementById('exportPreviewBtn');
@@ -5227,7 +6286,7 @@ class PDFComposerApp {
     async createNewSideBySideExportCanvas(exportScale = 4) {
         console.log('CREATING SIDE BY SIDE EXPORT CANVAS');
         
-        const citationPageIndices = Array.from(this.selectedCitations).sort((a, b) => a - b);
+        const citationPageIndices = this.getOrderedCitations();
         const coverPageIndex = this.selectedCover;
         
         if (citationPageIndices.length === 0 || coverPageIndex === null) {
@@ -5363,7 +6422,7 @@ class PDFComposerApp {
     async createNewCustomOverlayExportCanvas(exportScale = 4) {
         console.log('CREATING CUSTOM OVERLAY EXPORT CANVAS');
         
-        const citationPageIndices = Array.from(this.selectedCitations).sort((a, b) => a - b);
+        const citationPageIndices = this.getOrderedCitations();
         const coverPageIndex = this.selectedCover;
         
         if (citationPageIndices.length === 0 || coverPageIndex === null) {
@@ -5572,171 +6631,2290 @@ class PDFComposerApp {
             }).promise;
             context.restore();
         }
-        
-        console.log('Custom overlay export completed');
-        return exportCanvas;
+        
+        console.log('Custom overlay export completed');
+        return exportCanvas;
+    }
+
+    showPagePreview(pageIndex) {
+        console.log('SHOW PAGE PREVIEW:', pageIndex);
+        this.currentPreviewPage = pageIndex;
+        // Clear composition state when showing single page
+        // Don't clear selections, just show the page
+        this.updatePreview();
+    }
+
+    updatePreviewVisibility() {
+        this.updatePreview();
+    }
+
+    updatePreview() {
+        console.log('UPDATE PREVIEW: Citations =', Array.from(this.selectedCitations), 'Cover =', this.selectedCover, 'CurrentPage =', this.currentPreviewPage);
+        
+        const previewPanel = document.getElementById('previewPanel');
+        const resetCoverBtn = document.getElementById('resetCoverBtn');
+        
+        if (!previewPanel) {
+            console.error('Preview panel not found!');
+            return;
+        }
+
+        if (!this.currentPDF) {
+            previewPanel.classList.add('hidden');
+            return;
+        }
+        
+        previewPanel.classList.remove('hidden');
+        
+        // Priority 1: Show composition if citations are selected (cover is optional)
+        if (this.selectedCitations.size > 0) {
+            console.log('SHOWING COMPOSITION PREVIEW');
+            this.generateCompositionPreview();
+            if (resetCoverBtn) resetCoverBtn.style.display = this.selectedCover !== null ? 'block' : 'none';
+            return;
+        }
+        
+        // Single pages have no overlays or annotations
+        document.querySelectorAll('.overlay-layer, #annotationLayer').forEach(element => element.classList.add('hidden'));
+        
+        // Priority 2: Show current preview page if set
+        if (this.currentPreviewPage !== null && this.currentPreviewPage >= 0) {
+            console.log('SHOWING SINGLE PAGE PREVIEW:', this.currentPreviewPage);
+            this.renderSinglePagePreview(this.currentPreviewPage);
+            if (resetCoverBtn) resetCoverBtn.style.display = 'none';
+            return;
+        }
+        
+        // Priority 3: Show first page as fallback
+        console.log('SHOWING FALLBACK PAGE PREVIEW');
+        this.renderSinglePagePreview(0);
+        if (resetCoverBtn) resetCoverBtn.style.display = 'none';
+    }
+
+    async renderSinglePagePreview(pageIndex) {
+        console.log('RENDER SINGLE PAGE:', pageIndex);
+        
+        if (!this.currentPDF || pageIndex < 0 || pageIndex >= this.totalPages) {
+            console.error('Invalid page index:', pageIndex);
+            return;
+        }
+
+        const canvas = document.getElementById('previewCanvas');
+        if (!canvas) return;
+        
+        // Hide interactive cover when showing single page
+        const coverContainer = document.getElementById('coverImageContainer');
+        if (coverContainer) {
+            coverContainer.classList.add('hidden');
+        }
+        
+        // Cancel any existing render task
+        if (this.currentRenderTask) {
+            console.log('Cancelling existing render task');
+            this.currentRenderTask.cancel();
+            this.currentRenderTask = null;
+        }
+        
+        const context = canvas.getContext('2d');
+        const container = canvas.parentElement;
+
+        try {
+            // Get the page
+            const page = await this.currentPDF.getPage(pageIndex + 1);
+            const viewport = page.getViewport({ scale: 1 });
+            
+            // Calculate canvas size - use optimal dimensions for readability
+            const aspectRatio = viewport.width / viewport.height;
+            
+            // Calculate canvas size for optimal readability - make it much larger
+            const containerRect = container.getBoundingClientRect();
+            const availableWidth = containerRect.width - 60; // Leave some padding
+            const availableHeight = window.innerHeight - 300; // Account for header and controls
+            
+            // Make canvas much smaller to fit content tightly
+            let targetWidth = Math.min(400, viewport.width * 0.8); // Much smaller, fixed max
+            let targetHeight = targetWidth / aspectRatio;
+            
+            // Keep it readable but compact
+            if (targetHeight > 600) {
+                targetHeight = 600;
+                targetWidth = targetHeight * aspectRatio;
+            }
+            
+            let canvasWidth = targetWidth;
+            let canvasHeight = targetHeight;
+            
+            // Set canvas dimensions
+            canvas.width = canvasWidth;
+            canvas.height = canvasHeight;
+            canvas.style.display = 'block';
+            canvas.style.margin = '0';
+            canvas.style.padding = '0';
+            canvas.style.verticalAlign = 'top';
+            
+            // Remove all padding and ensure container fits exactly to canvas size
+            container.style.background = 'transparent';
+            container.style.padding = '0px';
+            container.style.margin = '0px';
+            container.style.width = canvasWidth + 'px';
+            container.style.height = canvasHeight + 'px';
+            
+            // Hide placeholder
+            const placeholder = container.querySelector('.preview-placeholder');
+            if (placeholder) placeholder.style.display = 'none';
+            
+            // Clear canvas with white background
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvasWidth, canvasHeight);
+            
+            // Render the page
+            const scale = canvasWidth / viewport.width;
+            const scaledViewport = page.getViewport({ scale });
+            
+            this.currentRenderTask = page.render({
+                canvasContext: context,
+                viewport: scaledViewport
+            });
+            
+            try {
+                await this.currentRenderTask.promise;
+                this.currentRenderTask = null;
+            } catch (error) {
+                if (error.name === 'RenderingCancelledException') {
+                    console.log('Render cancelled, ignoring');
+                    return;
+                }
+                throw error;
+            }
+            
+            console.log('Single page preview rendered for page:', pageIndex);
+            
+            // Update export button state for single page preview
+            const exportBtn = document.getElementById('exportPreviewBtn');
+            if (exportBtn) {
+                exportBtn.disabled = !(this.selectedCitations.size > 0);
+            }
+            
+        } catch (error) {
+            console.error('Error rendering single page preview:', error);
+            this.showToast('Failed to render page preview', 'error');
+        }
+    }
+
+    // ============== OVERLAY LAYERS ==============
+    // Besides the cover, any page can be inset onto the citation page as an extra layer with its own
+    // position, scale and z-order. Layers share the cover's transform shape and interaction handlers.
+
+    getCoverOverlay() {
+        return { id: 'cover', pageIndex: this.selectedCover, transform: this.coverTransform, container: document.getElementById('coverImageContainer') };
+    }
+
+    getOverlayElement(id) {
+        return document.querySelector(`.overlay-layer[data-overlay-id="${id}"]`);
+    }
+
+    getActiveOverlay() {
+        const layer = this.overlayLayers.find(candidate => candidate.id === this.activeOverlay);
+        return layer
+            ? { id: layer.id, pageIndex: layer.pageIndex, transform: layer, container: this.getOverlayElement(layer.id) }
+            : this.getCoverOverlay();
+    }
+
+    // Everything drawn over the citation page, bottom to top
+    getOverlayStack() {
+        const stack = this.overlayLayers.map(layer => ({ id: layer.id, pageIndex: layer.pageIndex, transform: layer }));
+        if (this.selectedCover !== null) {
+            stack.push({ id: 'cover', pageIndex: this.selectedCover, transform: this.coverTransform });
+        }
+        return stack.sort((a, b) => (a.transform.zIndex || 0) - (b.transform.zIndex || 0));
+    }
+
+    createOverlayLayer({ id, pageIndex, x = null, y = null, scale = 0.25, zIndex = 0, rect = null }) {
+        return {
+            id: id || `layer-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            pageIndex,
+            x,
+            y,
+            scale,
+            zIndex,
+            pendingRect: rect, // Normalized rect from a share link, applied once the layer is on screen
+            isDragging: false,
+            isResizing: false,
+            startX: 0,
+            startY: 0,
+            startScale: scale,
+            originalWidth: 0,
+            originalHeight: 0,
+            minScale: 0.1,
+            maxScale: 2.0
+        };
+    }
+
+    isOverlayLayerPage(pageIndex) {
+        return this.overlayLayers.some(layer => layer.pageIndex === pageIndex);
+    }
+
+    toggleOverlayLayer(pageIndex) {
+        if (this.readOnly) return;
+
+        const before = this.getLayersState();
+        if (this.isOverlayLayerPage(pageIndex)) {
+            this.overlayLayers = this.overlayLayers.filter(layer => layer.pageIndex !== pageIndex);
+        } else {
+            const topZIndex = Math.max(0, ...this.getOverlayStack().map(entry => entry.transform.zIndex || 0));
+            const layer = this.createOverlayLayer({ pageIndex, zIndex: topZIndex + 1 });
+            this.overlayLayers.push(layer);
+            this.activeOverlay = layer.id;
+        }
+        console.log('Overlay layers:', this.overlayLayers.map(layer => layer.pageIndex));
+
+        this.recordHistory({ type: 'layers', before, after: this.getLayersState() });
+        this.onOverlayLayersChanged([pageIndex]);
+    }
+
+    removeActiveOverlay() {
+        const { id, pageIndex } = this.getActiveOverlay();
+        if (id !== 'cover') {
+            this.toggleOverlayLayer(pageIndex);
+        }
+    }
+
+    // Move the selected overlay one step up (1) or down (-1) in the stack
+    moveActiveOverlay(direction) {
+        if (this.readOnly) return;
+
+        const stack = this.getOverlayStack();
+        const position = stack.findIndex(entry => entry.id === this.getActiveOverlay().id);
+        const target = position + direction;
+        if (position < 0 || target < 0 || target >= stack.length) return;
+
+        const before = this.getLayersState();
+        [stack[position], stack[target]] = [stack[target], stack[position]];
+        stack.forEach((entry, zIndex) => {
+            entry.transform.zIndex = zIndex;
+        });
+
+        this.recordHistory({ type: 'layers', before, after: this.getLayersState() });
+        this.onOverlayLayersChanged([]);
+    }
+
+    getLayersState() {
+        return {
+            coverZIndex: this.coverTransform.zIndex || 0,
+            layers: this.overlayLayers.map(({ id, pageIndex, x, y, scale, zIndex }) => ({ id, pageIndex, x, y, scale, zIndex }))
+        };
+    }
+
+    applyLayersState(state) {
+        const previous = new Map(this.overlayLayers.map(layer => [layer.id, layer]));
+        const changedPages = this.overlayLayers.map(layer => layer.pageIndex);
+
+        this.coverTransform.zIndex = state.coverZIndex;
+        this.overlayLayers = state.layers.map(saved => Object.assign(previous.get(saved.id) || this.createOverlayLayer(saved), saved));
+        this.onOverlayLayersChanged([...changedPages, ...this.overlayLayers.map(layer => layer.pageIndex)]);
+    }
+
+    onOverlayLayersChanged(pageIndices) {
+        if (!this.overlayLayers.some(layer => layer.id === this.activeOverlay)) {
+            this.activeOverlay = 'cover';
+        }
+        new Set(pageIndices).forEach(pageIndex => this.updateThumbnailElement(pageIndex));
+        this.renderOverlayLayers();
+        this.scheduleSessionSave();
+    }
+
+    setActiveOverlay(id) {
+        this.activeOverlay = this.overlayLayers.some(layer => layer.id === id) ? id : 'cover';
+        document.querySelectorAll('[data-overlay-id]').forEach(element => {
+            element.classList.toggle('selected', element.dataset.overlayId === this.activeOverlay);
+        });
+        this.updateOverlayActions();
+    }
+
+    selectOverlayFromEvent(event) {
+        const element = event.target && event.target.closest ? event.target.closest('[data-overlay-id]') : null;
+        if (element && element.dataset.overlayId !== this.activeOverlay) {
+            this.setActiveOverlay(element.dataset.overlayId);
+            this.updateCoverTransformInfo();
+        }
+    }
+
+    updateOverlayActions() {
+        const stack = this.getOverlayStack();
+        const position = stack.findIndex(entry => entry.id === this.getActiveOverlay().id);
+        const raiseBtn = document.getElementById('raiseOverlayBtn');
+        const lowerBtn = document.getElementById('lowerOverlayBtn');
+        const removeBtn = document.getElementById('removeOverlayBtn');
+
+        if (raiseBtn) raiseBtn.disabled = position < 0 || position === stack.length - 1;
+        if (lowerBtn) lowerBtn.disabled = position <= 0;
+        if (removeBtn) removeBtn.disabled = this.activeOverlay === 'cover';
+    }
+
+    // Create, position and stack the preview elements of the extra layers
+    async renderOverlayLayers() {
+        const previewCanvasContainer = document.querySelector('.preview-canvas-container');
+        if (!previewCanvasContainer) return;
+
+        previewCanvasContainer.querySelectorAll('.overlay-layer').forEach(element => {
+            if (!this.overlayLayers.some(layer => layer.id === element.dataset.overlayId)) {
+                element.remove();
+            }
+        });
+
+        const coverContainer = document.getElementById('coverImageContainer');
+        if (coverContainer) {
+            coverContainer.dataset.overlayId = 'cover';
+            coverContainer.style.zIndex = 1 + (this.coverTransform.zIndex || 0);
+        }
+
+        const showLayers = this.overlayMode === 'custom' && this.selectedCitations.size > 0 && this.selectedCover !== null;
+        for (const layer of this.overlayLayers) {
+            const element = this.getOverlayElement(layer.id) || await this.createOverlayLayerElement(layer, previewCanvasContainer);
+            if (!element) continue;
+            element.classList.toggle('hidden', !showLayers);
+            this.positionOverlay({ transform: layer, container: element });
+        }
+
+        this.setActiveOverlay(this.activeOverlay);
+    }
+
+    async createOverlayLayerElement(layer, previewCanvasContainer) {
+        const thumbnail = await this.loadThumbnail(layer.pageIndex);
+        let src = thumbnail && (thumbnail.buffer || thumbnail.url || this.getServerThumbnailURL(layer.pageIndex, thumbnail.width));
+        if (!src) {
+            console.warn('No thumbnail for overlay layer page', layer.pageIndex);
+            return null;
+        }
+        if (thumbnail.buffer && !thumbnail.buffer.startsWith('data:')) {
+            src = `data:image/png;base64,${thumbnail.buffer}`;
+        }
+
+        // Same markup as the cover so it shares the cover's styles and selection handles
+        const element = document.createElement('div');
+        element.className = 'cover-image-container overlay-layer';
+        element.dataset.overlayId = layer.id;
+        element.innerHTML = `
+            <canvas class="cover-canvas"></canvas>
+            <div class="cover-controls">
+                <div class="resize-handle resize-handle-se"></div>
+            </div>
+        `;
+        previewCanvasContainer.insertBefore(element, document.getElementById('interactionOverlay'));
+
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = reject;
+            image.src = src;
+        });
+
+        const canvas = element.querySelector('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        element.style.width = image.width + 'px';
+        element.style.height = image.height + 'px';
+        layer.originalWidth = image.width;
+        layer.originalHeight = image.height;
+
+        const overlay = { transform: layer, container: element };
+        if (layer.pendingRect && this.applyNormalizedOverlayRect(layer.pendingRect, overlay)) {
+            layer.pendingRect = null;
+        } else if (layer.x === null || layer.y === null) {
+            // New layers cascade down from the top-left corner
+            const offset = 20 + 30 * this.overlayLayers.indexOf(layer);
+            const position = this.constrainCoverPosition(offset, offset, overlay);
+            layer.x = position.x;
+            layer.y = position.y;
+        }
+
+        // The document-level move/up listeners are the cover's
+        if (!this.boundCoverEventListeners) {
+            this.setupCoverEventListeners();
+        }
+        element.addEventListener('mousedown', event => this.handleCoverMouseDown(event));
+        element.addEventListener('touchstart', event => this.handleCoverTouchStart(event));
+        element.addEventListener('wheel', event => this.handleCoverWheel(event));
+        element.querySelector('.resize-handle').addEventListener('mousedown', event => this.handleResizeMouseDown(event));
+
+        return element;
+    }
+
+    // ============== ANNOTATIONS ==============
+    // Annotations are kept in fractions of the composition page (the preview canvas), so the same
+    // numbers place them in the preview and on every exported page. Text sizes are fractions of the page height.
+
+    async loadAnnotationFonts() {
+        const response = await fetch('/api/fonts');
+        if (!response.ok) {
+            throw new Error(`Font list failed: ${response.statusText}`);
+        }
+        const { fonts } = await response.json();
+
+        // Make the fonts available to the preview under their family names
+        for (const font of fonts) {
+            const face = new FontFace(font.family, `url(${font.url})`);
+            document.fonts.add(await face.load());
+        }
+        this.annotationFonts = fonts;
+
+        const fontSelect = document.getElementById('annotationFont');
+        if (fontSelect) {
+            fontSelect.innerHTML = ['Helvetica', ...fonts.map(font => font.family)]
+                .map(family => `<option value="${family}">${family}</option>`)
+                .join('');
+        }
+        console.log('Annotation fonts:', fonts.map(font => font.family));
+    }
+
+    createAnnotation(type) {
+        const font = document.getElementById('annotationFont')?.value || 'Helvetica';
+        const fontSize = parseFloat(document.getElementById('annotationSize')?.value) || 0.02;
+        const color = document.getElementById('annotationColor')?.value || '#000000';
+        const id = `ann-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+        switch (type) {
+            case 'text':
+                return { id, type, x: 0.05, y: 0.9, width: 0.5, height: fontSize * 1.2, text: 'Source: ', font, fontSize, color };
+            case 'rect':
+                return { id, type, x: 0.1, y: 0.1, width: 0.3, height: 0.15, color };
+            case 'arrow':
+                // Drawn from (x, y) to (x + width, y + height)
+                return { id, type, x: 0.2, y: 0.2, width: 0.2, height: 0.1, color };
+            case 'highlight':
+                return { id, type, x: 0.1, y: 0.3, width: 0.4, height: 0.03, color: '#ffeb3b' };
+            default:
+                throw new Error(`Unknown annotation type: ${type}`);
+        }
+    }
+
+    addAnnotation(type) {
+        if (this.readOnly || this.selectedCitations.size === 0) return;
+
+        const before = this.getAnnotationsState();
+        const annotation = this.createAnnotation(type);
+        this.annotations.push(annotation);
+        this.selectedAnnotation = annotation.id;
+        this.recordHistory({ type: 'annotations', before, after: this.getAnnotationsState() });
+
+        this.renderAnnotations();
+        this.scheduleSessionSave();
+    }
+
+    deleteSelectedAnnotation() {
+        if (this.readOnly || !this.selectedAnnotation) return;
+
+        const before = this.getAnnotationsState();
+        this.annotations = this.annotations.filter(annotation => annotation.id !== this.selectedAnnotation);
+        this.selectedAnnotation = null;
+        this.recordHistory({ type: 'annotations', before, after: this.getAnnotationsState() });
+
+        this.renderAnnotations();
+        this.scheduleSessionSave();
+    }
+
+    // Apply text, font, size or color changes to one annotation
+    updateAnnotation(id, changes) {
+        const annotation = this.annotations.find(candidate => candidate.id === id);
+        if (this.readOnly || !annotation) return;
+
+        const before = this.getAnnotationsState();
+        if (annotation.type !== 'text') {
+            delete changes.font;
+            delete changes.fontSize;
+        }
+        Object.assign(annotation, changes);
+        this.recordHistory({ type: 'annotations', before, after: this.getAnnotationsState() });
+
+        this.renderAnnotations();
+        this.scheduleSessionSave();
+    }
+
+    getAnnotationsState() {
+        return this.annotations.map(annotation => ({ ...annotation }));
+    }
+
+    applyAnnotationsState(state) {
+        this.annotations = state.map(annotation => ({ ...annotation }));
+        if (!this.annotations.some(annotation => annotation.id === this.selectedAnnotation)) {
+            this.selectedAnnotation = null;
+        }
+        this.renderAnnotations();
+        this.scheduleSessionSave();
+    }
+
+    selectAnnotation(id) {
+        this.selectedAnnotation = id;
+        document.querySelectorAll('[data-annotation-id]').forEach(element => {
+            element.classList.toggle('selected', element.dataset.annotationId === id);
+        });
+
+        // Show the selected annotation's settings in the controls
+        const annotation = this.annotations.find(candidate => candidate.id === id);
+        if (annotation) {
+            const colorInput = document.getElementById('annotationColor');
+            if (colorInput) colorInput.value = annotation.color;
+            if (annotation.type === 'text') {
+                const fontSelect = document.getElementById('annotationFont');
+                const sizeSelect = document.getElementById('annotationSize');
+                if (fontSelect) fontSelect.value = annotation.font;
+                if (sizeSelect) sizeSelect.value = String(annotation.fontSize);
+            }
+        }
+    }
+
+    getAnnotationStrokeWidth(pageHeight) {
+        return Math.max(1, pageHeight * 0.003);
+    }
+
+    // Lay the annotation layer over the composition canvas and draw every annotation into it
+    renderAnnotations() {
+        const layer = document.getElementById('annotationLayer');
+        const previewCanvas = document.getElementById('previewCanvas');
+        if (!layer || !previewCanvas) return;
+
+        const isComposition = this.selectedCitations.size > 0 && previewCanvas.offsetWidth > 0;
+        layer.classList.toggle('hidden', !isComposition);
+        if (!isComposition) return;
+
+        const width = previewCanvas.offsetWidth;
+        const height = previewCanvas.offsetHeight;
+        const stroke = this.getAnnotationStrokeWidth(height);
+        layer.style.left = previewCanvas.offsetLeft + 'px';
+        layer.style.top = previewCanvas.offsetTop + 'px';
+        layer.style.width = width + 'px';
+        layer.style.height = height + 'px';
+        layer.innerHTML = '';
+
+        // Search matches sit under the annotations and ignore the mouse
+        for (const rect of this.searchHighlightRects) {
+            const mark = document.createElement('div');
+            mark.className = 'search-highlight';
+            mark.style.left = `${rect.x * 100}%`;
+            mark.style.top = `${rect.y * 100}%`;
+            mark.style.width = `${rect.width * 100}%`;
+            mark.style.height = `${rect.height * 100}%`;
+            layer.appendChild(mark);
+        }
+
+        for (const annotation of this.annotations) {
+            let element;
+            let handle;
+
+            if (annotation.type === 'arrow') {
+                // The arrow's SVG spans the layer so the line can point in any direction
+                const x2 = annotation.x + annotation.width;
+                const y2 = annotation.y + annotation.height;
+                element = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+                element.setAttribute('class', 'annotation annotation-arrow');
+                element.innerHTML = `
+                    <defs>
+                        <marker id="arrowhead-${annotation.id}" markerWidth="4" markerHeight="4" refX="3" refY="2" orient="auto">
+                            <path d="M0,0 L4,2 L0,4 Z" fill="${annotation.color}"></path>
+                        </marker>
+                    </defs>
+                    <line class="annotation-hit" x1="${annotation.x * 100}%" y1="${annotation.y * 100}%" x2="${x2 * 100}%" y2="${y2 * 100}%" stroke-width="${stroke * 6}"></line>
+                    <line x1="${annotation.x * 100}%" y1="${annotation.y * 100}%" x2="${x2 * 100}%" y2="${y2 * 100}%"
+                        stroke="${annotation.color}" stroke-width="${stroke}" marker-end="url(#arrowhead-${annotation.id})"></line>
+                `;
+                handle = document.createElement('div');
+                handle.className = 'annotation-handle';
+                handle.style.left = `${x2 * 100}%`;
+                handle.style.top = `${y2 * 100}%`;
+            } else {
+                element = document.createElement('div');
+                element.className = `annotation annotation-${annotation.type}`;
+                element.style.left = `${annotation.x * 100}%`;
+                element.style.top = `${annotation.y * 100}%`;
+                element.style.width = `${annotation.width * 100}%`;
+
+                if (annotation.type === 'text') {
+                    element.textContent = annotation.text;
+                    element.style.fontFamily = `"${annotation.font}", Helvetica, Arial, sans-serif`;
+                    element.style.fontSize = `${annotation.fontSize * height}px`;
+                    element.style.color = annotation.color;
+                    element.addEventListener('dblclick', () => this.editAnnotationText(annotation.id, element));
+                } else {
+                    element.style.height = `${annotation.height * 100}%`;
+                    if (annotation.type === 'rect') {
+                        element.style.borderWidth = `${stroke}px`;
+                        element.style.borderColor = annotation.color;
+                    } else {
+                        element.style.backgroundColor = annotation.color;
+                    }
+                }
+
+                handle = document.createElement('div');
+                handle.className = 'annotation-handle';
+                handle.style.right = '0';
+                handle.style.bottom = '0';
+            }
+
+            element.dataset.annotationId = annotation.id;
+            element.classList.toggle('selected', annotation.id === this.selectedAnnotation);
+            element.addEventListener('mousedown', event => this.handleAnnotationMouseDown(event, annotation.id, 'move'));
+            handle.dataset.annotationId = annotation.id;
+            handle.addEventListener('mousedown', event => this.handleAnnotationMouseDown(event, annotation.id, 'resize'));
+
+            layer.appendChild(element);
+            (annotation.type === 'arrow' ? layer : element).appendChild(handle);
+        }
+
+        if (!this.boundAnnotationListeners) {
+            this.boundAnnotationListeners = {
+                mousemove: this.handleAnnotationMouseMove.bind(this),
+                mouseup: this.handleAnnotationMouseUp.bind(this)
+            };
+            document.addEventListener('mousemove', this.boundAnnotationListeners.mousemove);
+            document.addEventListener('mouseup', this.boundAnnotationListeners.mouseup);
+        }
+    }
+
+    editAnnotationText(id, element) {
+        if (this.readOnly) return;
+
+        element.contentEditable = 'true';
+        element.focus();
+        element.addEventListener('blur', () => {
+            element.contentEditable = 'false';
+            const text = element.innerText.replace(/\n+$/, '');
+            const annotation = this.annotations.find(candidate => candidate.id === id);
+            if (annotation && text !== annotation.text) {
+                this.updateAnnotation(id, { text });
+            }
+        }, { once: true });
+    }
+
+    handleAnnotationMouseDown(event, id, mode) {
+        this.selectAnnotation(id);
+        if (this.readOnly || event.target.isContentEditable) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        const annotation = this.annotations.find(candidate => candidate.id === id);
+        this.annotationDrag = {
+            id,
+            mode,
+            startX: event.clientX,
+            startY: event.clientY,
+            start: { ...annotation },
+            before: this.getAnnotationsState()
+        };
+    }
+
+    handleAnnotationMouseMove(event) {
+        if (!this.annotationDrag) return;
+
+        const layer = document.getElementById('annotationLayer');
+        const annotation = this.annotations.find(candidate => candidate.id === this.annotationDrag.id);
+        if (!layer || !annotation) return;
+
+        const { start, mode } = this.annotationDrag;
+        const dx = (event.clientX - this.annotationDrag.startX) / layer.offsetWidth;
+        const dy = (event.clientY - this.annotationDrag.startY) / layer.offsetHeight;
+
+        if (mode === 'move') {
+            annotation.x = start.x + dx;
+            annotation.y = start.y + dy;
+        } else if (annotation.type === 'arrow') {
+            // The arrow's handle is its head, which can go anywhere
+            annotation.width = start.width + dx;
+            annotation.height = start.height + dy;
+        } else {
+            annotation.width = Math.max(0.02, start.width + dx);
+            annotation.height = Math.max(0.01, start.height + dy);
+        }
+
+        if (this.annotationMoveFrame) {
+            cancelAnimationFrame(this.annotationMoveFrame);
+        }
+        this.annotationMoveFrame = requestAnimationFrame(() => this.renderAnnotations());
+    }
+
+    handleAnnotationMouseUp() {
+        if (!this.annotationDrag) return;
+
+        this.recordHistory({ type: 'annotations', before: this.annotationDrag.before, after: this.getAnnotationsState() });
+        this.annotationDrag = null;
+        this.scheduleSessionSave();
+    }
+
+    // Draw the annotations onto an exported page as PDF text and vector graphics
+    async drawAnnotations(pdfDoc, page, fontCache) {
+        const pageWidth = page.getWidth();
+        const pageHeight = page.getHeight();
+        const thickness = this.getAnnotationStrokeWidth(pageHeight);
+
+        for (const annotation of this.annotations) {
+            const color = this.hexToPDFColor(annotation.color);
+            const x = annotation.x * pageWidth;
+            const top = annotation.y * pageHeight;
+            const width = annotation.width * pageWidth;
+            const height = annotation.height * pageHeight;
+
+            switch (annotation.type) {
+                case 'text': {
+                    const font = await this.embedAnnotationFont(pdfDoc, annotation.font, fontCache);
+                    const size = annotation.fontSize * pageHeight;
+                    // Baseline of the first line; lines wrap at the box width like the preview
+                    page.drawText(annotation.text, {
+                        x,
+                        y: pageHeight - top - size,
+                        size,
+                        font,
+                        color,
+                        lineHeight: size * 1.2,
+                        maxWidth: width
+                    });
+                    break;
+                }
+                case 'rect':
+                    page.drawRectangle({
+                        x,
+                        y: pageHeight - top - height,
+                        width,
+                        height,
+                        borderColor: color,
+                        borderWidth: thickness
+                    });
+                    break;
+                case 'highlight':
+                    page.drawRectangle({
+                        x,
+                        y: pageHeight - top - height,
+                        width,
+                        height,
+                        color,
+                        opacity: 0.35,
+                        blendMode: PDFLib.BlendMode.Multiply
+                    });
+                    break;
+                case 'arrow': {
+                    const x2 = x + width;
+                    const y2 = top + height;
+                    const angle = Math.atan2(height, width);
+                    const headLength = thickness * 4;
+                    const headX = x2 - headLength * Math.cos(angle);
+                    const headY = y2 - headLength * Math.sin(angle);
+                    const spread = headLength / 2;
+
+                    page.drawLine({
+                        start: { x, y: pageHeight - top },
+                        end: { x: headX, y: pageHeight - headY },
+                        thickness,
+                        color
+                    });
+                    // SVG paths drawn from the top-left corner use the same y-down coordinates as the layout
+                    page.drawSvgPath(
+                        `M ${x2} ${y2} L ${headX + spread * Math.sin(angle)} ${headY - spread * Math.cos(angle)} ` +
+                        `L ${headX - spread * Math.sin(angle)} ${headY + spread * Math.cos(angle)} Z`,
+                        { x: 0, y: pageHeight, color }
+                    );
+                    break;
+                }
+            }
+        }
+    }
+
+    // Fonts from fonts/ are embedded (subset) with fontkit; anything else falls back to Helvetica
+    async embedAnnotationFont(pdfDoc, family, fontCache) {
+        if (fontCache.has(family)) {
+            return fontCache.get(family);
+        }
+
+        let font;
+        const bundled = this.annotationFonts.find(candidate => candidate.family === family);
+        if (bundled) {
+            if (typeof fontkit === 'undefined') {
+                throw new Error('fontkit library not available');
+            }
+            const response = await fetch(bundled.url);
+            if (!response.ok) {
+                throw new Error(`Failed to load font ${family}: ${response.statusText}`);
+            }
+            pdfDoc.registerFontkit(fontkit);
+            font = await pdfDoc.embedFont(await response.arrayBuffer(), { subset: true });
+        } else {
+            font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+        }
+
+        fontCache.set(family, font);
+        return font;
+    }
+
+    hexToPDFColor(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return PDFLib.rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+    }
+
+    // ============== THUMBNAIL LIST ==============
+    // The sidebar only mounts the rows in and around the viewport; spacers stand in for the rest, sized
+    // from measured rows. Thumbnails are rendered on demand by pdf-worker.js, on-screen pages first, and
+    // requests for pages scrolled out of range are cancelled.
+
+    // Rows of the list: a header per document once there are several, then its pages (search hits only while filtering)
+    getThumbnailRows() {
+        const showGroups = this.documents.length > 1;
+        const rows = [];
+        let lastDoc = null;
+        for (const pageIndex of this.getListedPages()) {
+            const doc = this.getDocumentForPage(pageIndex);
+            if (showGroups && doc && doc !== lastDoc) {
+                rows.push({ key: `doc:${doc.fileId}`, doc });
+            }
+            lastDoc = doc;
+            rows.push({ key: `page:${pageIndex}`, pageIndex });
+        }
+        return rows;
+    }
+
+    // Rebuild the rows (e.g. the search filter changed) without losing the measured heights
+    refreshThumbnailRows() {
+        const list = this.thumbnailList;
+        if (!list) return;
+
+        const rows = this.getThumbnailRows();
+        if (rows.length === list.rows.length && rows.every((row, i) => row.key === list.rows[i].key)) return;
+
+        list.mounted.forEach(element => element.remove());
+        list.mounted.clear();
+        list.rows = rows;
+        this.updateThumbnailWindow();
+    }
+
+    getThumbnailRowHeight(row) {
+        const list = this.thumbnailList;
+        return list.heights.get(row.key) || (row.doc ? list.headerEstimate : list.pageEstimate);
+    }
+
+    scheduleThumbnailWindowUpdate() {
+        const list = this.thumbnailList;
+        if (!list || list.frame) return;
+        list.frame = requestAnimationFrame(() => {
+            list.frame = null;
+            this.updateThumbnailWindow();
+        });
+    }
+
+    // Mount the rows within a screen of the viewport, size the spacers and ask for the thumbnails they show
+    updateThumbnailWindow() {
+        const list = this.thumbnailList;
+        const container = document.getElementById('thumbnailsContainer');
+        if (!list || !container) return;
+
+        const { rows, mounted } = list;
+        const heights = rows.map(row => this.getThumbnailRowHeight(row));
+        const totalHeight = heights.reduce((sum, height) => sum + height, 0);
+        // Before the viewer is shown the container has no height yet. Estimates that shrank the list can leave
+        // scrollTop past the end until the browser clamps it, so clamp it here too
+        const viewHeight = container.clientHeight || window.innerHeight;
+        const viewTop = Math.max(0, Math.min(container.scrollTop - list.paddingTop, totalHeight - viewHeight));
+        const viewBottom = viewTop + viewHeight;
+
+        let start = rows.length;
+        let end = rows.length;
+        let topHeight = 0;
+        let offset = 0;
+        const priorities = new Map();
+        for (let i = 0; i < rows.length; i++) {
+            const height = heights[i];
+            if (start === rows.length && offset + height > viewTop - viewHeight) {
+                start = i;
+                topHeight = offset;
+            }
+            if (offset >= viewBottom + viewHeight) {
+                end = i;
+                break;
+            }
+            if (start !== rows.length && rows[i].doc === undefined) {
+                // 0 = on screen, 1 = within a screen of it
+                priorities.set(rows[i].pageIndex, offset + height > viewTop && offset < viewBottom ? 0 : 1);
+            }
+            offset += height;
+        }
+        const bottomHeight = totalHeight - offset;
+
+        const keep = new Set(rows.slice(start, end).map(row => row.key));
+        for (const [key, element] of mounted) {
+            if (!keep.has(key)) {
+                element.remove();
+                mounted.delete(key);
+            }
+        }
+        let next = list.bottomSpacer;
+        for (let i = end - 1; i >= start; i--) {
+            const row = rows[i];
+            let element = mounted.get(row.key);
+            if (!element) {
+                element = row.doc ? this.createDocumentGroupHeader(row.doc) : this.createThumbnailElement(row.pageIndex);
+                container.insertBefore(element, next);
+                mounted.set(row.key, element);
+            }
+            next = element;
+        }
+        list.topSpacer.style.height = `${topHeight}px`;
+        list.bottomSpacer.style.height = `${bottomHeight}px`;
+
+        this.updateThumbnailRequests(priorities);
+        if (this.measureThumbnailRows()) {
+            // Measuring moves the rows below the estimates, so keep a page scrolled to in view until they settle
+            if (list.scrollTarget !== null) {
+                this.scrollToThumbnail(list.scrollTarget);
+            }
+            this.scheduleThumbnailWindowUpdate();
+        } else {
+            list.scrollTarget = null;
+        }
+    }
+
+    // Record the heights of the mounted rows; true if any estimate was off
+    measureThumbnailRows() {
+        const list = this.thumbnailList;
+        let changed = false;
+        let pageTotal = 0;
+        let pageCount = 0;
+
+        for (const [key, element] of list.mounted) {
+            const style = getComputedStyle(element);
+            const height = element.offsetHeight + parseFloat(style.marginTop) + parseFloat(style.marginBottom);
+            if (!height) continue; // Not laid out (the viewer is hidden)
+            if (Math.abs((list.heights.get(key) || 0) - height) > 0.5) {
+                list.heights.set(key, height);
+                changed = true;
+            }
+            if (key.startsWith('page:')) {
+                pageTotal += height;
+                pageCount++;
+            } else {
+                list.headerEstimate = height;
+            }
+        }
+        if (pageCount > 0) {
+            list.pageEstimate = pageTotal / pageCount;
+        }
+        return changed;
+    }
+
+    // Scroll the sidebar just enough to show a page, mounted or not
+    scrollToThumbnail(pageIndex) {
+        const list = this.thumbnailList;
+        const container = document.getElementById('thumbnailsContainer');
+        if (!list || !container) return;
+
+        list.scrollTarget = pageIndex;
+        let offset = list.paddingTop;
+        for (const row of list.rows) {
+            const height = this.getThumbnailRowHeight(row);
+            if (row.pageIndex === pageIndex) {
+                if (offset < container.scrollTop) {
+                    container.scrollTop = offset;
+                } else if (offset + height > container.scrollTop + container.clientHeight) {
+                    container.scrollTop = offset + height - container.clientHeight;
+                }
+                return;
+            }
+            offset += height;
+        }
+    }
+
+    updateThumbnailImage(pageIndex) {
+        const imageContainer = document.querySelector(`.thumbnail-item[data-page="${pageIndex}"] .thumbnail-image`);
+        if (imageContainer) {
+            imageContainer.innerHTML = this.getThumbnailImageHTML(pageIndex);
+            // The row's height changes once the image is in
+            this.scheduleThumbnailWindowUpdate();
+        }
+    }
+
+    // Request the thumbnails of the mounted pages at their priority and cancel the ones no longer mounted
+    updateThumbnailRequests(priorities) {
+        for (const [pageIndex, request] of this.thumbnailRequests) {
+            // Negative priorities (the preview needs the image) are never dropped
+            if (request.priority >= 0 && !priorities.has(pageIndex)) {
+                this.thumbnailRequests.delete(pageIndex);
+                request.resolve(null);
+                if (request.task) this.cancelRender(request.task);
+            }
+        }
+
+        for (const [pageIndex, priority] of priorities) {
+            if (!this.thumbnails[pageIndex]) {
+                this.requestThumbnail(pageIndex, priority);
+            }
+        }
+    }
+
+    // Resolves to the page's thumbnail once rendered (null if the request is cancelled first). Pages as
+    // uploaded come from the thumbnail cache when they are in it; the rest are rendered in the worker.
+    // Rotated or cropped pages, and everything when there is no worker, are rendered here instead.
+    requestThumbnail(pageIndex, priority = 0) {
+        const existing = this.thumbnailRequests.get(pageIndex);
+        if (existing) {
+            if (priority < existing.priority) {
+                existing.priority = priority;
+                if (existing.task) this.setRenderPriority(existing.task, priority);
+            }
+            return existing.promise;
+        }
+
+        const request = { priority, task: null };
+        request.promise = new Promise(resolve => { request.resolve = resolve; });
+        this.thumbnailRequests.set(pageIndex, request);
+
+        const ref = this.getPageRef(pageIndex);
+        if (!ref || ref.rotation || ref.crop) {
+            this.renderThumbnail(pageIndex, request);
+            return request.promise;
+        }
+
+        this.getCachedThumbnail(pageIndex).then(cached => {
+            if (this.thumbnailRequests.get(pageIndex) !== request) return; // Cancelled meanwhile
+            if (!cached) {
+                this.renderThumbnail(pageIndex, request);
+                return;
+            }
+            this.thumbnailRequests.delete(pageIndex);
+            this.thumbnails[pageIndex] = { page: pageIndex, buffer: cached.buffer, width: cached.width, height: cached.height };
+            this.updateThumbnailImage(pageIndex);
+            request.resolve(this.thumbnails[pageIndex]);
+        });
+        return request.promise;
+    }
+
+    renderThumbnail(pageIndex, request) {
+        const ref = this.getPageRef(pageIndex);
+        if (ref && this.renderWorkers.length > 0 && !ref.rotation && !ref.crop) {
+            const doc = this.getDocumentForPage(pageIndex);
+            request.task = this.scheduleRender('REQUEST_THUMBNAIL', ref.fileId, () => doc.pdf.getData(), { page: ref.page, width: 150 }, request.priority);
+            request.task.promise
+                .then(thumbnail => {
+                    if (thumbnail) this.applyRenderedThumbnail(pageIndex, request, thumbnail);
+                })
+                .catch(error => this.failThumbnailRequest(pageIndex, request, error));
+        } else {
+            this.refreshThumbnail(pageIndex).then(() => {
+                if (this.thumbnailRequests.get(pageIndex) !== request) return;
+                this.thumbnailRequests.delete(pageIndex);
+                const { rotation, crop } = this.getPageTransform(pageIndex);
+                if (!rotation && !crop && this.thumbnails[pageIndex]) this.storeCachedThumbnail(pageIndex, this.thumbnails[pageIndex]);
+                request.resolve(this.thumbnails[pageIndex]);
+            });
+        }
+    }
+
+    // A thumbnail rendered by the pool
+    applyRenderedThumbnail(pageIndex, request, { buffer, width, height }) {
+        if (this.thumbnailRequests.get(pageIndex) !== request) return; // Cancelled, or the workspace changed
+
+        this.thumbnailRequests.delete(pageIndex);
+        // Rotated or cropped since it was requested - refreshThumbnail has rendered it already
+        const { rotation, crop } = this.getPageTransform(pageIndex);
+        if (!rotation && !crop) {
+            this.thumbnails[pageIndex] = { page: pageIndex, buffer, width, height };
+            this.updateThumbnailImage(pageIndex);
+        }
+        this.storeCachedThumbnail(pageIndex, { buffer, width, height });
+        request.resolve(this.thumbnails[pageIndex]);
+    }
+
+    // Fall back to the server-rendered thumbnail
+    failThumbnailRequest(pageIndex, request, error) {
+        console.warn(`Thumbnail for page ${pageIndex + 1} failed, using the server's:`, error);
+        if (this.thumbnailRequests.get(pageIndex) === request) {
+            this.thumbnailRequests.delete(pageIndex);
+        }
+        this.thumbnails[pageIndex] = this.thumbnails[pageIndex] || {
+            page: pageIndex,
+            buffer: null,
+            width: 200,
+            height: 300,
+            url: this.getServerThumbnailURL(pageIndex)
+        };
+        this.updateThumbnailImage(pageIndex);
+        request.resolve(this.thumbnails[pageIndex]);
+    }
+
+    // The thumbnail the preview needs (cover, overlay layers), ahead of the sidebar's requests
+    async loadThumbnail(pageIndex) {
+        return this.thumbnails[pageIndex] || this.requestThumbnail(pageIndex, -1);
+    }
+
+    // Drop every request and close the documents in the render workers when the workspace is cleared
+    // (while this.documents still lists them)
+    resetThumbnails() {
+        for (const request of this.thumbnailRequests.values()) {
+            request.resolve(null);
+        }
+        this.thumbnailRequests.clear();
+        this.documents.forEach(doc => this.closeRenderDocuments(doc.fileId));
+        this.thumbnails = [];
+    }
+
+    // ============== THUMBNAIL CACHE ==============
+    // Thumbnails of pages as uploaded are kept in IndexedDB by document content hash, page and width, so
+    // reopening a known PDF shows them without rendering. Least recently used entries go past the budget.
+
+    // SHA-256 of a document's bytes, computed once; null where Web Crypto isn't available
+    getDocumentHash(doc) {
+        if (!doc.hashPromise) {
+            doc.hashPromise = window.crypto && window.crypto.subtle
+                ? doc.pdf.getData().then(bytes => this.hashBytes(bytes)).catch(() => null)
+                : Promise.resolve(null);
+        }
+        return doc.hashPromise;
+    }
+
+    async getThumbnailCacheKey(pageIndex, width) {
+        const doc = this.getDocumentForPage(pageIndex);
+        const hash = doc ? await this.getDocumentHash(doc) : null;
+        return hash ? `${hash}:${pageIndex - doc.pageOffset}:${width}` : null;
+    }
+
+    // Resolves to { buffer, width, height }, or null when the page isn't cached
+    async getCachedThumbnail(pageIndex, width = 150) {
+        try {
+            const key = await this.getThumbnailCacheKey(pageIndex, width);
+            if (!key) return null;
+            const entry = await this.databaseRequest('thumbnails', 'readonly', store => store.get(key));
+            if (!entry) return null;
+
+            entry.accessedAt = Date.now();
+            this.databaseRequest('thumbnails', 'readwrite', store => store.put(entry))
+                .catch(error => console.warn('Failed to update thumbnail cache:', error));
+            return entry;
+        } catch (error) {
+            console.warn('Thumbnail cache unavailable:', error);
+            return null;
+        }
+    }
+
+    async storeCachedThumbnail(pageIndex, { buffer, width, height }, requestedWidth = 150) {
+        try {
+            const key = await this.getThumbnailCacheKey(pageIndex, requestedWidth);
+            if (!key || !buffer) return;
+
+            const size = buffer.length;
+            await this.databaseRequest('thumbnails', 'readwrite', store => store.put({ key, buffer, width, height, size, accessedAt: Date.now() }));
+            if (this.thumbnailCacheSize === null) {
+                this.thumbnailCacheSize = await this.countThumbnailCache();
+            } else {
+                this.thumbnailCacheSize += size;
+            }
+            if (this.thumbnailCacheSize > this.thumbnailCacheBudget) {
+                await this.trimThumbnailCache();
+            }
+        } catch (error) {
+            console.warn('Failed to cache thumbnail:', error);
+        }
+    }
+
+    // Bytes stored by every tab, not just this one
+    async countThumbnailCache() {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const request = db.transaction('thumbnails', 'readonly').objectStore('thumbnails').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(size);
+                    return;
+                }
+                size += cursor.value.size || 0;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Evict the least recently used thumbnails until the cache is back under 90% of its budget
+    async trimThumbnailCache() {
+        this.thumbnailCacheSize = await this.countThumbnailCache();
+        const target = this.thumbnailCacheBudget * 0.9;
+        if (this.thumbnailCacheSize <= target) return;
+
+        const db = await this.openDatabase();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction('thumbnails', 'readwrite');
+            const request = transaction.objectStore('thumbnails').index('accessedAt').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || this.thumbnailCacheSize <= target) return;
+                this.thumbnailCacheSize -= cursor.value.size || 0;
+                cursor.delete();
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // ============== RENDER POOL ==============
+    // Several pdf-worker.js instances render thumbnails and export pages off the main thread. Tasks wait in one
+    // queue, most urgent first, and every idle worker takes the next one, so a run of pages spreads over the pool.
+
+    initializeRenderPool() {
+        if (!this.workerSupported || typeof OffscreenCanvas === 'undefined') {
+            console.log('Rendering on the main thread (no Worker or OffscreenCanvas support)');
+            return;
+        }
+
+        // Leave a core for the page; each worker parses its own copy of the documents it renders
+        const size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+        for (let i = 0; i < size; i++) {
+            try {
+                const slot = { worker: new Worker('/pdf-worker.js'), task: null, documents: new Set() };
+                slot.worker.addEventListener('message', (event) => this.handleRenderWorkerMessage(slot, event.data));
+                slot.worker.addEventListener('error', (error) => this.handleRenderWorkerError(slot, error));
+                this.renderWorkers.push(slot);
+            } catch (error) {
+                console.warn('Failed to start a render worker:', error);
+                break;
+            }
+        }
+        console.log('Render pool started with', this.renderWorkers.length, 'workers');
+    }
+
+    // Queue a page render: 'REQUEST_THUMBNAIL' ({ page, width }) or 'RENDER_PAGE' ({ page, scale, format, quality }).
+    // getBytes is only called the first time the document is rendered. The task's promise resolves with the
+    // worker's result, or null if the task is cancelled or its document closed first.
+    scheduleRender(type, documentId, getBytes, data, priority = 0) {
+        const sequence = ++this.renderTaskCount;
+        const task = { taskId: `render_${sequence}`, type, documentId, data, priority, sequence, blob: null, slot: null, cancelled: false };
+        task.promise = new Promise((resolve, reject) => {
+            task.resolve = resolve;
+            task.reject = reject;
+        });
+
+        this.getRenderDocument(documentId, getBytes)
+            .then(blob => {
+                if (task.cancelled) return;
+                if (!this.renderDocuments.has(documentId)) {
+                    task.resolve(null); // Closed while its bytes were being read
+                    return;
+                }
+                if (this.renderWorkers.length === 0) {
+                    task.reject(new Error('No render workers left'));
+                    return;
+                }
+                task.blob = blob;
+                this.renderQueue.push(task);
+                // After the other tasks waiting on the same bytes are queued too, so the most urgent go first
+                queueMicrotask(() => this.dispatchRenders());
+            })
+            .catch(error => task.reject(error));
+        return task;
+    }
+
+    // One Blob per document: posting it to several workers shares the bytes instead of copying them
+    getRenderDocument(documentId, getBytes) {
+        if (!this.renderDocuments.has(documentId)) {
+            const loading = Promise.resolve(getBytes()).then(bytes => new Blob([bytes], { type: 'application/pdf' }));
+            loading.catch(() => this.renderDocuments.delete(documentId));
+            this.renderDocuments.set(documentId, loading);
+        }
+        return this.renderDocuments.get(documentId);
+    }
+
+    // Only matters while the task waits; a render in progress runs to the end
+    setRenderPriority(task, priority) {
+        task.priority = priority;
+    }
+
+    cancelRender(task) {
+        if (task.cancelled) return;
+        task.cancelled = true;
+        task.resolve(null);
+        this.renderQueue = this.renderQueue.filter(queued => queued !== task);
+
+        const slot = task.slot;
+        if (slot) {
+            // The worker stops the render and is free for the next task, once the other cancellations that
+            // usually come with this one (a scroll) have left the queue
+            slot.worker.postMessage({ type: 'CANCEL_RENDERS', data: { taskIds: [task.taskId] } });
+            slot.task = null;
+            task.slot = null;
+            queueMicrotask(() => this.dispatchRenders());
+        }
+    }
+
+    // Hand the most urgent waiting tasks to the idle workers, preferring one that has the document open
+    dispatchRenders() {
+        while (this.renderQueue.length > 0) {
+            const idle = this.renderWorkers.filter(slot => !slot.task);
+            if (idle.length === 0) return;
+
+            // Most urgent first, oldest first among equals
+            let next = 0;
+            for (let i = 1; i < this.renderQueue.length; i++) {
+                const candidate = this.renderQueue[i];
+                const best = this.renderQueue[next];
+                if (candidate.priority < best.priority || (candidate.priority === best.priority && candidate.sequence < best.sequence)) {
+                    next = i;
+                }
+            }
+            const task = this.renderQueue.splice(next, 1)[0];
+
+            const slot = idle.find(candidate => candidate.documents.has(task.documentId)) || idle[0];
+            if (!slot.documents.has(task.documentId)) {
+                slot.worker.postMessage({ type: 'OPEN_DOCUMENT', data: { documentId: task.documentId, pdfBlob: task.blob } });
+                slot.documents.add(task.documentId);
+            }
+            slot.task = task;
+            task.slot = slot;
+            slot.worker.postMessage({
+                type: task.type,
+                taskId: task.taskId,
+                data: { documentId: task.documentId, ...task.data, priority: task.priority }
+            });
+        }
+    }
+
+    handleRenderWorkerMessage(slot, { type, taskId, error, ...result }) {
+        const task = slot.task;
+        if (!task || task.taskId !== taskId) return; // Cancelled
+
+        slot.task = null;
+        task.slot = null;
+        if (type === 'THUMBNAIL' || type === 'PAGE_IMAGE') {
+            task.resolve(result);
+        } else {
+            task.reject(new Error(error || `Render failed (${type})`));
+        }
+        this.dispatchRenders();
+    }
+
+    // A worker that crashed leaves the pool; its task fails and the others carry on
+    handleRenderWorkerError(slot, error) {
+        console.error('Render worker error:', error);
+        slot.worker.terminate();
+        this.renderWorkers = this.renderWorkers.filter(candidate => candidate !== slot);
+        if (slot.task) {
+            slot.task.reject(new Error(error.message || 'Render worker failed'));
+            slot.task = null;
+        }
+
+        if (this.renderWorkers.length > 0) {
+            this.dispatchRenders();
+        } else {
+            this.renderQueue.splice(0).forEach(task => task.reject(new Error('No render workers left')));
+        }
+    }
+
+    // Close a document in every worker; its tasks, waiting or running, resolve with null
+    closeRenderDocuments(documentId) {
+        this.renderQueue.filter(task => task.documentId === documentId).forEach(task => this.cancelRender(task));
+        for (const slot of this.renderWorkers) {
+            if (slot.task && slot.task.documentId === documentId) {
+                this.cancelRender(slot.task);
+            }
+            if (slot.documents.delete(documentId)) {
+                slot.worker.postMessage({ type: 'CLOSE_DOCUMENT', data: { documentId } });
+            }
+        }
+        this.renderDocuments.delete(documentId);
+    }
+
+    destroyRenderPool() {
+        this.renderQueue.splice(0).forEach(task => task.resolve(null));
+        for (const slot of this.renderWorkers) {
+            if (slot.task) slot.task.resolve(null);
+            slot.worker.terminate();
+        }
+        this.renderWorkers = [];
+        this.renderDocuments.clear();
+    }
+
+    // ============== PAGE RANGES ==============
+    // Bulk citation selection: a range like "3-7, 12, 20-25", shift-click on ○/✓, all/none/invert and the
+    // Space / C keys. Range numbers are the page numbers on the thumbnails, in the document being viewed.
+
+    // Replace the citation selection as one undoable edit
+    applyCitationSelection(order) {
+        if (this.readOnly) return;
+        const before = this.getOrderedCitations();
+        this.setCitationOrder(order);
+        this.recordHistory({ type: 'citations', before, after: this.getOrderedCitations() });
+        console.log('Citations selected:', order.length);
+    }
+
+    // Add the pages typed in the range box to the citations, after the ones already selected
+    selectPageRange() {
+        if (this.readOnly) return;
+        const input = document.getElementById('pageRangeInput');
+        const doc = this.getDocumentForPage(this.currentPage);
+        if (!input || !doc) return;
+
+        const { pages, error } = PageRanges.parsePageRanges(input.value, doc.pageCount);
+        if (error) {
+            this.showToast(error, 'error');
+            return;
+        }
+
+        const added = pages.map(page => doc.pageOffset + page).filter(pageIndex => !this.selectedCitations.has(pageIndex));
+        this.applyCitationSelection([...this.getOrderedCitations(), ...added]);
+        input.value = '';
+        this.showToast(`${added.length} citation page${added.length === 1 ? '' : 's'} added`, 'success');
+    }
+
+    // Pages in the sidebar - only the search hits while "Only matching pages" is on
+    getListedPages() {
+        const pages = Array.from({ length: this.totalPages }, (_, pageIndex) => pageIndex);
+        if (!this.pageSearch.filter || !this.pageSearch.query) return pages;
+
+        const hits = new Set(this.pageSearch.results.map(result => result.pageIndex));
+        return pages.filter(pageIndex => hits.has(pageIndex));
+    }
+
+    selectAllCitations() {
+        const added = this.getListedPages().filter(pageIndex => !this.selectedCitations.has(pageIndex));
+        this.applyCitationSelection([...this.getOrderedCitations(), ...added]);
+    }
+
+    clearCitations() {
+        const listed = new Set(this.getListedPages());
+        this.applyCitationSelection(this.getOrderedCitations().filter(pageIndex => !listed.has(pageIndex)));
+    }
+
+    invertCitations() {
+        const listed = this.getListedPages();
+        const listedSet = new Set(listed);
+        const kept = this.getOrderedCitations().filter(pageIndex => !listedSet.has(pageIndex));
+        this.applyCitationSelection([...kept, ...listed.filter(pageIndex => !this.selectedCitations.has(pageIndex))]);
+    }
+
+    // Shift-click: give every page between the last clicked one and this one the last clicked page's state
+    selectCitationRange(anchor, pageIndex) {
+        const select = this.selectedCitations.has(anchor);
+        const step = pageIndex >= anchor ? 1 : -1;
+        const range = [];
+        for (let index = anchor; index !== pageIndex + step; index += step) {
+            range.push(index);
+        }
+
+        const order = this.getOrderedCitations();
+        this.applyCitationSelection(select
+            ? [...order, ...range.filter(index => !this.selectedCitations.has(index))]
+            : order.filter(index => !range.includes(index)));
+    }
+
+    onCitationButtonClick(event, pageIndex) {
+        if (event.shiftKey && this.citationAnchor !== null && this.citationAnchor < this.totalPages && this.citationAnchor !== pageIndex) {
+            this.selectCitationRange(this.citationAnchor, pageIndex);
+        } else {
+            this.toggleCitationSelection(pageIndex);
+        }
+        this.citationAnchor = pageIndex;
+    }
+
+    // ============== TEXT SEARCH ==============
+    // Phrases are found in the text pdf.js extracts from each citation page. Matches are kept in fractions of the
+    // page as displayed (after rotation and crop) and placed wherever the layout puts that page.
+
+    setSearchQuery(query) {
+        this.searchQuery = query.trim();
+        this.searchMatches.clear();
+        this.searchHighlightRects = [];
+
+        const searchInput = document.getElementById('citationSearch');
+        if (searchInput && searchInput.value.trim() !== this.searchQuery) searchInput.value = this.searchQuery;
+        const status = document.getElementById('citationSearchStatus');
+        if (status) status.textContent = '';
+    }
+
+    async searchCitations(query) {
+        if (this.readOnly) return;
+
+        this.setSearchQuery(query);
+        this.scheduleSessionSave();
+        await this.layoutSearchHighlights();
+    }
+
+    // Matches of the search phrase on one page, cached until the phrase or the page's rotation/crop changes
+    findPhraseOnPage(pageIndex) {
+        const key = `${pageIndex}|${JSON.stringify(this.getPageTransform(pageIndex))}`;
+        if (!this.searchMatches.has(key)) {
+            this.searchMatches.set(key, this.matchPageText(pageIndex, this.searchQuery));
+        }
+        return this.searchMatches.get(key);
+    }
+
+    async matchPageText(pageIndex, query) {
+        const page = await this.currentPDF.getPage(pageIndex + 1);
+        const viewport = page.getViewport({ scale: 1 });
+        const textContent = await page.getTextContent();
+
+        // Text runs with a way to measure part of each; scanned pages fall back to their OCR words
+        let runs = textContent.items.map(item => ({
+            str: item.str || '',
+            hasEOL: item.hasEOL,
+            getRect: (from, to) => this.getTextRunRect(item, textContent.styles[item.fontName], from, to, viewport)
+        }));
+        if (!runs.some(run => run.str.trim())) {
+            runs = await this.getOCRRuns(pageIndex);
+        }
+
+        // Join the runs into one lower-case string with single spaces, remembering where each character came from
+        let text = '';
+        const origins = [];
+        runs.forEach((run, runIndex) => {
+            const str = run.str + (run.hasEOL ? ' ' : '');
+            for (let offset = 0; offset < str.length; offset++) {
+                if (/\s/.test(str[offset])) {
+                    if (text.length === 0 || text.endsWith(' ')) continue;
+                    text += ' ';
+                } else {
+                    const lower = str[offset].toLowerCase();
+                    text += lower.length === 1 ? lower : str[offset];
+                }
+                origins.push({ runIndex, offset });
+            }
+        });
+
+        const phrase = query.replace(/\s+/g, ' ').toLowerCase();
+        const matches = [];
+        for (let start = text.indexOf(phrase); phrase && start !== -1; start = text.indexOf(phrase, start + phrase.length)) {
+            // Characters of the match per text run; a match spanning lines gets one rect per run
+            const spans = new Map();
+            for (const { runIndex, offset } of origins.slice(start, start + phrase.length)) {
+                if (offset >= runs[runIndex].str.length) continue; // Line break added above
+                const span = spans.get(runIndex) || { from: offset, to: offset + 1 };
+                span.to = offset + 1;
+                spans.set(runIndex, span);
+            }
+
+            const rects = Array.from(spans, ([runIndex, { from, to }]) => runs[runIndex].getRect(from, to))
+                .filter(rect => rect.width > 0 && rect.height > 0);
+            if (rects.length > 0) matches.push(rects);
+        }
+
+        console.log(`Search "${query}" on page ${pageIndex + 1}:`, matches.length, 'matches');
+        return matches;
+    }
+
+    // Box around characters [from, to) of a text run, in fractions of the viewport
+    getTextRunRect(item, style = {}, from, to, viewport) {
+        const [a, b, c, d, e, f] = item.transform;
+        const advance = Math.hypot(a, b) || 1;
+        // Same fallbacks the pdf.js text layer uses when the font has no metrics
+        const ascent = style.ascent || (style.descent ? 1 + style.descent : 0.8);
+        const descent = ascent - 1;
+
+        const start = item.width * this.getTextWidthFraction(item.str, from, style.fontFamily);
+        const length = item.width * this.getTextWidthFraction(item.str, to, style.fontFamily) - start;
+        const startX = e + (a / advance) * start;
+        const startY = f + (b / advance) * start;
+        const runX = (a / advance) * length;
+        const runY = (b / advance) * length;
+
+        // (c, d) points up the glyphs and is one font size long
+        const corners = [
+            [startX + c * descent, startY + d * descent],
+            [startX + runX + c * descent, startY + runY + d * descent],
+            [startX + c * ascent, startY + d * ascent],
+            [startX + runX + c * ascent, startY + runY + d * ascent]
+        ].map(([x, y]) => viewport.convertToViewportPoint(x, y));
+
+        const xs = corners.map(point => point[0]);
+        const ys = corners.map(point => point[1]);
+        return {
+            x: Math.min(...xs) / viewport.width,
+            y: Math.min(...ys) / viewport.height,
+            width: (Math.max(...xs) - Math.min(...xs)) / viewport.width,
+            height: (Math.max(...ys) - Math.min(...ys)) / viewport.height
+        };
+    }
+
+    // Share of a run's width taken by its first `count` characters, measured in the run's fallback font
+    // as the pdf.js text layer does. Without a canvas the characters share the width evenly
+    getTextWidthFraction(str, count, fontFamily = 'sans-serif') {
+        if (count <= 0 || !str) return 0;
+        if (count >= str.length) return 1;
+
+        if (!this.textMeasureContext && typeof document.createElement === 'function') {
+            this.textMeasureContext = document.createElement('canvas').getContext('2d');
+        }
+        const context = this.textMeasureContext;
+        if (context) {
+            context.font = `100px ${fontFamily}`;
+            const total = context.measureText(str).width;
+            if (total > 0) return context.measureText(str.slice(0, count)).width / total;
+        }
+        return count / str.length;
+    }
+
+    // Matches on a placed citation page, in the layout's units with a top-left origin
+    async placeSearchMatches(placement) {
+        if (!this.searchQuery || !this.selectedCitations.has(placement.pageIndex)) return [];
+
+        const matches = await this.findPhraseOnPage(placement.pageIndex);
+        return matches.map(rects => rects.map(rect => ({
+            x: placement.x + rect.x * placement.width,
+            y: placement.y + rect.y * placement.height,
+            width: rect.width * placement.width,
+            height: rect.height * placement.height
+        })));
+    }
+
+    // Place the matches on the preview and report how many there are across all citation pages
+    async layoutSearchHighlights() {
+        const status = document.getElementById('citationSearchStatus');
+        this.searchHighlightRects = [];
+
+        try {
+            if (this.searchQuery && this.selectedCitations.size > 0) {
+                const layout = await this.calculateVectorPDFLayout();
+                for (const placement of layout.placements) {
+                    for (const rects of await this.placeSearchMatches(placement)) {
+                        this.searchHighlightRects.push(...rects.map(rect => ({
+                            x: rect.x / layout.width,
+                            y: rect.y / layout.height,
+                            width: rect.width / layout.width,
+                            height: rect.height / layout.height
+                        })));
+                    }
+                }
+
+                const counts = await Promise.all(this.getOrderedCitations().map(async pageIndex => (await this.findPhraseOnPage(pageIndex)).length));
+                const total = counts.reduce((sum, count) => sum + count, 0);
+                const pages = counts.filter(count => count > 0).length;
+                if (status) {
+                    status.textContent = total > 0
+                        ? `${total} match${total === 1 ? '' : 'es'} on ${pages} page${pages === 1 ? '' : 's'}`
+                        : 'No matches';
+                }
+            } else if (status) {
+                status.textContent = '';
+            }
+        } catch (error) {
+            // A page without a text layer shouldn't break the preview
+            console.warn('Text search failed:', error);
+            if (status) status.textContent = 'Search failed';
+        }
+
+        this.renderAnnotations();
+    }
+
+    // Write each match as a PDF highlight annotation with one quad per text run. The annotation carries its own
+    // appearance, drawn like the preview's highlight, so viewers and the PNG/JPEG rasterizer show it the same way
+    async addSearchHighlightAnnotations(pdfDoc, page, layout) {
+        const { context } = pdfDoc;
+        const pageHeight = page.getHeight();
+        const color = [1, 0.92, 0.23];
+
+        for (const placement of layout.placements) {
+            for (const rects of await this.placeSearchMatches(placement)) {
+                // Layout rects use a top-left origin; PDF space starts bottom-left
+                const quads = rects.map(rect => ({
+                    left: rect.x,
+                    right: rect.x + rect.width,
+                    top: pageHeight - rect.y,
+                    bottom: pageHeight - rect.y - rect.height
+                }));
+                const bounds = [
+                    Math.min(...quads.map(quad => quad.left)),
+                    Math.min(...quads.map(quad => quad.bottom)),
+                    Math.max(...quads.map(quad => quad.right)),
+                    Math.max(...quads.map(quad => quad.top))
+                ];
+
+                const appearance = context.formXObject([
+                    PDFLib.pushGraphicsState(),
+                    PDFLib.setGraphicsState('GS0'),
+                    PDFLib.setFillingRgbColor(...color),
+                    ...quads.map(quad => PDFLib.rectangle(quad.left, quad.bottom, quad.right - quad.left, quad.top - quad.bottom)),
+                    PDFLib.fill(),
+                    PDFLib.popGraphicsState()
+                ], {
+                    BBox: bounds,
+                    Resources: { ExtGState: { GS0: { Type: 'ExtGState', BM: 'Multiply', ca: 0.35 } } }
+                });
+
+                const annotation = context.obj({
+                    Type: 'Annot',
+                    Subtype: 'Highlight',
+                    Rect: bounds,
+                    // Quad corners in the order readers expect: top-left, top-right, bottom-left, bottom-right
+                    QuadPoints: quads.flatMap(quad => [quad.left, quad.top, quad.right, quad.top, quad.left, quad.bottom, quad.right, quad.bottom]),
+                    C: color,
+                    F: 4, // Print
+                    Contents: PDFLib.PDFHexString.fromText(this.searchQuery),
+                    AP: { N: context.register(appearance) }
+                });
+                page.node.addAnnot(context.register(annotation));
+            }
+        }
+    }
+
+    // ============== PAGE SEARCH ==============
+    // The text of every page is indexed by pdf-worker.js the first time the search box is used, so typing never
+    // blocks the page. Results name pages by { fileId, page } and are mapped back to workspace page indices here.
+
+    getSearchWorker() {
+        if (!this.searchWorker && this.workerSupported) {
+            try {
+                this.searchWorker = new Worker('/pdf-worker.js');
+                this.searchWorker.addEventListener('message', (event) => this.handleSearchWorkerMessage(event.data));
+                this.searchWorker.addEventListener('error', (error) => {
+                    console.error('Search worker error:', error);
+                    this.searchWorker = null;
+                    this.updatePageSearchStatus('Search unavailable');
+                });
+            } catch (error) {
+                console.warn('Failed to start search worker:', error);
+            }
+        }
+        return this.searchWorker;
+    }
+
+    // Index every workspace document that isn't indexed yet
+    ensureTextIndex() {
+        this.pageSearch.active = true;
+        for (const doc of this.documents) {
+            if (!this.textIndexStatus.has(doc.fileId)) {
+                this.indexDocumentText(doc).catch(error => console.warn('Failed to index', doc.name, error));
+            }
+        }
+    }
+
+    async indexDocumentText(doc) {
+        const worker = this.getSearchWorker();
+        if (!worker) return;
+
+        this.textIndexStatus.set(doc.fileId, { indexed: 0, totalPages: doc.pageCount, complete: false });
+        this.updatePageSearchStatus();
+
+        // getData() returns a copy, so its buffer can be handed over to the worker
+        const pdfData = await doc.pdf.getData();
+        worker.postMessage({ type: 'INDEX_TEXT', data: { documentId: doc.fileId, pdfData } }, [pdfData.buffer]);
+    }
+
+    handleSearchWorkerMessage({ type, documentId, indexed, totalPages, emptyPages, taskId, results, total, error }) {
+        switch (type) {
+            case 'INDEX_PROGRESS':
+            case 'INDEX_COMPLETE': {
+                const status = this.textIndexStatus.get(documentId);
+                if (!status) return; // Document left the workspace while it was indexed
+                status.indexed = type === 'INDEX_COMPLETE' ? totalPages : indexed;
+                status.complete = type === 'INDEX_COMPLETE';
+                if (status.complete) {
+                    status.emptyPages = emptyPages || [];
+                    if (this.ocrEnabled) this.ocrIndexPages(documentId);
+                }
+                // Pick up the pages indexed since the last search
+                if (this.pageSearch.query) {
+                    this.runPageSearch();
+                } else {
+                    this.updatePageSearchStatus();
+                }
+                break;
+            }
+            case 'SEARCH_RESULTS':
+                if (taskId !== this.pageSearch.taskId) return;
+                this.pageSearch.results = results
+                    .map(result => ({ ...result, pageIndex: this.getWorkspacePageIndex(result.documentId, result.page) }))
+                    .filter(result => result.pageIndex !== null);
+                this.pageSearch.total = total;
+                this.renderPageSearchResults();
+                break;
+            case 'ERROR':
+                console.error('Search worker error:', error);
+                this.updatePageSearchStatus('Search failed');
+                break;
+        }
     }
 
-    showPagePreview(pageIndex) {
-        console.log('SHOW PAGE PREVIEW:', pageIndex);
-        this.currentPreviewPage = pageIndex;
-        // Clear composition state when showing single page
-        // Don't clear selections, just show the page
-        this.updatePreview();
+    getWorkspacePageIndex(fileId, page) {
+        const doc = this.documents.find(candidate => candidate.fileId === fileId);
+        return doc && page < doc.pageCount ? doc.pageOffset + page : null;
     }
 
-    updatePreviewVisibility() {
-        this.updatePreview();
+    // Search as the user types, once typing pauses
+    onPageSearchInput(query) {
+        clearTimeout(this.pageSearchTimer);
+        this.pageSearchTimer = setTimeout(() => {
+            this.pageSearch.query = query.trim();
+            if (this.pageSearch.query) {
+                this.ensureTextIndex();
+                this.runPageSearch();
+            } else {
+                this.clearPageSearch();
+            }
+        }, 250);
     }
 
-    updatePreview() {
-        console.log('UPDATE PREVIEW: Citations =', Array.from(this.selectedCitations), 'Cover =', this.selectedCover, 'CurrentPage =', this.currentPreviewPage);
-        
-        const previewPanel = document.getElementById('previewPanel');
-        const resetCoverBtn = document.getElementById('resetCoverBtn');
-        
-        if (!previewPanel) {
-            console.error('Preview panel not found!');
-            return;
+    runPageSearch() {
+        const worker = this.getSearchWorker();
+        if (!worker) return;
+
+        this.pageSearch.taskId = 'search_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        worker.postMessage({ type: 'SEARCH', taskId: this.pageSearch.taskId, data: { query: this.pageSearch.query } });
+    }
+
+    clearPageSearch() {
+        clearTimeout(this.pageSearchTimer);
+        this.pageSearch.query = '';
+        this.pageSearch.taskId = null;
+        this.pageSearch.results = [];
+        this.pageSearch.total = 0;
+
+        const input = document.getElementById('pageSearchInput');
+        if (input && input.value.trim()) input.value = '';
+        this.renderPageSearchResults();
+    }
+
+    // Drop the index when the workspace is cleared; a new workspace is indexed again when searched
+    resetTextIndex() {
+        if (this.searchWorker) {
+            this.searchWorker.postMessage({ type: 'DROP_INDEX', data: {} });
         }
+        this.textIndexStatus.clear();
+        this.ocrPages.clear();
+        this.pageSearch.active = false;
+        this.clearPageSearch();
+    }
 
-        if (!this.currentPDF) {
-            previewPanel.classList.add('hidden');
-            return;
+    renderPageSearchResults() {
+        const list = document.getElementById('pageSearchResults');
+        if (list) {
+            list.innerHTML = '';
+            list.classList.toggle('hidden', !this.pageSearch.query);
+
+            const showDocument = this.documents.length > 1;
+            for (const result of this.pageSearch.results) {
+                const row = document.createElement('div');
+                row.className = 'page-search-result';
+                row.dataset.resultPage = result.pageIndex;
+
+                const toggle = document.createElement('button');
+                toggle.className = 'selection-btn page-search-toggle';
+                toggle.title = 'Select for Citation';
+                toggle.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.toggleCitationSelection(result.pageIndex);
+                });
+
+                const label = document.createElement('span');
+                label.className = 'page-search-label';
+                const doc = this.getDocumentForPage(result.pageIndex);
+                label.textContent = `P. ${this.getPageLabel(result.pageIndex)} · ${result.hits} hit${result.hits === 1 ? '' : 's'}` +
+                    (showDocument && doc ? ` · ${doc.name}` : '');
+
+                const snippet = document.createElement('span');
+                snippet.className = 'page-search-snippet';
+                const mark = document.createElement('mark');
+                mark.textContent = result.snippet.match;
+                snippet.append(result.snippet.before, mark, result.snippet.after);
+
+                const text = document.createElement('div');
+                text.className = 'page-search-text';
+                text.append(label, snippet);
+
+                row.append(toggle, text);
+                row.addEventListener('click', () => {
+                    this.showPagePreview(result.pageIndex);
+                    const thumbnail = document.querySelector(`.thumbnail-item[data-page="${result.pageIndex}"]`);
+                    if (thumbnail) thumbnail.scrollIntoView({ block: 'nearest' });
+                });
+
+                list.appendChild(row);
+                this.updatePageSearchResult(result.pageIndex);
+            }
         }
-        
-        previewPanel.classList.remove('hidden');
-        
-        // Priority 1: Show composition if citations are selected (cover is optional)
-        if (this.selectedCitations.size > 0) {
-            console.log('SHOWING COMPOSITION PREVIEW');
-            this.generateCompositionPreview();
-            if (resetCoverBtn) resetCoverBtn.style.display = this.selectedCover !== null ? 'block' : 'none';
-            return;
+
+        this.applyPageSearchFilter();
+        this.updatePageSearchStatus();
+    }
+
+    // Keep a result's citation toggle in step with the selection
+    updatePageSearchResult(pageIndex) {
+        const toggle = document.querySelector(`[data-result-page="${pageIndex}"] .page-search-toggle`);
+        if (toggle) {
+            const isCitation = this.selectedCitations.has(pageIndex);
+            toggle.textContent = isCitation ? '✓' : '○';
+            toggle.classList.toggle('active-citation', isCitation);
         }
-        
-        // Priority 2: Show current preview page if set
-        if (this.currentPreviewPage !== null && this.currentPreviewPage >= 0) {
-            console.log('SHOWING SINGLE PAGE PREVIEW:', this.currentPreviewPage);
-            this.renderSinglePagePreview(this.currentPreviewPage);
-            if (resetCoverBtn) resetCoverBtn.style.display = 'none';
-            return;
+    }
+
+    // Highlight the thumbnails of pages with a hit; with "Only matching pages" on, list only those
+    applyPageSearchFilter() {
+        const container = document.getElementById('thumbnailsContainer');
+        if (!container) return;
+
+        container.classList.toggle('search-filtered', this.pageSearch.filter && Boolean(this.pageSearch.query));
+        // Rows mounted from now on pick up their class in createThumbnailElement
+        if (this.thumbnailList) {
+            this.thumbnailList.mounted.forEach(element => {
+                if (element.classList.contains('thumbnail-item')) {
+                    element.classList.toggle('search-hit', this.isPageSearchHit(parseInt(element.dataset.page, 10)));
+                }
+            });
         }
-        
-        // Priority 3: Show first page as fallback
-        console.log('SHOWING FALLBACK PAGE PREVIEW');
-        this.renderSinglePagePreview(0);
-        if (resetCoverBtn) resetCoverBtn.style.display = 'none';
+        this.refreshThumbnailRows();
     }
 
-    async renderSinglePagePreview(pageIndex) {
-        console.log('RENDER SINGLE PAGE:', pageIndex);
-        
-        if (!this.currentPDF || pageIndex < 0 || pageIndex >= this.totalPages) {
-            console.error('Invalid page index:', pageIndex);
+    isPageSearchHit(pageIndex) {
+        return Boolean(this.pageSearch.query) && this.pageSearch.results.some(result => result.pageIndex === pageIndex);
+    }
+
+    updatePageSearchStatus(message = null) {
+        const status = document.getElementById('pageSearchStatus');
+        if (!status) return;
+        if (message) {
+            status.textContent = message;
             return;
         }
 
-        const canvas = document.getElementById('previewCanvas');
-        if (!canvas) return;
-        
-        // Hide interactive cover when showing single page
-        const coverContainer = document.getElementById('coverImageContainer');
-        if (coverContainer) {
-            coverContainer.classList.add('hidden');
-        }
-        
-        // Cancel any existing render task
-        if (this.currentRenderTask) {
-            console.log('Cancelling existing render task');
-            this.currentRenderTask.cancel();
-            this.currentRenderTask = null;
+        const parts = [];
+        if (this.pageSearch.query) {
+            const { total, results } = this.pageSearch;
+            parts.push(total === 0
+                ? 'No matching pages'
+                : `${total} page${total === 1 ? '' : 's'}` + (results.length < total ? ` (first ${results.length} listed)` : ''));
+        }
+        const statuses = Array.from(this.textIndexStatus.values());
+        if (statuses.some(entry => !entry.complete)) {
+            const indexed = statuses.reduce((sum, entry) => sum + entry.indexed, 0);
+            const totalPages = statuses.reduce((sum, entry) => sum + entry.totalPages, 0);
+            parts.push(`indexing ${indexed}/${totalPages}`);
+        }
+        const ocrRunning = statuses.filter(entry => entry.ocrRunning);
+        if (ocrRunning.length > 0) {
+            const done = ocrRunning.reduce((sum, entry) => sum + entry.ocrPages.size, 0);
+            const scanned = ocrRunning.reduce((sum, entry) => sum + entry.emptyPages.length, 0);
+            parts.push(`OCR ${done}/${scanned}`);
+        }
+        status.textContent = parts.join(' · ');
+    }
+
+    // ============== OCR ==============
+    // With "OCR scanned pages" on, pages without a text layer are read by the server (tesseract.js, cached with
+    // the document). Their words feed the full-text index and passage highlighting, and exports get an
+    // invisible text layer over the scan. OCR boxes are fractions of the page as pdf.js shows it, before
+    // the workspace's rotation and crop.
+
+    setOCREnabled(enabled) {
+        this.ocrEnabled = enabled;
+        const toggle = document.getElementById('ocrToggle');
+        if (toggle) toggle.checked = enabled;
+
+        // Searches made with or without OCR text are stale now
+        this.searchMatches.clear();
+        for (const [fileId, status] of this.textIndexStatus) {
+            if (enabled) {
+                this.ocrIndexPages(fileId);
+            } else {
+                // Take the OCR text back out of the index
+                for (const page of status.ocrPages || []) {
+                    this.searchWorker.postMessage({ type: 'SET_PAGE_TEXT', data: { documentId: fileId, page, text: '' } });
+                }
+                status.ocrPages = new Set();
+            }
         }
-        
-        const context = canvas.getContext('2d');
-        const container = canvas.parentElement;
+        if (this.pageSearch.query) this.runPageSearch();
+        this.updatePageSearchStatus();
+        this.scheduleSessionSave();
+    }
+
+    // OCR result for a workspace page, or null when OCR is off or the page has its own text
+    getPageOCR(pageIndex) {
+        if (!this.ocrEnabled) return Promise.resolve(null);
+
+        const doc = this.getDocumentForPage(pageIndex);
+        if (!doc) return Promise.resolve(null);
+        const page = pageIndex - doc.pageOffset;
+        const key = `${doc.fileId}:${page}`;
+
+        if (!this.ocrPages.has(key)) {
+            const request = (async () => {
+                const pdfPage = await doc.pdf.getPage(page + 1);
+                const content = await pdfPage.getTextContent();
+                if (content.items.some(item => item.str && item.str.trim())) return null;
+
+                const response = await fetch(`/api/pdf/${encodeURIComponent(doc.fileId)}/pages/${page}/ocr`);
+                if (!response.ok) {
+                    const error = await response.json().catch(() => ({}));
+                    throw new Error(error.error || `OCR failed: ${response.statusText}`);
+                }
+                return response.json();
+            })();
+            // Let a failed page be tried again
+            request.catch(() => this.ocrPages.delete(key));
+            this.ocrPages.set(key, request);
+        }
+        return this.ocrPages.get(key);
+    }
+
+    // Map OCR fractions to fractions of the page as the workspace shows it (rotation and crop applied)
+    async getOCRMapper(pageIndex) {
+        const doc = this.getDocumentForPage(pageIndex);
+        const sourcePage = await doc.pdf.getPage(pageIndex - doc.pageOffset + 1);
+        const sourceViewport = sourcePage.getViewport({ scale: 1 });
+        const page = await this.currentPDF.getPage(pageIndex + 1);
+        const viewport = page.getViewport({ scale: 1 });
+
+        return (x, y) => {
+            const [pdfX, pdfY] = sourceViewport.convertToPdfPoint(x * sourceViewport.width, y * sourceViewport.height);
+            const [viewX, viewY] = viewport.convertToViewportPoint(pdfX, pdfY);
+            return [viewX / viewport.width, viewY / viewport.height];
+        };
+    }
 
+    // OCR words as text runs for matchPageText, one per word
+    async getOCRRuns(pageIndex) {
+        const ocr = await this.getPageOCR(pageIndex);
+        if (!ocr) return [];
+
+        const toPage = await this.getOCRMapper(pageIndex);
+        return ocr.lines.flatMap(line => line.words.map(word => ({
+            str: word.text,
+            hasEOL: true, // Separates the words
+            getRect: (from, to) => {
+                const left = word.x + word.width * this.getTextWidthFraction(word.text, from);
+                const right = word.x + word.width * this.getTextWidthFraction(word.text, to);
+                const corners = [[left, word.y], [right, word.y], [left, word.y + word.height], [right, word.y + word.height]]
+                    .map(([x, y]) => toPage(x, y));
+                const xs = corners.map(point => point[0]);
+                const ys = corners.map(point => point[1]);
+                return {
+                    x: Math.min(...xs),
+                    y: Math.min(...ys),
+                    width: Math.max(...xs) - Math.min(...xs),
+                    height: Math.max(...ys) - Math.min(...ys)
+                };
+            }
+        })));
+    }
+
+    // Add the OCR text of a document's scanned pages to the full-text index, one page at a time
+    async ocrIndexPages(fileId) {
+        const status = this.textIndexStatus.get(fileId);
+        if (!status || !status.complete || status.ocrRunning) return;
+
+        status.ocrRunning = true;
+        status.ocrPages = status.ocrPages || new Set();
         try {
-            // Get the page
-            const page = await this.currentPDF.getPage(pageIndex + 1);
-            const viewport = page.getViewport({ scale: 1 });
-            
-            // Calculate canvas size - use optimal dimensions for readability
-            const aspectRatio = viewport.width / viewport.height;
-            
-            // Calculate canvas size for optimal readability - make it much larger
-            const containerRect = container.getBoundingClientRect();
-            const availableWidth = containerRect.width - 60; // Leave some padding
-            const availableHeight = window.innerHeight - 300; // Account for header and controls
-            
-            // Make canvas much smaller to fit content tightly
-            let targetWidth = Math.min(400, viewport.width * 0.8); // Much smaller, fixed max
-            let targetHeight = targetWidth / aspectRatio;
-            
-            // Keep it readable but compact
-            if (targetHeight > 600) {
-                targetHeight = 600;
-                targetWidth = targetHeight * aspectRatio;
+            for (const page of status.emptyPages || []) {
+                if (!this.ocrEnabled || this.textIndexStatus.get(fileId) !== status) break;
+                if (status.ocrPages.has(page)) continue;
+
+                const pageIndex = this.getWorkspacePageIndex(fileId, page);
+                const ocr = pageIndex === null ? null : await this.getPageOCR(pageIndex).catch(error => {
+                    console.warn(`OCR failed for page ${page + 1}:`, error);
+                    return null;
+                });
+                status.ocrPages.add(page);
+                if (ocr && ocr.text && this.searchWorker) {
+                    this.searchWorker.postMessage({ type: 'SET_PAGE_TEXT', data: { documentId: fileId, page, text: ocr.text } });
+                    if (this.pageSearch.query) this.runPageSearch();
+                }
+                this.updatePageSearchStatus();
             }
-            
-            let canvasWidth = targetWidth;
-            let canvasHeight = targetHeight;
-            
-            // Set canvas dimensions
-            canvas.width = canvasWidth;
-            canvas.height = canvasHeight;
-            canvas.style.display = 'block';
-            canvas.style.margin = '0';
-            canvas.style.padding = '0';
-            canvas.style.verticalAlign = 'top';
-            
-            // Remove all padding and ensure container fits exactly to canvas size
-            container.style.background = 'transparent';
-            container.style.padding = '0px';
-            container.style.margin = '0px';
-            container.style.width = canvasWidth + 'px';
-            container.style.height = canvasHeight + 'px';
-            
-            // Hide placeholder
-            const placeholder = container.querySelector('.preview-placeholder');
-            if (placeholder) placeholder.style.display = 'none';
-            
-            // Clear canvas with white background
-            context.fillStyle = '#ffffff';
-            context.fillRect(0, 0, canvasWidth, canvasHeight);
-            
-            // Render the page
-            const scale = canvasWidth / viewport.width;
-            const scaledViewport = page.getViewport({ scale });
-            
-            this.currentRenderTask = page.render({
-                canvasContext: context,
-                viewport: scaledViewport
+        } finally {
+            status.ocrRunning = false;
+            this.updatePageSearchStatus();
+        }
+    }
+
+    // Invisible text over each placed scan, word by word, so the exported PDF can be searched and copied from
+    async drawOCRTextLayer(pdfDoc, page, layout, fontCache) {
+        if (!this.ocrEnabled) return;
+        const pageHeight = page.getHeight();
+
+        for (const placement of layout.placements) {
+            const ocr = await this.getPageOCR(placement.pageIndex).catch(error => {
+                console.warn(`OCR failed for page ${placement.pageIndex + 1}:`, error);
+                return null;
             });
-            
-            try {
-                await this.currentRenderTask.promise;
-                this.currentRenderTask = null;
-            } catch (error) {
-                if (error.name === 'RenderingCancelledException') {
-                    console.log('Render cancelled, ignoring');
-                    return;
+            if (!ocr || ocr.lines.length === 0) continue;
+
+            const toPage = await this.getOCRMapper(placement.pageIndex);
+            // OCR fractions to PDF points on the composed page (bottom-left origin)
+            const toPDF = (x, y) => {
+                const [pageX, pageY] = toPage(x, y);
+                return [placement.x + pageX * placement.width, pageHeight - placement.y - pageY * placement.height];
+            };
+            // A bundled font can encode any recognized character; Helvetica only covers WinAnsi
+            const family = this.annotationFonts.length > 0 ? this.annotationFonts[0].family : 'Helvetica';
+            const font = await this.embedAnnotationFont(pdfDoc, family, fontCache);
+            const fontKey = page.node.newFontDictionary(font.name, font.ref);
+
+            const operators = [
+                PDFLib.pushGraphicsState(),
+                PDFLib.beginText(),
+                PDFLib.setTextRenderingMode(PDFLib.TextRenderingMode.Invisible),
+                PDFLib.setFontAndSize(fontKey, 1)
+            ];
+            for (const word of ocr.lines.flatMap(line => line.words)) {
+                let encoded;
+                try {
+                    encoded = font.encodeText(word.text);
+                } catch (error) {
+                    continue; // Character the fallback font cannot encode
                 }
-                throw error;
+                const textWidth = font.widthOfTextAtSize(word.text, 1);
+                if (!textWidth) continue;
+
+                // Stretch 1pt text so the word covers its box on the scan, along the box's baseline
+                const [x0, y0] = toPDF(word.x, word.y + word.height);
+                const [x1, y1] = toPDF(word.x + word.width, word.y + word.height);
+                const [x2, y2] = toPDF(word.x, word.y);
+                operators.push(
+                    PDFLib.setTextMatrix((x1 - x0) / textWidth, (y1 - y0) / textWidth, x2 - x0, y2 - y0, x0, y0),
+                    PDFLib.showText(encoded)
+                );
             }
-            
-            console.log('Single page preview rendered for page:', pageIndex);
-            
-            // Update export button state for single page preview
-            const exportBtn = document.getElementById('exportPreviewBtn');
-            if (exportBtn) {
-                exportBtn.disabled = !(this.selectedCitations.size > 0);
+            operators.push(PDFLib.endText(), PDFLib.popGraphicsState());
+            page.pushOperators(...operators);
+        }
+    }
+
+    // ============== CITATION CAPTIONS ==============
+    // Captions are built from the cited document's metadata (see /api/pdf/:fileId/info) and the
+    // citation page numbers. Once edited by hand, a caption is kept until the style changes.
+
+    async getDocumentMetadata(doc) {
+        if (!doc.metadata) {
+            doc.metadata = fetch(`/api/pdf/${encodeURIComponent(doc.fileId)}/info`)
+                .then(response => response.ok ? response.json() : {})
+                .then(info => info.metadata || {})
+                .catch(error => {
+                    console.warn('Failed to load document metadata:', error);
+                    return {};
+                });
+        }
+        return doc.metadata;
+    }
+
+    async updateCaption() {
+        if (this.captionEdited) return;
+
+        const citations = this.getOrderedCitations();
+        const doc = citations.length > 0 ? this.getDocumentForPage(citations[0]) : null;
+        let caption = '';
+        if (doc) {
+            const metadata = await this.getDocumentMetadata(doc);
+            // Page numbers as printed in the cited document, not workspace positions
+            const pages = citations
+                .filter(pageIndex => this.getDocumentForPage(pageIndex) === doc)
+                .map(pageIndex => pageIndex - doc.pageOffset + 1);
+            caption = this.formatCitationCaption(this.captionStyle, {
+                ...metadata,
+                title: metadata.title || doc.name.replace(/\.pdf$/i, '')
+            }, pages);
+        }
+
+        if (this.captionEdited) return; // Edited while the metadata loaded
+        this.captionText = caption;
+        const captionInput = document.getElementById('captionText');
+        if (captionInput) captionInput.value = caption;
+    }
+
+    formatCitationCaption(style, metadata, pages) {
+        const authors = (metadata.authors || []).map(name => this.parseAuthorName(name));
+        const year = metadata.year || null;
+        const pageText = this.formatPageNumbers(pages);
+        const doi = metadata.doi ? `https://doi.org/${metadata.doi}` : null;
+        const title = metadata.title || 'Untitled';
+        const join = parts => parts.filter(Boolean).join(' ');
+
+        switch (style) {
+            case 'mla': {
+                // Doe, Jane Q., and John Smith. "Title." Journal, vol. 12, no. 3, 2021, pp. 14–16.
+                let names = null;
+                if (authors.length === 1) names = `${authors[0].last}, ${authors[0].first}`;
+                if (authors.length === 2) names = `${authors[0].last}, ${authors[0].first}, and ${authors[1].first} ${authors[1].last}`;
+                if (authors.length > 2) names = `${authors[0].last}, ${authors[0].first}, et al`;
+                const source = [
+                    metadata.publication,
+                    metadata.volume && `vol. ${metadata.volume}`,
+                    metadata.issue && `no. ${metadata.issue}`,
+                    year,
+                    pageText && `${pages.length > 1 ? 'pp.' : 'p.'} ${pageText}`
+                ].filter(Boolean).join(', ');
+                return join([names && this.endSentence(names), `"${this.endSentence(title)}"`, source && `${source}.`, doi]);
+            }
+            case 'chicago': {
+                // Doe, Jane Q., John Smith, and Ana López. "Title." Journal 12, no. 3 (2021): 14–16.
+                const full = authors.map((author, i) => i === 0 ? `${author.last}, ${author.first}` : `${author.first} ${author.last}`);
+                const names = full.length > 1
+                    ? `${full.slice(0, -1).join(', ')}, and ${full[full.length - 1]}`
+                    : full[0];
+                const volume = [metadata.volume, metadata.issue && `no. ${metadata.issue}`].filter(Boolean).join(', ');
+                const source = join([metadata.publication, volume, year && `(${year})`]);
+                const located = source && pageText ? `${source}: ${pageText}` : (source || pageText);
+                return join([names && this.endSentence(names), `"${this.endSentence(title)}"`, located && `${located}.`, doi]);
+            }
+            case 'apa':
+            default: {
+                // Doe, J. Q., Smith, J., & López, A. M. (2021). Title. Journal, 12(3), pp. 14–16. https://doi.org/...
+                const short = authors.map(author => `${author.last}, ${author.initials}`);
+                const names = short.length > 1 ? `${short.slice(0, -1).join(', ')}, & ${short[short.length - 1]}` : short[0];
+                const date = `(${year || 'n.d.'}).`;
+                const volume = metadata.volume ? `${metadata.volume}${metadata.issue ? `(${metadata.issue})` : ''}` : null;
+                const source = [metadata.publication, volume, pageText && `${pages.length > 1 ? 'pp.' : 'p.'} ${pageText}`]
+                    .filter(Boolean).join(', ');
+                const head = names ? [names, date, this.endSentence(title)] : [this.endSentence(title), date];
+                return join([...head, source && `${source}.`, doi]);
+            }
+        }
+    }
+
+    // "Jane Q. Doe" or "Doe, Jane Q." -> { first, last, initials }
+    parseAuthorName(name) {
+        let first = '';
+        let last = name.trim();
+        if (last.includes(',')) {
+            [last, first] = last.split(',', 2).map(part => part.trim());
+        } else {
+            const parts = last.split(/\s+/);
+            last = parts.pop();
+            first = parts.join(' ');
+        }
+        const initials = first.split(/[\s.]+/).filter(Boolean)
+            .map(part => part.split('-').map(piece => `${piece[0].toUpperCase()}.`).join('-'))
+            .join(' ');
+        return { first, last, initials };
+    }
+
+    // [3, 7, 8, 9] -> "3, 7–9"
+    formatPageNumbers(pages) {
+        const sorted = [...new Set(pages)].sort((a, b) => a - b);
+        const ranges = [];
+        for (const page of sorted) {
+            const range = ranges[ranges.length - 1];
+            if (range && page === range[1] + 1) {
+                range[1] = page;
+            } else {
+                ranges.push([page, page]);
             }
-            
-        } catch (error) {
-            console.error('Error rendering single page preview:', error);
-            this.showToast('Failed to render page preview', 'error');
         }
+        return ranges.map(([start, end]) => start === end ? `${start}` : `${start}–${end}`).join(', ');
+    }
+
+    endSentence(text) {
+        return /[.?!]$/.test(text) ? text : `${text}.`;
+    }
+
+    // Put the caption on the composition as a text annotation, replacing an earlier stamp
+    stampCaption() {
+        if (this.readOnly || !this.captionText.trim()) return;
+
+        const stamped = this.annotations.find(annotation => annotation.role === 'caption');
+        if (stamped) {
+            this.updateAnnotation(stamped.id, { text: this.captionText });
+            return;
+        }
+
+        const before = this.getAnnotationsState();
+        const annotation = { ...this.createAnnotation('text'), x: 0.05, y: 0.93, width: 0.9, text: this.captionText, role: 'caption' };
+        this.annotations.push(annotation);
+        this.selectedAnnotation = annotation.id;
+        this.recordHistory({ type: 'annotations', before, after: this.getAnnotationsState() });
+
+        this.renderAnnotations();
+        this.scheduleSessionSave();
     }
 
     // ============== COVER INTERACTION METHODS ==============
@@ -5792,7 +8970,7 @@ class PDFComposerApp {
         
         try {
             // Get cover image from thumbnail
-            const coverThumbnail = this.thumbnails[this.selectedCover];
+            const coverThumbnail = await this.loadThumbnail(this.selectedCover);
             console.log('🔍 Checking cover thumbnail:', {
                 selectedCover: this.selectedCover,
                 thumbnailExists: !!coverThumbnail,
@@ -5811,8 +8989,21 @@ class PDFComposerApp {
             await this.createCoverCanvas(coverThumbnail);
             console.log('✅ createCoverCanvas completed successfully');
             
-            // Position cover initially
-            this.resetCoverTransform();
+            // Position cover initially, or where a restored session left it
+            if (this.pendingCoverRect) {
+                if (!this.applyNormalizedOverlayRect(this.pendingCoverRect, this.getCoverOverlay())) {
+                    this.resetCoverTransform();
+                }
+                this.pendingCoverRect = null;
+                this.pendingCoverTransform = null;
+            } else if (this.pendingCoverTransform) {
+                Object.assign(this.coverTransform, this.pendingCoverTransform);
+                this.pendingCoverTransform = null;
+                this.updateCoverScale(this.coverTransform.scale);
+                this.updateCoverPosition();
+            } else {
+                this.resetCoverTransform();
+            }
             
             // Setup event listeners for interactions
             this.setupCoverEventListeners();
@@ -6009,6 +9200,8 @@ class PDFComposerApp {
         console.log('=== COVER MOUSE DOWN ===');
         event.preventDefault();
         event.stopPropagation();
+        if (this.readOnly) return;
+        this.selectOverlayFromEvent(event);
         
         if (event.target.classList.contains('resize-handle')) {
             console.log('Resize handle clicked - ignoring drag');
@@ -6016,11 +9209,12 @@ class PDFComposerApp {
         }
 
         console.log('Setting isDragging = true');
-        this.coverTransform.isDragging = true;
-        this.coverTransform.startX = event.clientX - this.coverTransform.x;
-        this.coverTransform.startY = event.clientY - this.coverTransform.y;
+        this.beginCoverEdit();
+        const { transform, container: coverContainer } = this.getActiveOverlay();
+        transform.isDragging = true;
+        transform.startX = event.clientX - transform.x;
+        transform.startY = event.clientY - transform.y;
         
-        const coverContainer = document.getElementById('coverImageContainer');
         const previewCanvasContainer = document.querySelector('.preview-canvas-container');
         
         if (coverContainer) {
@@ -6040,20 +9234,22 @@ class PDFComposerApp {
     }
 
     handleCoverMouseMove(event) {
-        if (!this.coverTransform.isDragging) return;
+        const overlay = this.getActiveOverlay();
+        const { transform } = overlay;
+        if (!transform.isDragging) return;
 
         event.preventDefault();
         
         // Calculate new position immediately for responsiveness
-        const newX = event.clientX - this.coverTransform.startX;
-        const newY = event.clientY - this.coverTransform.startY;
+        const newX = event.clientX - transform.startX;
+        const newY = event.clientY - transform.startY;
         
         // Apply boundary checking
-        const constrainedPos = this.constrainCoverPosition(newX, newY);
+        const constrainedPos = this.constrainCoverPosition(newX, newY, overlay);
         
         // Update position immediately for real-time feedback
-        this.coverTransform.x = constrainedPos.x;
-        this.coverTransform.y = constrainedPos.y;
+        transform.x = constrainedPos.x;
+        transform.y = constrainedPos.y;
         
         // Use requestAnimationFrame only for DOM updates to prevent blocking
         if (this.coverMoveAnimationFrame) {
@@ -6061,17 +9257,17 @@ class PDFComposerApp {
         }
         
         this.coverMoveAnimationFrame = requestAnimationFrame(() => {
-            this.updateCoverPosition();
+            this.positionOverlay(overlay);
             this.updateCoverTransformInfo();
         });
     }
 
     handleCoverMouseUp(event) {
-        if (!this.coverTransform.isDragging) return;
+        const { transform, container: coverContainer } = this.getActiveOverlay();
+        if (!transform.isDragging) return;
         
-        this.coverTransform.isDragging = false;
+        transform.isDragging = false;
         
-        const coverContainer = document.getElementById('coverImageContainer');
         const previewCanvasContainer = document.querySelector('.preview-canvas-container');
         
         if (coverContainer) {
@@ -6087,10 +9283,12 @@ class PDFComposerApp {
             hintText.textContent = 'Drag cover to reposition • Pinch or scroll to resize';
         }
 
-        console.log('Stopped dragging cover at position:', this.coverTransform.x, this.coverTransform.y);
+        console.log('Stopped dragging overlay at position:', transform.x, transform.y);
+        this.endCoverEdit();
     }
 
     handleCoverTouchStart(event) {
+        if (this.readOnly) return;
         if (event.touches.length === 1) {
             // Single touch - drag
             const touch = event.touches[0];
@@ -6103,12 +9301,13 @@ class PDFComposerApp {
             });
         } else if (event.touches.length === 2) {
             // Two fingers - pinch to zoom
+            this.selectOverlayFromEvent(event);
             this.handlePinchStart(event);
         }
     }
 
     handleCoverTouchMove(event) {
-        if (event.touches.length === 1 && this.coverTransform.isDragging) {
+        if (event.touches.length === 1 && this.getActiveOverlay().transform.isDragging) {
             // Single touch - drag
             const touch = event.touches[0];
             this.handleCoverMouseMove({
@@ -6125,37 +9324,57 @@ class PDFComposerApp {
     handleCoverTouchEnd(event) {
         if (event.touches.length === 0) {
             this.handleCoverMouseUp(event);
+            this.endCoverEdit(); // Ends a pinch too
         }
     }
 
     handleCoverWheel(event) {
+        if (this.readOnly) return;
         event.preventDefault();
+        this.selectOverlayFromEvent(event);
         
+        const overlay = this.getActiveOverlay();
+        const { transform } = overlay;
         const delta = event.deltaY > 0 ? -0.1 : 0.1;
         const newScale = Math.max(
-            this.coverTransform.minScale,
-            Math.min(this.coverTransform.maxScale, this.coverTransform.scale + delta)
+            transform.minScale,
+            Math.min(transform.maxScale, transform.scale + delta)
         );
         
-        this.updateCoverScale(newScale);
+        // A burst of wheel steps is undone as one resize
+        const before = this.getOverlayEditState();
+        this.setOverlayScale(overlay, newScale);
+        const after = this.getOverlayEditState().state;
+        const last = this.history.undo[this.history.undo.length - 1];
+        if (this.wheelEdit && this.wheelEdit.command === last && last.type === before.type && Date.now() - this.wheelEdit.time < 500) {
+            last.after = after;
+            this.wheelEdit.time = Date.now();
+        } else {
+            const command = { type: before.type, before: before.state, after };
+            this.wheelEdit = this.recordHistory(command) ? { command, time: Date.now() } : null;
+        }
     }
 
     handlePinchStart(event) {
         if (event.touches.length !== 2) return;
+        this.beginCoverEdit();
         
         const touch1 = event.touches[0];
         const touch2 = event.touches[1];
+        const { transform } = this.getActiveOverlay();
         
-        this.coverTransform.isResizing = true;
-        this.coverTransform.startScale = this.coverTransform.scale;
-        this.coverTransform.initialPinchDistance = Math.sqrt(
+        transform.isResizing = true;
+        transform.startScale = transform.scale;
+        transform.initialPinchDistance = Math.sqrt(
             Math.pow(touch2.clientX - touch1.clientX, 2) + 
             Math.pow(touch2.clientY - touch1.clientY, 2)
         );
     }
 
     handlePinchMove(event) {
-        if (!this.coverTransform.isResizing || event.touches.length !== 2) return;
+        const overlay = this.getActiveOverlay();
+        const { transform } = overlay;
+        if (!transform.isResizing || event.touches.length !== 2) return;
         
         event.preventDefault();
         
@@ -6167,23 +9386,27 @@ class PDFComposerApp {
             Math.pow(touch2.clientY - touch1.clientY, 2)
         );
         
-        const scaleMultiplier = currentDistance / this.coverTransform.initialPinchDistance;
+        const scaleMultiplier = currentDistance / transform.initialPinchDistance;
         const newScale = Math.max(
-            this.coverTransform.minScale,
-            Math.min(this.coverTransform.maxScale, this.coverTransform.startScale * scaleMultiplier)
+            transform.minScale,
+            Math.min(transform.maxScale, transform.startScale * scaleMultiplier)
         );
         
-        this.updateCoverScale(newScale);
+        this.setOverlayScale(overlay, newScale);
     }
 
     handleResizeMouseDown(event) {
         event.preventDefault();
         event.stopPropagation();
+        if (this.readOnly) return;
+        this.selectOverlayFromEvent(event);
         
-        this.coverTransform.isResizing = true;
-        this.coverTransform.startScale = this.coverTransform.scale;
-        this.coverTransform.startX = event.clientX;
-        this.coverTransform.startY = event.clientY;
+        this.beginCoverEdit();
+        const { transform } = this.getActiveOverlay();
+        transform.isResizing = true;
+        transform.startScale = transform.scale;
+        transform.startX = event.clientX;
+        transform.startY = event.clientY;
         
         // Add document listeners for resize
         document.addEventListener('mousemove', this.handleResizeMouseMove.bind(this));
@@ -6191,7 +9414,9 @@ class PDFComposerApp {
     }
 
     handleResizeMouseMove(event) {
-        if (!this.coverTransform.isResizing) return;
+        const overlay = this.getActiveOverlay();
+        const { transform } = overlay;
+        if (!transform.isResizing) return;
         
         event.preventDefault();
         
@@ -6201,11 +9426,11 @@ class PDFComposerApp {
         const mouseY = event.clientY - rect.top;
         
         // Calculate new dimensions based on bottom-right corner dragging
-        const newWidth = mouseX - this.coverTransform.x;
-        const newHeight = mouseY - this.coverTransform.y;
+        const newWidth = mouseX - transform.x;
+        const newHeight = mouseY - transform.y;
         
         // Maintain aspect ratio
-        const aspectRatio = this.coverTransform.originalWidth / this.coverTransform.originalHeight;
+        const aspectRatio = transform.originalWidth / transform.originalHeight;
         let finalWidth, finalHeight;
         
         if (newWidth / aspectRatio > newHeight) {
@@ -6218,12 +9443,12 @@ class PDFComposerApp {
         
         // Calculate scale from new dimensions
         const newScale = Math.max(
-            this.coverTransform.minScale,
-            Math.min(this.coverTransform.maxScale, finalWidth / this.coverTransform.originalWidth)
+            transform.minScale,
+            Math.min(transform.maxScale, finalWidth / transform.originalWidth)
         );
         
         // Update scale immediately
-        this.coverTransform.scale = newScale;
+        transform.scale = newScale;
         
         // Use requestAnimationFrame only for DOM updates
         if (this.resizeAnimationFrame) {
@@ -6231,13 +9456,16 @@ class PDFComposerApp {
         }
         
         this.resizeAnimationFrame = requestAnimationFrame(() => {
-            this.updateCoverPosition();
+            this.positionOverlay(overlay);
             this.updateCoverTransformInfo();
         });
     }
 
     handleResizeMouseUp(event) {
-        this.coverTransform.isResizing = false;
+        const { transform } = this.getActiveOverlay();
+        if (!transform.isResizing) return;
+        transform.isResizing = false;
+        this.endCoverEdit();
         
         // Remove document listeners
         document.removeEventListener('mousemove', this.handleResizeMouseMove.bind(this));
@@ -6245,15 +9473,19 @@ class PDFComposerApp {
     }
 
     updateCoverScale(newScale) {
-        this.coverTransform.scale = newScale;
+        this.setOverlayScale(this.getCoverOverlay(), newScale);
+    }
+
+    setOverlayScale(overlay, newScale) {
+        overlay.transform.scale = newScale;
         
         // Update position using transform-based approach
-        this.updateCoverPosition();
+        this.positionOverlay(overlay);
         this.updateCoverTransformInfo();
     }
 
-    constrainCoverPosition(x, y) {
-        const coverContainer = document.getElementById('coverImageContainer');
+    constrainCoverPosition(x, y, overlay = this.getCoverOverlay()) {
+        const { transform, container: coverContainer } = overlay;
         const previewContainer = document.querySelector('.preview-canvas-container');
         
         if (!coverContainer || !previewContainer) {
@@ -6266,8 +9498,8 @@ class PDFComposerApp {
         const containerHeight = containerRect.height;
         
         // Get cover dimensions (accounting for scale)
-        const coverWidth = (parseFloat(coverContainer.style.width) || coverContainer.offsetWidth) * this.coverTransform.scale;
-        const coverHeight = (parseFloat(coverContainer.style.height) || coverContainer.offsetHeight) * this.coverTransform.scale;
+        const coverWidth = (parseFloat(coverContainer.style.width) || coverContainer.offsetWidth) * transform.scale;
+        const coverHeight = (parseFloat(coverContainer.style.height) || coverContainer.offsetHeight) * transform.scale;
         
         // Keep cover within visible preview container bounds
         const padding = 10;
@@ -6283,14 +9515,18 @@ class PDFComposerApp {
     }
 
     updateCoverPosition() {
-        const coverContainer = document.getElementById('coverImageContainer');
+        this.positionOverlay(this.getCoverOverlay());
+    }
+
+    positionOverlay({ transform, container: coverContainer }) {
         if (coverContainer) {
             // Use absolute positioning with correct property names
             coverContainer.style.position = 'absolute';
-            coverContainer.style.left = this.coverTransform.x + 'px';
-            coverContainer.style.top = this.coverTransform.y + 'px';
-            coverContainer.style.transform = `scale(${this.coverTransform.scale})`;
+            coverContainer.style.left = transform.x + 'px';
+            coverContainer.style.top = transform.y + 'px';
+            coverContainer.style.transform = `scale(${transform.scale})`;
             coverContainer.style.transformOrigin = 'top left';
+            coverContainer.style.zIndex = 1 + (transform.zIndex || 0); // Layers stack in z-order
             
             // Ensure the container remains visible
             coverContainer.style.visibility = 'visible';
@@ -6299,14 +9535,17 @@ class PDFComposerApp {
     }
 
     updateCoverTransformInfo() {
+        // The transform panel follows whichever overlay is selected
+        const { transform } = this.getActiveOverlay();
         document.getElementById('coverPositionInfo').textContent = 
-            `${Math.round(this.coverTransform.x)}, ${Math.round(this.coverTransform.y)}`;
+            `${Math.round(transform.x)}, ${Math.round(transform.y)}`;
         document.getElementById('coverScaleInfo').textContent = 
-            `${Math.round(this.coverTransform.scale * 100)}%`;
+            `${Math.round(transform.scale * 100)}%`;
         
-        const width = Math.round(this.coverTransform.originalWidth * this.coverTransform.scale);
-        const height = Math.round(this.coverTransform.originalHeight * this.coverTransform.scale);
+        const width = Math.round(transform.originalWidth * transform.scale);
+        const height = Math.round(transform.originalHeight * transform.scale);
         document.getElementById('coverSizeInfo').textContent = `${width} × ${height}`;
+        this.scheduleSessionSave();
     }
 
     resetCoverTransform() {
@@ -6378,6 +9617,7 @@ class PDFComposerApp {
     }
     
     handleModeSwitch(mode) {
+        if (this.readOnly) return;
         console.log('Mode switched to:', mode);
         
         // Update active state
@@ -6387,7 +9627,9 @@ class PDFComposerApp {
         });
         
         // Update overlay mode
+        this.recordHistory({ type: 'mode', before: this.overlayMode, after: mode });
         this.overlayMode = mode;
+        this.scheduleSessionSave();
         
         // Update preview display based on mode
         this.updatePreviewMode(mode);
@@ -6422,6 +9664,11 @@ class PDFComposerApp {
             }
         }
         
+        // Extra layers are shown again when the overlay preview renders them
+        if (mode === 'sidebyside') {
+            document.querySelectorAll('.overlay-layer').forEach(element => element.classList.add('hidden'));
+        }
+        
         // Hide/show interactive cover controls based on mode and cover selection
         const coverContainer = document.getElementById('coverImageContainer');
         if (coverContainer) {
@@ -6446,6 +9693,7 @@ class PDFComposerApp {
         console.log('Overlay mode changed to:', newMode);
         
         this.overlayMode = newMode;
+        this.scheduleSessionSave();
         
         // Hide/show interactive cover controls based on mode
         const coverContainer = document.getElementById('coverImageContainer');
@@ -6498,6 +9746,72 @@ class PDFComposerApp {
         }
     }
 
+    // Citation order is the insertion order of selectedCitations; moveCitation rebuilds the set
+    getOrderedCitations() {
+        return Array.from(this.selectedCitations);
+    }
+
+    moveCitation(pageIndex, targetPosition) {
+        if (this.readOnly) return;
+        const before = this.getOrderedCitations();
+        const order = before.filter(index => index !== pageIndex);
+        const position = Math.max(0, Math.min(targetPosition, order.length));
+        order.splice(position, 0, pageIndex);
+        this.selectedCitations = new Set(order);
+        this.recordHistory({ type: 'citations', before, after: order });
+        console.log('Citation order:', order);
+    }
+
+    renderCitationOrder() {
+        const list = document.getElementById('citationOrderList');
+        if (!list) return;
+
+        const order = this.getOrderedCitations();
+        list.innerHTML = '';
+        list.classList.toggle('hidden', order.length < 2);
+
+        order.forEach((pageIndex, position) => {
+            const item = document.createElement('div');
+            item.className = 'citation-order-item';
+            item.draggable = !this.readOnly;
+            item.dataset.citationPage = pageIndex;
+            item.title = 'Drag to reorder';
+            item.textContent = `${position + 1}· P${this.getPageLabel(pageIndex)}`;
+
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(pageIndex));
+                item.classList.add('dragging');
+            });
+            item.addEventListener('dragend', () => item.classList.remove('dragging'));
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            });
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                const draggedPage = parseInt(e.dataTransfer.getData('text/plain'), 10);
+                if (isNaN(draggedPage) || draggedPage === pageIndex) return;
+
+                // Dropping on the right half of an item places the dragged citation after it
+                const rect = item.getBoundingClientRect();
+                const after = e.clientX > rect.left + rect.width / 2;
+                const targetPosition = this.getOrderedCitations()
+                    .filter(index => index !== draggedPage)
+                    .indexOf(pageIndex) + (after ? 1 : 0);
+
+                this.moveCitation(draggedPage, targetPosition);
+                this.renderCitationOrder();
+                this.updatePreviewVisibility();
+            });
+
+            list.appendChild(item);
+        });
+
+        // Order numbers on the thumbnails follow the list
+        order.forEach(pageIndex => this.updateThumbnailElement(pageIndex));
+    }
+
     updateSelectionSummary() {
         // Update enhanced selection summary in thumbnail panel
         const citationCountEl = document.getElementById('citationCount');
@@ -6509,6 +9823,9 @@ class PDFComposerApp {
         if (coverCountEl) {
             coverCountEl.textContent = this.selectedCover !== null ? '1' : '0';
         }
+
+        this.renderCitationOrder();
+        this.scheduleSessionSave();
         
         // Legacy support for old selection panel
         const legacyCitationCountEl = document.getElementById('legacyCitationCount');
@@ -6599,6 +9916,9 @@ class PDFComposerApp {
     // Cleanup methods for proper resource management
     cleanup() {
         console.log('Cleaning up PDF Composer resources...');
+
+        // The last change before the page goes away
+        this.flushSessionSave();
         
         // Cancel any ongoing thumbnail generation
         this.cancelThumbnailGeneration();
@@ -6658,25 +9978,20 @@ class PDFComposerApp {
     }
     
     cancelThumbnailGeneration() {
-        if (this.currentTaskId && this.thumbnailWorker) {
-            console.log('Cancelling thumbnail generation task:', this.currentTaskId);
-            this.thumbnailWorker.postMessage({
-                type: 'CANCEL_TASK',
-                taskId: this.currentTaskId
-            });
-        }
-        
         // Reset state
         this.isProcessing = false;
         this.processingStartTime = null;
-        this.currentTaskId = null;
     }
     
     destroyWorker() {
-        if (this.thumbnailWorker) {
-            console.log('Terminating thumbnail worker');
-            this.thumbnailWorker.terminate();
-            this.thumbnailWorker = null;
+        if (this.renderWorkers.length > 0) {
+            console.log('Terminating render workers');
+            this.destroyRenderPool();
+        }
+        if (this.searchWorker) {
+            console.log('Terminating search worker');
+            this.searchWorker.terminate();
+            this.searchWorker = null;
         }
     }
     
@@ -0,0 +1,64 @@
+// Page geometry shared by the browser (app.js) and the server (server.js), so client-side
+// exports and server-side composition crop and place pages the same way.
+// Loaded with a <script> tag in the browser (window.PageGeometry) and with require() in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('pdf-lib'));
+    } else {
+        root.PageGeometry = factory(root.PDFLib);
+    }
+}(typeof self !== 'undefined' ? self : this, function (PDFLib) {
+    // Margins seen after turning the page clockwise by quarterTurns
+    function rotateMargins(margins, quarterTurns) {
+        const sides = ['top', 'right', 'bottom', 'left'];
+        const rotated = {};
+        sides.forEach((side, i) => {
+            rotated[side] = margins[sides[(((i - quarterTurns) % 4) + 4) % 4]];
+        });
+        return rotated;
+    }
+
+    // Shrink a PDF view box [x1, y1, x2, y2] by crop margins given in the page's displayed orientation
+    function getCroppedViewBox(view, pageRotation, crop) {
+        if (!crop) return view;
+        const margins = rotateMargins(crop, -pageRotation / 90);
+        const width = view[2] - view[0];
+        const height = view[3] - view[1];
+        return [
+            view[0] + margins.left * width,
+            view[1] + margins.bottom * height,
+            view[2] - margins.right * width,
+            view[3] - margins.top * height
+        ];
+    }
+
+    function drawEmbeddedPage(targetPage, embeddedPage, rect, rotation = 0) {
+        // Layout rects use a top-left origin like the canvas; PDF space starts bottom-left
+        const x = rect.x;
+        const y = targetPage.getHeight() - rect.y - rect.height;
+
+        // Embedded pages ignore /Rotate, so apply it here. drawPage rotates counter-clockwise
+        // around the origin corner, which is shifted so the rotated page still fills rect
+        const angle = ((rotation % 360) + 360) % 360;
+        const quarterTurn = angle === 90 || angle === 270;
+        const origins = {
+            0: [x, y],
+            90: [x, y + rect.height],
+            180: [x + rect.width, y + rect.height],
+            270: [x + rect.width, y]
+        };
+        const [originX, originY] = origins[angle] || origins[0];
+
+        // pdf.js paints pages onto white, so do the same to keep overlays opaque
+        targetPage.drawRectangle({ x, y, width: rect.width, height: rect.height, color: PDFLib.rgb(1, 1, 1) });
+        targetPage.drawPage(embeddedPage, {
+            x: originX,
+            y: originY,
+            width: quarterTurn ? rect.height : rect.width,
+            height: quarterTurn ? rect.width : rect.height,
+            rotate: PDFLib.degrees(-angle)
+        });
+    }
+
+    return { rotateMargins, getCroppedViewBox, drawEmbeddedPage };
+}));
@@ -0,0 +1,46 @@
+// Page range parsing shared by the browser (app.js, the range box) and the server (server.js,
+// range strings sent to /api/compose), so both accept the same ranges with the same messages.
+// Loaded with a <script> tag in the browser (window.PageRanges) and with require() in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PageRanges = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Parse a page range string like "3-7, 12, 20-25" (1-based, as printed on the pages) into
+    // 0-based page indices in the order given, without repeats. Returns { pages } or { error }.
+    function parsePageRanges(text, pageCount) {
+        const parts = String(text).split(',').map(part => part.trim()).filter(Boolean);
+        if (parts.length === 0) {
+            return { error: 'Page range is empty' };
+        }
+
+        const pages = [];
+        const seen = new Set();
+        for (const part of parts) {
+            const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+            if (!match) {
+                return { error: `Invalid page range: ${part}` };
+            }
+            const first = parseInt(match[1], 10);
+            const last = match[2] ? parseInt(match[2], 10) : first;
+            if (first > last) {
+                return { error: `Page range ${part} runs backwards` };
+            }
+            if (first < 1 || last > pageCount) {
+                return { error: `Page range ${part} is outside pages 1-${pageCount}` };
+            }
+            for (let page = first - 1; page < last; page++) {
+                if (!seen.has(page)) {
+                    seen.add(page);
+                    pages.push(page);
+                }
+            }
+        }
+
+        return { pages };
+    }
+
+    return { parsePageRanges };
+}));
@@ -1,8 +1,21 @@
-// PDF Worker - Background thumbnail generation
+// PDF Worker - on-demand page rendering and full-text search, off the main thread
 // This worker runs in a separate thread and is not affected by tab visibility
 
-let pdfDocument = null;
-let isProcessing = false;
+// Same pdf.js build as the page. Loading its worker script here as well lets pdf.js parse inside this thread
+const PDFJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js';
+const PDFJS_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+// Full-text search index: documentId -> { pages: [{ text, lower }], totalPages, complete }
+const textIndex = new Map();
+
+// On-demand rendering (thumbnails and export pages): documentId -> pdf.js document (promise), and the
+// requests waiting to be rendered. The lowest priority renders first (0 = on screen); the render in
+// progress can be cancelled as well. The page runs several of these workers as a pool.
+const renderDocuments = new Map();
+let renderQueue = [];
+let activeRender = null;
+let renderSequence = 0;
+let isRendering = false;
 
 // Listen for messages from main thread
 self.addEventListener('message', async function(e) {
@@ -10,18 +23,36 @@ self.addEventListener('message', async function(e) {
     
     try {
         switch (type) {
-            case 'INIT_PDF':
-                await initializePDF(data.pdfData, taskId);
+            case 'INDEX_TEXT':
+                await indexDocumentText(data, taskId);
+                break;
+            case 'DROP_INDEX':
+                if (data && data.documentId) {
+                    textIndex.delete(data.documentId);
+                } else {
+                    textIndex.clear();
+                }
+                break;
+            case 'SET_PAGE_TEXT':
+                setPageText(data);
+                break;
+            case 'SEARCH':
+                searchText(data, taskId);
+                break;
+            case 'OPEN_DOCUMENT':
+                openRenderDocument(data);
                 break;
-            case 'GENERATE_THUMBNAILS':
-                await generateThumbnails(data, taskId);
+            case 'CLOSE_DOCUMENT':
+                await closeRenderDocuments(data);
                 break;
-            case 'CANCEL':
-                isProcessing = false;
-                self.postMessage({ type: 'CANCELLED', taskId });
+            case 'REQUEST_THUMBNAIL':
+                queueRender({ ...data, kind: 'thumbnail' }, taskId);
                 break;
-            case 'PING':
-                self.postMessage({ type: 'PONG', taskId });
+            case 'RENDER_PAGE':
+                queueRender({ ...data, kind: 'image' }, taskId);
+                break;
+            case 'CANCEL_RENDERS':
+                cancelRenders(data.taskIds);
                 break;
         }
     } catch (error) {
@@ -33,143 +64,281 @@ self.addEventListener('message', async function(e) {
     }
 });
 
-async function initializePDF(pdfData, taskId) {
-    try {
-        // Import PDF.js in worker context
-        importScripts('./pdf.min.js');
-        
-        // Initialize PDF.js
-        pdfjsLib.GlobalWorkerOptions.workerSrc = './pdf.worker.min.js';
-        
-        // Load PDF document
-        const loadingTask = pdfjsLib.getDocument({ data: pdfData });
-        pdfDocument = await loadingTask.promise;
-        
-        self.postMessage({ 
-            type: 'PDF_LOADED', 
-            totalPages: pdfDocument.numPages,
-            taskId 
-        });
-    } catch (error) {
-        self.postMessage({ 
-            type: 'ERROR', 
-            error: 'Failed to initialize PDF: ' + error.message,
-            taskId 
-        });
+function loadPDFJS() {
+    if (typeof pdfjsLib !== 'undefined') return;
+
+    // Import PDF.js in worker context
+    importScripts(PDFJS_URL, PDFJS_WORKER_URL);
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+}
+
+// Canvases for pdf.js inside the worker, where there is no document to create them from
+class OffscreenCanvasFactory {
+    create(width, height) {
+        const canvas = new OffscreenCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    reset(canvasAndContext, width, height) {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
     }
 }
 
-async function generateThumbnails({ totalPages, batchSize = 10 }, taskId) {
-    if (!pdfDocument) {
-        throw new Error('PDF not initialized');
+// The bytes come as a Blob, which the page shares with every worker of the pool without copying it
+function openRenderDocument({ documentId, pdfBlob }) {
+    loadPDFJS();
+
+    const loading = pdfBlob.arrayBuffer().then(buffer => pdfjsLib.getDocument({
+        data: new Uint8Array(buffer),
+        canvasFactory: new OffscreenCanvasFactory(),
+        // Glyphs are drawn as paths (no FontFace in here); fonts that are not embedded come from the server
+        disableFontFace: true,
+        useWorkerFetch: true,
+        standardFontDataUrl: new URL('/pdfjs/standard_fonts/', self.location.href).href,
+        isEvalSupported: false
+    }).promise);
+    loading.catch(error => console.warn(`Failed to open ${documentId} for rendering:`, error.message));
+    renderDocuments.set(documentId, loading);
+}
+
+// Close one document, or all of them when no documentId is given
+async function closeRenderDocuments({ documentId } = {}) {
+    const documentIds = documentId ? [documentId] : Array.from(renderDocuments.keys());
+    renderQueue = renderQueue.filter(request => !documentIds.includes(request.documentId));
+    if (activeRender && documentIds.includes(activeRender.request.documentId)) {
+        cancelActiveRender();
     }
-    
-    isProcessing = true;
-    const thumbnails = [];
-    
+
+    // Forget them all before waiting, so an OPEN_DOCUMENT that arrives meanwhile isn't dropped
+    const loadings = documentIds.map(id => renderDocuments.get(id)).filter(Boolean);
+    documentIds.forEach(id => renderDocuments.delete(id));
+    for (const loading of loadings) {
+        const doc = await loading.catch(() => null);
+        if (doc) await doc.destroy();
+    }
+}
+
+// A repeated taskId only changes the priority of the queued request
+function queueRender({ priority = 0, ...request }, taskId) {
+    const queued = renderQueue.find(candidate => candidate.taskId === taskId);
+    if (queued) {
+        queued.priority = priority;
+    } else {
+        renderQueue.push({ ...request, taskId, priority, sequence: renderSequence++ });
+    }
+    renderQueuedPages();
+}
+
+function cancelRenders(taskIds) {
+    const cancelled = new Set(taskIds);
+    renderQueue = renderQueue.filter(request => !cancelled.has(request.taskId));
+    if (activeRender && cancelled.has(activeRender.request.taskId)) {
+        cancelActiveRender();
+    }
+}
+
+function cancelActiveRender() {
+    activeRender.request.cancelled = true;
+    if (activeRender.renderTask) {
+        activeRender.renderTask.cancel();
+    }
+}
+
+async function renderQueuedPages() {
+    if (isRendering) return;
+    isRendering = true;
+
     try {
-        // Process in batches for progress updates
-        for (let batch = 0; batch < Math.ceil(totalPages / batchSize) && isProcessing; batch++) {
-            const batchThumbnails = [];
-            const startPage = batch * batchSize + 1;
-            const endPage = Math.min(startPage + batchSize - 1, totalPages);
-            
-            for (let pageNum = startPage; pageNum <= endPage && isProcessing; pageNum++) {
-                try {
-                    const thumbnail = await generateSingleThumbnail(pageNum);
-                    batchThumbnails.push(thumbnail);
-                } catch (pageError) {
-                    // Add placeholder for failed page
-                    batchThumbnails.push({
-                        page: pageNum - 1,
-                        buffer: null,
-                        width: 200,
-                        height: 300,
-                        error: pageError.message
-                    });
+        while (renderQueue.length > 0) {
+            // Most urgent first, oldest first among equals
+            let next = 0;
+            for (let i = 1; i < renderQueue.length; i++) {
+                const candidate = renderQueue[i];
+                const best = renderQueue[next];
+                if (candidate.priority < best.priority || (candidate.priority === best.priority && candidate.sequence < best.sequence)) {
+                    next = i;
+                }
+            }
+            const request = renderQueue.splice(next, 1)[0];
+
+            activeRender = { request, renderTask: null };
+            try {
+                const result = await renderPage(request);
+                if (result) {
+                    self.postMessage({ type: request.kind === 'image' ? 'PAGE_IMAGE' : 'THUMBNAIL', ...result, taskId: request.taskId });
                 }
-                
-                // Send individual page progress
-                const overallProgress = 50 + (pageNum / totalPages) * 50;
+            } catch (error) {
+                if (error && error.name === 'RenderingCancelledException') continue;
                 self.postMessage({
-                    type: 'PROGRESS',
-                    progress: overallProgress,
-                    message: `Generating thumbnails... ${pageNum}/${totalPages}`,
-                    pageNum,
-                    totalPages,
-                    taskId
+                    type: request.kind === 'image' ? 'PAGE_IMAGE_ERROR' : 'THUMBNAIL_ERROR',
+                    documentId: request.documentId,
+                    page: request.page,
+                    error: error.message,
+                    taskId: request.taskId
                 });
+            } finally {
+                activeRender = null;
             }
-            
-            // Send batch of thumbnails
-            self.postMessage({
-                type: 'THUMBNAILS_BATCH',
-                thumbnails: batchThumbnails,
-                batchStart: startPage - 1,
-                batchEnd: endPage - 1,
-                taskId
-            });
-            
-            thumbnails.push(...batchThumbnails);
         }
-        
-        if (isProcessing) {
-            self.postMessage({
-                type: 'THUMBNAILS_COMPLETE',
-                thumbnails,
-                taskId
-            });
+    } finally {
+        isRendering = false;
+    }
+}
+
+// Thumbnails are scaled to a width and come back as data URLs; export images are rendered at a
+// scale and come back as PNG or JPEG blobs
+async function renderPage(request) {
+    const { documentId, page: pageIndex, kind } = request;
+    if (typeof OffscreenCanvas === 'undefined') {
+        throw new Error('OffscreenCanvas not supported');
+    }
+    const loading = renderDocuments.get(documentId);
+    if (!loading) {
+        throw new Error(`Document ${documentId} is not open`);
+    }
+
+    const page = await (await loading).getPage(pageIndex + 1);
+    if (request.cancelled) return null;
+    try {
+        const baseViewport = page.getViewport({ scale: 1 });
+        const scale = kind === 'image'
+            ? request.scale
+            : Math.max(0.05, Math.min(1, request.width / baseViewport.width));
+        const viewport = page.getViewport({ scale });
+
+        const width = kind === 'image' ? Math.ceil(viewport.width) : Math.round(viewport.width);
+        const height = kind === 'image' ? Math.ceil(viewport.height) : Math.round(viewport.height);
+        const canvas = new OffscreenCanvas(width, height);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        const renderTask = page.render({ canvasContext: context, viewport });
+        activeRender.renderTask = renderTask;
+        await renderTask.promise;
+
+        if (kind === 'image') {
+            const type = request.format === 'jpeg' ? 'image/jpeg' : 'image/png';
+            const blob = await canvas.convertToBlob({ type, quality: request.quality });
+            return { documentId, page: pageIndex, blob, width, height };
         }
-    } catch (error) {
-        self.postMessage({
-            type: 'ERROR',
-            error: 'Thumbnail generation failed: ' + error.message,
-            taskId
-        });
+
+        const blob = await canvas.convertToBlob({ type: 'image/png' });
+        return {
+            documentId,
+            page: pageIndex,
+            buffer: new FileReaderSync().readAsDataURL(blob),
+            width: viewport.width,
+            height: viewport.height
+        };
     } finally {
-        isProcessing = false;
+        page.cleanup();
     }
 }
 
-async function generateSingleThumbnail(pageNum) {
-    const page = await pdfDocument.getPage(pageNum);
-    
-    // Use smaller scale for large documents
-    let scale = 0.3;
-    const totalPages = pdfDocument.numPages;
-    if (totalPages > 500) scale = 0.1;
-    else if (totalPages > 200) scale = 0.15;
-    
-    const viewport = page.getViewport({ scale });
-    
-    // Create OffscreenCanvas if available, otherwise use regular canvas
-    let canvas, context;
-    if (typeof OffscreenCanvas !== 'undefined') {
-        canvas = new OffscreenCanvas(viewport.width, viewport.height);
-        context = canvas.getContext('2d');
-    } else {
-        // Fallback to regular canvas (will be transferred back to main thread)
-        canvas = new ImageData(viewport.width, viewport.height);
-        // This will need to be handled differently in main thread
-        throw new Error('OffscreenCanvas not supported, falling back to main thread');
+// Extract the text of every page for searching. Progress is reported as pages are indexed,
+// and searches made before the end see the pages indexed so far
+async function indexDocumentText({ documentId, pdfData }, taskId) {
+    loadPDFJS();
+
+    const doc = await pdfjsLib.getDocument({ data: pdfData }).promise;
+    const entry = { pages: [], totalPages: doc.numPages, complete: false };
+    textIndex.set(documentId, entry);
+
+    try {
+        for (let pageNum = 1; pageNum <= doc.numPages; pageNum++) {
+            // Dropped (e.g. the workspace was closed) while indexing
+            if (textIndex.get(documentId) !== entry) return;
+
+            let text = '';
+            try {
+                const page = await doc.getPage(pageNum);
+                const content = await page.getTextContent();
+                text = content.items.map(item => (item.str || '') + (item.hasEOL ? ' ' : '')).join('').replace(/\s+/g, ' ').trim();
+                page.cleanup();
+            } catch (pageError) {
+                console.warn(`Text extraction failed for page ${pageNum}:`, pageError.message);
+            }
+            entry.pages.push(createPageEntry(text));
+
+            if (pageNum % 25 === 0 || pageNum === doc.numPages) {
+                self.postMessage({ type: 'INDEX_PROGRESS', documentId, indexed: pageNum, totalPages: doc.numPages, taskId });
+            }
+        }
+
+        entry.complete = true;
+        // Pages without a text layer (scans) can be filled in later with SET_PAGE_TEXT, e.g. from OCR
+        const emptyPages = entry.pages.map((page, index) => page.text ? -1 : index).filter(index => index !== -1);
+        self.postMessage({ type: 'INDEX_COMPLETE', documentId, totalPages: doc.numPages, emptyPages, taskId });
+    } finally {
+        await doc.destroy();
     }
-    
-    // Render page to canvas
-    await page.render({
-        canvasContext: context,
-        viewport: viewport
-    }).promise;
-    
-    // Convert to data URL
-    const blob = await canvas.convertToBlob({ type: 'image/png' });
-    const arrayBuffer = await blob.arrayBuffer();
-    const base64 = btoa(String.fromCharCode(...new Uint8Array(arrayBuffer)));
-    const dataURL = `data:image/png;base64,${base64}`;
-    
-    return {
-        page: pageNum - 1,
-        buffer: dataURL,
-        width: viewport.width,
-        height: viewport.height
-    };
-}
\ No newline at end of file
+}
+
+function createPageEntry(text) {
+    // Lower-case copy with the same length, so match offsets index into text
+    const lower = Array.from(text, char => {
+        const lowered = char.toLowerCase();
+        return lowered.length === char.length ? lowered : char;
+    }).join('');
+    return { text, lower };
+}
+
+function setPageText({ documentId, page, text }) {
+    const entry = textIndex.get(documentId);
+    if (entry && page < entry.pages.length) {
+        entry.pages[page] = createPageEntry(text.replace(/\s+/g, ' ').trim());
+    }
+}
+
+// Pages containing every word of the query, with a snippet around the phrase (or its first word)
+function searchText({ query, limit = 200, contextLength = 40 }, taskId) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const phrase = terms.join(' ');
+    const results = [];
+
+    for (const [documentId, entry] of textIndex) {
+        if (terms.length === 0) continue;
+
+        entry.pages.forEach(({ text, lower }, page) => {
+            if (!terms.every(term => lower.includes(term))) return;
+
+            let start = lower.indexOf(phrase);
+            let length = phrase.length;
+            if (start === -1) {
+                start = lower.indexOf(terms[0]);
+                length = terms[0].length;
+            }
+            const hits = terms.reduce((sum, term) => sum + lower.split(term).length - 1, 0);
+            const from = Math.max(0, start - contextLength);
+            const to = Math.min(text.length, start + length + contextLength);
+
+            results.push({
+                documentId,
+                page,
+                hits,
+                snippet: {
+                    before: (from > 0 ? '…' : '') + text.slice(from, start),
+                    match: text.slice(start, start + length),
+                    after: text.slice(start + length, to) + (to < text.length ? '…' : '')
+                }
+            });
+        });
+    }
+
+    self.postMessage({
+        type: 'SEARCH_RESULTS',
+        query,
+        results: results.slice(0, limit),
+        total: results.length,
+        taskId
+    });
+}
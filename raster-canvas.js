@@ -0,0 +1,322 @@
+// Pure-JS 2D canvas for rendering PDF pages on the server with pdf.js.
+// pureimage does the rasterizing; this fills in the parts of the canvas API that
+// pdf.js relies on and pureimage lacks (DOMMatrix, Path2D, patterns, nested clips,
+// full save/restore) and speeds up the per-pixel paths that pdf.js hits hardest.
+const PImage = require('pureimage');
+
+// DOMMatrix stand-in: the 2D subset pdf.js uses
+class RasterMatrix {
+    constructor(init = [1, 0, 0, 1, 0, 0]) {
+        const [a, b, c, d, e, f] = Array.isArray(init) || ArrayBuffer.isView(init)
+            ? init
+            : [init.a, init.b, init.c, init.d, init.e, init.f];
+        Object.assign(this, { a, b, c, d, e, f });
+        this.is2D = true;
+    }
+
+    multiply(m) {
+        return new RasterMatrix([
+            this.a * m.a + this.c * m.b,
+            this.b * m.a + this.d * m.b,
+            this.a * m.c + this.c * m.d,
+            this.b * m.c + this.d * m.d,
+            this.a * m.e + this.c * m.f + this.e,
+            this.b * m.e + this.d * m.f + this.f
+        ]);
+    }
+
+    translate(x = 0, y = 0) {
+        return this.multiply({ a: 1, b: 0, c: 0, d: 1, e: x, f: y });
+    }
+
+    scale(scaleX = 1, scaleY = scaleX) {
+        return this.multiply({ a: scaleX, b: 0, c: 0, d: scaleY, e: 0, f: 0 });
+    }
+
+    inverse() {
+        const { a, b, c, d, e, f } = this;
+        const det = a * d - b * c;
+        return new RasterMatrix([d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det]);
+    }
+
+    invertSelf() {
+        Object.assign(this, this.inverse());
+        return this;
+    }
+}
+
+// Path2D stand-in: records path commands and replays them onto a context
+class RasterPath {
+    constructor() {
+        this.commands = [];
+    }
+
+    replay(context) {
+        context.beginPath();
+        for (const [name, args] of this.commands) {
+            context[name](...args);
+        }
+    }
+}
+for (const name of ['moveTo', 'lineTo', 'bezierCurveTo', 'quadraticCurveTo', 'rect', 'closePath']) {
+    RasterPath.prototype[name] = function (...args) {
+        this.commands.push([name, args]);
+    };
+}
+
+// Image pattern, used by pdf.js for tiling patterns and image masks
+class RasterPattern {
+    constructor(image, repetition) {
+        this.image = image;
+        this.repeat = repetition !== 'no-repeat';
+        this.matrix = new RasterMatrix();
+        this.toImage = null;
+    }
+
+    setTransform(matrix) {
+        this.matrix = new RasterMatrix(matrix);
+    }
+
+    // Fix the device-to-image mapping for the current transform before a fill
+    prepare(transform) {
+        this.toImage = new RasterMatrix(transform).multiply(this.matrix).inverse();
+    }
+
+    colorAt(x, y) {
+        const { a, b, c, d, e, f } = this.toImage;
+        const { width, height, data } = this.image;
+        let u = Math.floor(a * (x + 0.5) + c * (y + 0.5) + e);
+        let v = Math.floor(b * (x + 0.5) + d * (y + 0.5) + f);
+        if (this.repeat) {
+            u = ((u % width) + width) % width;
+            v = ((v % height) + height) % height;
+        } else if (u < 0 || v < 0 || u >= width || v >= height) {
+            return 0;
+        }
+        const i = (v * width + u) * 4;
+        return ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0;
+    }
+}
+
+// Even-odd test of a point against a clip outline of pureimage line segments
+const insideClip = (lines, x, y) => {
+    let crossings = 0;
+    for (const { start, end } of lines) {
+        if ((start.y > y) !== (end.y > y) &&
+            x < start.x + (y - start.y) * (end.x - start.x) / (end.y - start.y)) {
+            crossings++;
+        }
+    }
+    return crossings % 2 === 1;
+};
+
+class RasterContext extends PImage.Context {
+    constructor(bitmap) {
+        super(bitmap);
+        this.clips = []; // Every clip in effect; a pixel is drawn only inside all of them
+        this.rasterStates = [];
+        this.lineDash = [];
+        this.lineDashOffset = 0;
+        this.globalCompositeOperation = 'source-over';
+        this.beginPath();
+    }
+
+    get fillStyle() {
+        return super.fillStyle;
+    }
+    set fillStyle(value) {
+        if (value instanceof RasterPattern) {
+            this._fillColor = value;
+        } else {
+            super.fillStyle = value;
+        }
+    }
+
+    // Pattern strokes are rare in PDFs; they keep the previous stroke color
+    get strokeStyle() {
+        return super.strokeStyle;
+    }
+    set strokeStyle(value) {
+        if (!(value instanceof RasterPattern)) {
+            super.strokeStyle = value;
+        }
+    }
+
+    calculateRGBA(x, y) {
+        return this._fillColor instanceof RasterPattern ? this._fillColor.colorAt(x, y) : super.calculateRGBA(x, y);
+    }
+
+    // pureimage only saves the transform; pdf.js expects styles and clips back too
+    save() {
+        this.rasterStates.push({
+            fillColor: this._fillColor,
+            fillText: this._fillStyle_text,
+            strokeColor: this._strokeColor,
+            strokeText: this._strokeStyle_text,
+            lineWidth: this._lineWidth,
+            globalAlpha: this._globalAlpha,
+            font: { ...this._font },
+            clips: this.clips
+        });
+        super.save();
+    }
+
+    restore() {
+        super.restore();
+        const state = this.rasterStates.pop();
+        if (state) {
+            this._fillColor = state.fillColor;
+            this._fillStyle_text = state.fillText;
+            this._strokeColor = state.strokeColor;
+            this._strokeStyle_text = state.strokeText;
+            this._lineWidth = state.lineWidth;
+            this._globalAlpha = state.globalAlpha;
+            this._font = state.font;
+            this.clips = state.clips;
+        }
+    }
+
+    getTransform() {
+        return new RasterMatrix(this._transform.matrix);
+    }
+
+    setTransform(...args) {
+        const m = new RasterMatrix(args.length === 1 ? args[0] : args);
+        super.setTransform(m.a, m.b, m.c, m.d, m.e, m.f);
+    }
+
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    // Draw with a RasterPath in place of the current path, leaving the current path as it was
+    withPath(path, draw) {
+        if (!(path instanceof RasterPath)) return draw();
+        const saved = [this.path, this._closed, this.pathstart];
+        path.replay(this);
+        draw();
+        [this.path, this._closed, this.pathstart] = saved;
+    }
+
+    fill(path) {
+        this.withPath(path, () => {
+            if (this._fillColor instanceof RasterPattern) {
+                this._fillColor.prepare(this._transform.matrix);
+            }
+            super.fill();
+        });
+    }
+
+    stroke(path) {
+        this.withPath(path, () => super.stroke());
+    }
+
+    // pureimage replaces the clip; canvas intersects it with the clips already in effect
+    clip(path) {
+        this.withPath(path, () => {
+            super.clip();
+            this.clips = [...this.clips, this._clip];
+            this._clip = null;
+        });
+    }
+
+    pixelInsideClip(x, y) {
+        return this.clips.every(lines => insideClip(lines, x, y));
+    }
+
+    // Nearest-neighbour resampling straight on the pixel arrays; pureimage's version allocates per pixel
+    drawImage(image, ...args) {
+        const [sx, sy, sw, sh, dx, dy, dw, dh] = args.length === 2
+            ? [0, 0, image.width, image.height, args[0], args[1], image.width, image.height]
+            : args.length === 4 ? [0, 0, image.width, image.height, ...args] : args;
+        if (sw <= 0 || sh <= 0 || dw === 0 || dh === 0) return;
+
+        const toDevice = new RasterMatrix(this._transform.matrix).translate(dx, dy).scale(dw / sw, dh / sh).translate(-sx, -sy);
+        const corners = [[sx, sy], [sx + sw, sy], [sx, sy + sh], [sx + sw, sy + sh]]
+            .map(([x, y]) => [toDevice.a * x + toDevice.c * y + toDevice.e, toDevice.b * x + toDevice.d * y + toDevice.f]);
+        const left = Math.max(0, Math.floor(Math.min(...corners.map(p => p[0]))));
+        const right = Math.min(this._bitmap.width, Math.ceil(Math.max(...corners.map(p => p[0]))));
+        const top = Math.max(0, Math.floor(Math.min(...corners.map(p => p[1]))));
+        const bottom = Math.min(this._bitmap.height, Math.ceil(Math.max(...corners.map(p => p[1]))));
+
+        const { a, b, c, d, e, f } = toDevice.inverse();
+        const source = image.data;
+        const clipped = this.clips.length > 0;
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                const u = Math.floor(a * (x + 0.5) + c * (y + 0.5) + e);
+                const v = Math.floor(b * (x + 0.5) + d * (y + 0.5) + f);
+                if (u < sx || v < sy || u >= sx + sw || v >= sy + sh || u >= image.width || v >= image.height) continue;
+                if (clipped && !this.pixelInsideClip(x, y)) continue;
+
+                const i = (v * image.width + u) * 4;
+                this.blendPixel(x, y, source[i], source[i + 1], source[i + 2], source[i + 3]);
+            }
+        }
+    }
+
+    // Fills and strokes land here one pixel at a time; blend in place rather than through pureimage's composite
+    fillPixelWithColor(x, y, color) {
+        x = Math.floor(x);
+        y = Math.floor(y);
+        if (x < 0 || y < 0 || x >= this._bitmap.width || y >= this._bitmap.height || !this.pixelInsideClip(x, y)) return;
+        this.blendPixel(x, y, color >>> 24, (color >>> 16) & 0xff, (color >>> 8) & 0xff, color & 0xff);
+    }
+
+    strokePixel(x, y) {
+        this.fillPixelWithColor(x, y, this.calculateRGBA_stroke(x, y));
+    }
+
+    // Source-over one pixel, with the global alpha
+    blendPixel(x, y, red, green, blue, alpha) {
+        const sourceAlpha = alpha / 255 * this._globalAlpha;
+        if (sourceAlpha === 0) return;
+        const pixels = this._bitmap.data;
+        const i = (y * this._bitmap.width + x) * 4;
+        if (sourceAlpha === 1) {
+            pixels[i] = red;
+            pixels[i + 1] = green;
+            pixels[i + 2] = blue;
+            pixels[i + 3] = 255;
+            return;
+        }
+        const targetAlpha = pixels[i + 3] / 255 * (1 - sourceAlpha);
+        const outAlpha = sourceAlpha + targetAlpha;
+        pixels[i] = (red * sourceAlpha + pixels[i] * targetAlpha) / outAlpha;
+        pixels[i + 1] = (green * sourceAlpha + pixels[i + 1] * targetAlpha) / outAlpha;
+        pixels[i + 2] = (blue * sourceAlpha + pixels[i + 2] * targetAlpha) / outAlpha;
+        pixels[i + 3] = outAlpha * 255;
+    }
+
+    // Dashes are kept for pdf.js but not drawn: lines come out solid
+    setLineDash(segments) {
+        this.lineDash = segments;
+    }
+
+    getLineDash() {
+        return this.lineDash;
+    }
+
+    createPattern(image, repetition) {
+        return new RasterPattern(image, repetition);
+    }
+
+    createImageData(width, height) {
+        return new PImage.Bitmap(width, height);
+    }
+}
+
+// A canvas is a bitmap with one context; its RGBA pixels are in canvas.data
+class RasterCanvas extends PImage.Bitmap {
+    constructor(width, height) {
+        super(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)));
+        this._context = new RasterContext(this);
+    }
+}
+
+const createCanvas = (width, height) => new RasterCanvas(width, height);
+
+// Font for text drawn on our own canvases (contact sheet labels); pdf.js draws its glyphs as paths
+const registerFont = (filePath, family) => PImage.registerFont(filePath, family).loadSync();
+
+module.exports = { createCanvas, registerFont, RasterMatrix, RasterPath };
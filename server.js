@@ -4,7 +4,27 @@ const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
 const fs = require('fs').promises;
-const { PDFDocument, rgb } = require('pdf-lib');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const JSZip = require('jszip');
+const { PDFDocument, degrees } = require('pdf-lib');
+const Jimp = require('jimp');
+const { createCanvas, registerFont, RasterMatrix, RasterPath } = require('./raster-canvas'); // Pure-JS canvas for server-side rendering
+const Tesseract = require('tesseract.js');
+const englishOCRData = require('@tesseract.js-data/eng');
+const PageGeometry = require('./public/page-geometry'); // Crop and page placement, shared with the browser
+const { parsePageRanges } = require('./public/page-ranges'); // Shared with the browser's range box
+
+// PDF.js expects these browser globals when rendering outside the browser,
+// so they must be in place before the library is loaded
+global.DOMMatrix = global.DOMMatrix || RasterMatrix;
+global.Path2D = global.Path2D || RasterPath;
+const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+const CMAP_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'cmaps') + path.sep;
+
+registerFont(path.join(__dirname, 'fonts', 'Liberation-Sans.ttf'), 'sans-serif');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,6 +47,10 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(express.static('public'));
+app.use('/fonts', express.static('fonts')); // Fonts for text annotations
+app.use('/pdfjs/standard_fonts', express.static(STANDARD_FONT_DATA_URL)); // pdf.js data for non-embedded fonts, used by the thumbnail worker
+
+const MAX_UPLOAD_SIZE = 200 * 1024 * 1024; // 200MB limit, for single-request and chunked uploads
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -34,14 +58,15 @@ const storage = multer.diskStorage({
         cb(null, 'uploads/');
     },
     filename: (req, file, cb) => {
-        cb(null, Date.now() + '-' + file.originalname);
+        // Stored under an opaque random id; the original name lives in the document registry
+        cb(null, `${DocumentRegistry.createId()}.pdf`);
     }
 });
 
 const upload = multer({
     storage: storage,
     limits: {
-        fileSize: 200 * 1024 * 1024 // 200MB limit
+        fileSize: MAX_UPLOAD_SIZE
     },
     fileFilter: (req, file, cb) => {
         if (file.mimetype === 'application/pdf') {
@@ -52,19 +77,509 @@ const upload = multer({
     }
 });
 
+// Rendered thumbnails are cached on disk next to the upload they belong to
+const getThumbnailDir = (filename) => path.join('uploads', `${filename}.thumbs`);
+
+// Persistent registry of uploaded documents, stored as JSON next to the uploads
+class DocumentRegistry {
+    constructor(registryPath = path.join('uploads', 'documents.json')) {
+        this.registryPath = registryPath;
+        this.documents = new Map(); // id -> { id, originalName, size, pageCount, sha256, uploadedAt, references }
+        this.pendingSave = Promise.resolve();
+    }
+
+    // Opaque, unguessable document id
+    static createId() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    static isValidId(id) {
+        return typeof id === 'string' && /^[a-f0-9]{32}$/.test(id);
+    }
+
+    static hash(bytes) {
+        return crypto.createHash('sha256').update(bytes).digest('hex');
+    }
+
+    static isValidHash(sha256) {
+        return typeof sha256 === 'string' && /^[a-f0-9]{64}$/.test(sha256);
+    }
+
+    // Public view of a registry entry
+    static describe(document) {
+        const { references, ...metadata } = document;
+        return { ...metadata, refCount: references.length };
+    }
+
+    getFilePath(id) {
+        return path.join('uploads', `${id}.pdf`);
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.registryPath, 'utf8'));
+            this.documents = new Map((data.documents || []).map(doc => [doc.id, {
+                ...doc,
+                // Entries written before deduplication count as a single reference
+                references: doc.references || [doc.uploadedAt]
+            }]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading document registry, starting empty:', error);
+            }
+            this.documents = new Map();
+        }
+        console.log(`Loaded document registry: ${this.documents.size} documents`);
+    }
+
+    // Saves are chained so concurrent updates never interleave their writes
+    save() {
+        this.pendingSave = this.pendingSave.then(async () => {
+            const data = JSON.stringify({ documents: this.list() }, null, 2);
+            const tmpPath = `${this.registryPath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, data);
+            await fs.rename(tmpPath, this.registryPath);
+        }).catch(error => {
+            console.error('Error saving document registry:', error);
+        });
+        return this.pendingSave;
+    }
+
+    get(id) {
+        return DocumentRegistry.isValidId(id) ? this.documents.get(id) || null : null;
+    }
+
+    findByHash(sha256) {
+        for (const document of this.documents.values()) {
+            if (document.sha256 === sha256) return document;
+        }
+        return null;
+    }
+
+    list() {
+        return Array.from(this.documents.values())
+            .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+    }
+
+    async add(metadata) {
+        const document = {
+            id: metadata.id,
+            originalName: metadata.originalName,
+            size: metadata.size,
+            pageCount: metadata.pageCount,
+            sha256: metadata.sha256,
+            uploadedAt: metadata.uploadedAt || new Date().toISOString()
+        };
+        document.references = [document.uploadedAt];
+        this.documents.set(document.id, document);
+        await this.save();
+        console.log(`Registered document ${document.id} (${document.originalName})`);
+        return document;
+    }
+
+    // Each upload of identical bytes holds its own reference, which expires independently
+    async addReference(id) {
+        const document = this.documents.get(id);
+        document.references.push(new Date().toISOString());
+        await this.save();
+        console.log(`Reused document ${id} (${document.references.length} references)`);
+        return document;
+    }
+
+    // Drop references older than cutoffTime and return the documents left with none
+    async releaseExpiredReferences(cutoffTime) {
+        const unreferenced = [];
+        for (const document of this.documents.values()) {
+            document.references = document.references.filter(time => Date.parse(time) >= cutoffTime);
+            if (document.references.length === 0) {
+                unreferenced.push(document);
+            }
+        }
+        await this.save();
+        return unreferenced;
+    }
+
+    async remove(id) {
+        if (!this.documents.delete(id)) return false;
+        await this.save();
+        return true;
+    }
+}
+
+const documentRegistry = new DocumentRegistry();
+
+// Resumable chunked uploads (init / PUT chunk / complete). Partial files and their
+// metadata live in uploads/partial so an interrupted upload can resume after a restart.
+class ChunkedUploadManager {
+    constructor(partialDir = path.join('uploads', 'partial')) {
+        this.partialDir = partialDir;
+        this.chunkSize = 5 * 1024 * 1024; // 5MB chunks suggested to clients
+        this.sessions = new Map(); // uploadId -> { uploadId, filename, size, sha256, offset, createdAt, updatedAt, busy }
+    }
+
+    getPartPath(uploadId) {
+        return path.join(this.partialDir, `${uploadId}.part`);
+    }
+
+    getMetaPath(uploadId) {
+        return path.join(this.partialDir, `${uploadId}.json`);
+    }
+
+    // Restore sessions left over from before a restart; the offset is whatever reached the disk
+    async initialize() {
+        await fs.mkdir(this.partialDir, { recursive: true });
+        const files = await fs.readdir(this.partialDir).catch(() => []);
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            const uploadId = path.basename(file, '.json');
+            try {
+                const meta = JSON.parse(await fs.readFile(this.getMetaPath(uploadId), 'utf8'));
+                const stats = await fs.stat(this.getPartPath(uploadId));
+                this.sessions.set(uploadId, {
+                    ...meta,
+                    offset: stats.size,
+                    updatedAt: stats.mtime.getTime(),
+                    busy: false
+                });
+            } catch (error) {
+                console.error(`Discarding unreadable partial upload ${uploadId}:`, error.message);
+                await this.abort(uploadId);
+            }
+        }
+        console.log(`Restored ${this.sessions.size} partial uploads`);
+    }
+
+    async create({ filename, size, sha256 = null }) {
+        const uploadId = DocumentRegistry.createId();
+        const meta = { uploadId, filename, size, sha256, createdAt: Date.now() };
+
+        await fs.writeFile(this.getPartPath(uploadId), Buffer.alloc(0));
+        await fs.writeFile(this.getMetaPath(uploadId), JSON.stringify(meta));
+        this.sessions.set(uploadId, { ...meta, offset: 0, updatedAt: Date.now(), busy: false });
+
+        console.log(`Started chunked upload ${uploadId} (${filename}, ${size} bytes)`);
+        return this.sessions.get(uploadId);
+    }
+
+    get(uploadId) {
+        return DocumentRegistry.isValidId(uploadId) ? this.sessions.get(uploadId) || null : null;
+    }
+
+    // Append a chunk; it must start exactly where the stored data ends
+    async appendChunk(session, offset, chunk) {
+        if (session.busy) {
+            throw Object.assign(new Error('Another chunk is still being written for this upload'), { status: 409 });
+        }
+        if (offset !== session.offset) {
+            throw Object.assign(new Error(`Chunk offset ${offset} does not match upload offset ${session.offset}`), { status: 409 });
+        }
+        if (offset + chunk.length > session.size) {
+            throw Object.assign(new Error('Chunk extends past the declared upload size'), { status: 400 });
+        }
+
+        session.busy = true;
+        try {
+            await fs.appendFile(this.getPartPath(session.uploadId), chunk);
+            session.offset += chunk.length;
+            session.updatedAt = Date.now();
+        } finally {
+            session.busy = false;
+        }
+        return session.offset;
+    }
+
+    // Check the reassembled file and hand it over; returns { partPath, sha256 }
+    async finish(session) {
+        if (session.busy) {
+            throw Object.assign(new Error('A chunk is still being written for this upload'), { status: 409 });
+        }
+        if (session.offset !== session.size) {
+            throw Object.assign(new Error(`Upload incomplete: ${session.offset} of ${session.size} bytes received`), { status: 409 });
+        }
+
+        // Data that fails validation can't be fixed by resuming, so the upload is discarded
+        const partPath = this.getPartPath(session.uploadId);
+        const bytes = await fs.readFile(partPath);
+        if (bytes.subarray(0, 5).toString('latin1') !== '%PDF-') {
+            await this.abort(session.uploadId);
+            throw Object.assign(new Error('Uploaded file is not a PDF'), { status: 400 });
+        }
+
+        const sha256 = DocumentRegistry.hash(bytes);
+        if (session.sha256 && session.sha256 !== sha256) {
+            await this.abort(session.uploadId);
+            throw Object.assign(new Error('Uploaded data does not match the declared SHA-256'), { status: 400 });
+        }
+
+        this.sessions.delete(session.uploadId);
+        await fs.unlink(this.getMetaPath(session.uploadId)).catch(() => {});
+        return { partPath, sha256 };
+    }
+
+    async abort(uploadId) {
+        this.sessions.delete(uploadId);
+        await fs.unlink(this.getPartPath(uploadId)).catch(() => {});
+        await fs.unlink(this.getMetaPath(uploadId)).catch(() => {});
+    }
+
+    // Abort uploads that have not received data since cutoffTime
+    async cleanupStale(cutoffTime) {
+        for (const session of Array.from(this.sessions.values())) {
+            if (session.updatedAt < cutoffTime && !session.busy) {
+                await this.abort(session.uploadId);
+                console.log(`Cleaned up stale partial upload: ${session.uploadId} (${session.filename})`);
+            }
+        }
+    }
+}
+
+const chunkedUploads = new ChunkedUploadManager();
+
+// Saved composition sessions (documents, selections, cover transform, mode), one JSON file each
+class SessionStore {
+    constructor(sessionDir = path.join('uploads', 'sessions')) {
+        this.sessionDir = sessionDir;
+        this.maxSessionAge = 7 * 24 * 60 * 60 * 1000; // Sessions untouched for a week expire
+        this.sessions = new Map(); // id -> { id, session, updatedAt }
+    }
+
+    getSessionPath(id) {
+        return path.join(this.sessionDir, `${id}.json`);
+    }
+
+    async load() {
+        await fs.mkdir(this.sessionDir, { recursive: true });
+        const files = await fs.readdir(this.sessionDir).catch(() => []);
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            try {
+                const record = JSON.parse(await fs.readFile(path.join(this.sessionDir, file), 'utf8'));
+                this.sessions.set(record.id, record);
+            } catch (error) {
+                console.error(`Skipping unreadable session ${file}:`, error.message);
+            }
+        }
+        console.log(`Loaded ${this.sessions.size} saved sessions`);
+    }
+
+    get(id) {
+        return DocumentRegistry.isValidId(id) ? this.sessions.get(id) || null : null;
+    }
+
+    async save(id, session) {
+        const record = { id, session, updatedAt: new Date().toISOString() };
+        const tmpPath = `${this.getSessionPath(id)}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(record));
+        await fs.rename(tmpPath, this.getSessionPath(id));
+        this.sessions.set(id, record);
+        return record;
+    }
+
+    async remove(id) {
+        this.sessions.delete(id);
+        await fs.unlink(this.getSessionPath(id)).catch(() => {});
+    }
+
+    // Documents used by a live session are kept even after their uploads expire
+    isDocumentReferenced(fileId) {
+        for (const { session } of this.sessions.values()) {
+            // Session files can be edited on disk; a malformed one must not break the cleanup pass
+            if (session && Array.isArray(session.documents) && session.documents.some(doc => doc && doc.fileId === fileId)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async cleanupExpired(now = Date.now()) {
+        for (const record of Array.from(this.sessions.values())) {
+            if (Date.parse(record.updatedAt) < now - this.maxSessionAge) {
+                await this.remove(record.id);
+                console.log(`Cleaned up expired session: ${record.id}`);
+            }
+        }
+    }
+
+    // Returns an error message for a malformed session, or null. Page refs ({ fileId, page }) must name
+    // one of the session's documents and a page it has; rects are fractions of the page
+    static validate(session) {
+        if (!session || typeof session !== 'object' || !Array.isArray(session.documents) || session.documents.length === 0) {
+            return 'Session must be an object with a non-empty documents array';
+        }
+        const pageCounts = new Map();
+        for (const doc of session.documents) {
+            const document = doc && documentRegistry.get(doc.fileId);
+            if (!document) {
+                return `Unknown document in session: ${doc && doc.fileId}`;
+            }
+            pageCounts.set(doc.fileId, document.pageCount);
+        }
+
+        const isPageRef = ref => !!ref && typeof ref === 'object' && pageCounts.has(ref.fileId) &&
+            Number.isInteger(ref.page) && ref.page >= 0 && ref.page < pageCounts.get(ref.fileId);
+        const isRect = rect => !!rect && typeof rect === 'object' &&
+            ['x', 'y', 'width', 'height'].every(key => Number.isFinite(rect[key])) && rect.width > 0 && rect.height > 0;
+        const isOptionalRect = rect => rect === undefined || rect === null || isRect(rect);
+
+        for (const key of ['citations', 'pageTransforms', 'overlayLayers']) {
+            if (session[key] !== undefined && (!Array.isArray(session[key]) || !session[key].every(isPageRef))) {
+                return `${key} must be a list of pages from the session's documents`;
+            }
+        }
+        if (session.cover !== undefined && session.cover !== null && !isPageRef(session.cover)) {
+            return 'cover must be a page from one of the session\'s documents';
+        }
+        if (session.overlayMode !== undefined && !SessionStore.overlayModes.includes(session.overlayMode)) {
+            return `overlayMode must be one of: ${SessionStore.overlayModes.join(', ')}`;
+        }
+        if (!isOptionalRect(session.coverRect)) {
+            return 'coverRect must be { x, y, width, height } as fractions of the page';
+        }
+        if (session.overlayLayers && !session.overlayLayers.every(layer => isOptionalRect(layer.rect))) {
+            return 'overlayLayers rects must be { x, y, width, height } as fractions of the page';
+        }
+        return null;
+    }
+}
+
+SessionStore.overlayModes = ['custom', 'sidebyside'];
+
+const sessionStore = new SessionStore();
+
+// Shareable composition links: a short id pointing at a composition descriptor,
+// stored in one JSON file and expired by the cleanup manager like sessions
+class ShareStore {
+    constructor(storePath = path.join('uploads', 'shares.json')) {
+        this.storePath = storePath;
+        this.defaultExpiryDays = 7;
+        this.maxExpiryDays = 30;
+        this.shares = new Map(); // shareId -> { shareId, composition, editable, createdAt, expiresAt }
+        this.pendingSave = Promise.resolve();
+    }
+
+    // Short, URL-friendly share id
+    static createId() {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+        return Array.from({ length: 10 }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+    }
+
+    static isValidId(shareId) {
+        return typeof shareId === 'string' && /^[A-Za-z0-9]{10}$/.test(shareId);
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+            this.shares = new Map((data.shares || []).map(share => [share.shareId, share]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading share links, starting empty:', error);
+            }
+            this.shares = new Map();
+        }
+        console.log(`Loaded ${this.shares.size} share links`);
+    }
+
+    // Saves are chained so concurrent updates never interleave their writes
+    save() {
+        this.pendingSave = this.pendingSave.then(async () => {
+            const data = JSON.stringify({ shares: Array.from(this.shares.values()) }, null, 2);
+            const tmpPath = `${this.storePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, data);
+            await fs.rename(tmpPath, this.storePath);
+        }).catch(error => {
+            console.error('Error saving share links:', error);
+        });
+        return this.pendingSave;
+    }
+
+    // Expired links stay unreachable even before the next cleanup pass removes them
+    get(shareId, now = Date.now()) {
+        if (!ShareStore.isValidId(shareId)) return null;
+        const share = this.shares.get(shareId);
+        return share && Date.parse(share.expiresAt) > now ? share : null;
+    }
+
+    async create({ composition, editable, expiresInDays }) {
+        let shareId;
+        do {
+            shareId = ShareStore.createId();
+        } while (this.shares.has(shareId));
+
+        const createdAt = new Date();
+        const days = expiresInDays || this.defaultExpiryDays;
+        const share = {
+            shareId,
+            composition,
+            editable: editable === true,
+            createdAt: createdAt.toISOString(),
+            expiresAt: new Date(createdAt.getTime() + days * 24 * 60 * 60 * 1000).toISOString()
+        };
+        this.shares.set(shareId, share);
+        await this.save();
+        console.log(`Created ${share.editable ? 'editable' : 'read-only'} share ${shareId} (expires ${share.expiresAt})`);
+        return share;
+    }
+
+    // Documents used by a live share link are kept even after their uploads expire
+    isDocumentReferenced(fileId, now = Date.now()) {
+        for (const share of this.shares.values()) {
+            const documents = share.composition && share.composition.documents;
+            if (Date.parse(share.expiresAt) > now &&
+                Array.isArray(documents) && documents.some(doc => doc && doc.fileId === fileId)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async cleanupExpired(now = Date.now()) {
+        let removed = 0;
+        for (const share of Array.from(this.shares.values())) {
+            if (Date.parse(share.expiresAt) <= now) {
+                this.shares.delete(share.shareId);
+                console.log(`Cleaned up expired share link: ${share.shareId}`);
+                removed++;
+            }
+        }
+        if (removed > 0) {
+            await this.save();
+        }
+    }
+
+    // Returns an error message for a malformed share request, or null
+    validate({ composition, editable, expiresInDays }) {
+        // A composition is a saved session, normalized cover and overlay layer rects included
+        const sessionError = SessionStore.validate(composition);
+        if (sessionError) {
+            return sessionError;
+        }
+        if (editable !== undefined && typeof editable !== 'boolean') {
+            return 'editable must be a boolean';
+        }
+        if (expiresInDays !== undefined &&
+            (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > this.maxExpiryDays)) {
+            return `expiresInDays must be a whole number from 1 to ${this.maxExpiryDays}`;
+        }
+        return null;
+    }
+}
+
+const shareStore = new ShareStore();
+
 // File cleanup utilities
 class FileCleanupManager {
     constructor() {
-        this.uploadedFiles = new Map(); // Track uploaded files with timestamps
         this.composedFiles = new Map(); // Track composed files with timestamps
         this.maxFileAge = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
         this.cleanupInterval = 60 * 60 * 1000; // Run cleanup every hour
     }
 
-    // Track a newly uploaded file
-    trackUploadedFile(filename) {
-        this.uploadedFiles.set(filename, Date.now());
-        console.log(`Tracking uploaded file: ${filename}`);
+    // Delete an uploaded document's file, rendered thumbnails and registry entry
+    async removeDocument(id) {
+        const filePath = documentRegistry.getFilePath(id);
+        await fs.unlink(filePath).catch(() => {}); // Ignore if file doesn't exist
+        await fs.rm(getThumbnailDir(path.basename(filePath)), { recursive: true, force: true });
+        pdfService.evictDocument(filePath);
+        await documentRegistry.remove(id);
     }
 
     // Track a newly composed file
@@ -80,20 +595,26 @@ class FileCleanupManager {
         
         console.log('Starting automatic file cleanup...');
         
-        // Clean uploaded files
-        for (const [filename, timestamp] of this.uploadedFiles.entries()) {
-            if (timestamp < cutoffTime) {
-                try {
-                    const filePath = path.join('uploads', filename);
-                    await fs.unlink(filePath).catch(() => {}); // Ignore if file doesn't exist
-                    this.uploadedFiles.delete(filename);
-                    console.log(`Cleaned up old uploaded file: ${filename}`);
-                } catch (error) {
-                    console.error(`Error cleaning uploaded file ${filename}:`, error);
-                }
+        // Expire sessions and share links first so the documents only they were holding can go too
+        await sessionStore.cleanupExpired(now);
+        await shareStore.cleanupExpired(now);
+
+        // Clean uploaded documents once every upload referencing them has expired
+        for (const document of await documentRegistry.releaseExpiredReferences(cutoffTime)) {
+            if (sessionStore.isDocumentReferenced(document.id) || shareStore.isDocumentReferenced(document.id, now)) {
+                continue;
+            }
+            try {
+                await this.removeDocument(document.id);
+                console.log(`Cleaned up old uploaded document: ${document.id} (${document.originalName})`);
+            } catch (error) {
+                console.error(`Error cleaning uploaded document ${document.id}:`, error);
             }
         }
 
+        // Clean chunked uploads that were abandoned part-way
+        await chunkedUploads.cleanupStale(cutoffTime);
+
         // Clean composed files
         for (const [filename, timestamp] of this.composedFiles.entries()) {
             if (timestamp < cutoffTime) {
@@ -108,34 +629,25 @@ class FileCleanupManager {
             }
         }
 
-        console.log(`Cleanup completed. Tracking ${this.uploadedFiles.size} uploads, ${this.composedFiles.size} composed files`);
+        console.log(`Cleanup completed. Tracking ${documentRegistry.documents.size} uploads, ${this.composedFiles.size} composed files`);
     }
 
-    // Clean up all temporary files (for shutdown)
+    // Clean up all temporary files (for shutdown). Uploaded documents are kept in
+    // the registry across restarts and expire through cleanupOldFiles instead.
     async cleanupAllFiles() {
         console.log('Performing complete file cleanup...');
         
         try {
-            // Clean uploads directory
-            const uploadFiles = await fs.readdir('uploads').catch(() => []);
-            for (const file of uploadFiles) {
-                if (file.endsWith('.pdf')) {
-                    await fs.unlink(path.join('uploads', file)).catch(() => {});
-                    console.log(`Cleaned up upload file: ${file}`);
-                }
-            }
-
             // Clean temp directory
             const tempFiles = await fs.readdir('temp').catch(() => []);
             for (const file of tempFiles) {
-                if (file.endsWith('.pdf')) {
+                if (file.startsWith('composed-')) {
                     await fs.unlink(path.join('temp', file)).catch(() => {});
                     console.log(`Cleaned up temp file: ${file}`);
                 }
             }
 
-            // Clear tracking maps
-            this.uploadedFiles.clear();
+            // Clear tracking map
             this.composedFiles.clear();
             
             console.log('Complete cleanup finished');
@@ -158,22 +670,29 @@ class FileCleanupManager {
     // Initialize existing files tracking (for server restarts)
     async initializeExistingFiles() {
         try {
-            // Track existing uploaded files
+            await documentRegistry.load();
+
+            // Forget registered documents whose file has gone missing
+            for (const document of documentRegistry.list()) {
+                const exists = await fs.access(documentRegistry.getFilePath(document.id)).then(() => true).catch(() => false);
+                if (!exists) {
+                    console.log(`Registered document ${document.id} is missing on disk, removing it`);
+                    await this.removeDocument(document.id);
+                }
+            }
+
+            // Register PDFs left in uploads/ without a registry entry (e.g. older timestamp-named uploads)
             const uploadFiles = await fs.readdir('uploads').catch(() => []);
             for (const file of uploadFiles) {
-                if (file.endsWith('.pdf')) {
-                    const filePath = path.join('uploads', file);
-                    const stats = await fs.stat(filePath).catch(() => null);
-                    if (stats) {
-                        this.uploadedFiles.set(file, stats.birthtime.getTime());
-                    }
+                if (file.endsWith('.pdf') && !documentRegistry.get(path.basename(file, '.pdf'))) {
+                    await this.registerExistingFile(file);
                 }
             }
 
             // Track existing composed files
             const tempFiles = await fs.readdir('temp').catch(() => []);
             for (const file of tempFiles) {
-                if (file.endsWith('.pdf')) {
+                if (file.startsWith('composed-')) {
                     const filePath = path.join('temp', file);
                     const stats = await fs.stat(filePath).catch(() => null);
                     if (stats) {
@@ -182,11 +701,35 @@ class FileCleanupManager {
                 }
             }
 
-            console.log(`Initialized tracking: ${this.uploadedFiles.size} uploads, ${this.composedFiles.size} composed files`);
+            console.log(`Initialized tracking: ${documentRegistry.documents.size} uploads, ${this.composedFiles.size} composed files`);
         } catch (error) {
             console.error('Error initializing existing files:', error);
         }
     }
+
+    // Move an untracked upload under a fresh id and record its metadata
+    async registerExistingFile(file) {
+        const oldPath = path.join('uploads', file);
+        try {
+            const stats = await fs.stat(oldPath);
+            const pdfData = await pdfService.loadPDF(oldPath);
+            const id = DocumentRegistry.createId();
+
+            await fs.rename(oldPath, documentRegistry.getFilePath(id));
+            await fs.rm(getThumbnailDir(file), { recursive: true, force: true });
+            await documentRegistry.add({
+                id,
+                originalName: file.replace(/^\d+-/, ''),
+                size: stats.size,
+                pageCount: pdfData.pageCount,
+                sha256: DocumentRegistry.hash(pdfData.bytes),
+                uploadedAt: stats.birthtime.toISOString()
+            });
+        } catch (error) {
+            console.error(`Error registering existing upload ${file}, removing it:`, error);
+            await fs.unlink(oldPath).catch(() => {});
+        }
+    }
 }
 
 // Create global cleanup manager instance
@@ -201,19 +744,66 @@ const initDirectories = async () => {
         
         // Initialize file tracking and start cleanup
         await fileCleanup.initializeExistingFiles();
+        await chunkedUploads.initialize();
+        await sessionStore.load();
+        await shareStore.load();
         fileCleanup.startAutoCleanup();
     } catch (error) {
         console.error('Error creating directories:', error);
     }
 };
 
+// Canvas factory so PDF.js can create scratch canvases while rendering in Node
+class NodeCanvasFactory {
+    create(width, height) {
+        const canvas = createCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    // Our canvases can't be resized, so a reset swaps in a new one
+    reset(canvasAndContext, width, height) {
+        Object.assign(canvasAndContext, this.create(width, height));
+    }
+
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    }
+}
+
+// WebP encoder (WebAssembly), loaded on first use
+let webpEncoder = null;
+const getWebPEncoder = () => {
+    if (!webpEncoder) {
+        webpEncoder = (async () => {
+            const { default: encode, init } = await import('@jsquash/webp/encode.js');
+            const wasm = await fs.readFile(require.resolve('@jsquash/webp/codec/enc/webp_enc.wasm'));
+            await init(await WebAssembly.compile(wasm));
+            return encode;
+        })();
+        webpEncoder.catch(() => { webpEncoder = null; });
+    }
+    return webpEncoder;
+};
+
 // PDF Service equivalent - memory-efficient PDF operations
 class PDFService {
     constructor() {
         this.maxCacheSize = 100 * 1024 * 1024; // 100MB cache limit
-        this.cache = new Map();
+        this.cache = new Map(); // filePath -> { document, size, users } of documents open for rendering
+        this.loading = new Map(); // filePath -> promise of the cache entry while the document opens
         this.accessOrder = [];
         this.currentCacheSize = 0;
+        this.thumbnailFormats = ['png', 'webp'];
+        this.minThumbnailWidth = 32;
+        this.maxThumbnailWidth = 1200;
+        this.defaultThumbnailWidth = 200;
+        this.exportFormats = ['pdf', 'png', 'jpeg', 'webp', 'tiff'];
+        this.imageOutputs = ['single', 'zip', 'contactSheet'];
+        this.minExportDPI = 36;
+        this.maxExportDPI = 600;
+        this.defaultExportDPI = 150;
+        this.metadataCache = new Map(); // filePath -> bibliographic metadata
     }
 
     async loadPDF(filePath) {
@@ -230,154 +820,1211 @@ class PDFService {
         }
     }
 
-    async generateThumbnails(filePath, pageCount) {
-        // For now, return placeholder thumbnails since we removed pdf2pic
-        // In a production version, you would implement PDF to image conversion
-        const thumbnails = [];
-        
+    // Run fn with a document opened for rendering. Recently used documents stay open in an LRU cache;
+    // a document is never destroyed while a render is using it
+    async withRenderDocument(filePath, fn) {
+        const entry = await this.acquireRenderDocument(filePath);
         try {
-            for (let i = 0; i < Math.min(pageCount, 100); i++) {
-                thumbnails.push({
-                    page: i,
-                    buffer: null, // No thumbnail buffer for now
-                    width: 200,
-                    height: 300
-                });
+            return await fn(entry.document);
+        } finally {
+            this.releaseRenderDocument(entry);
+        }
+    }
+
+    async acquireRenderDocument(filePath) {
+        let entry = this.cache.get(filePath);
+        // Evicted between opening and getting here: open it again
+        while (!entry || entry.evicted) {
+            // Concurrent requests for the same file share one open
+            if (!this.loading.has(filePath)) {
+                const loading = this.openCachedDocument(filePath).finally(() => this.loading.delete(filePath));
+                this.loading.set(filePath, loading);
             }
-            return thumbnails;
-        } catch (error) {
-            console.error('Thumbnail generation error:', error);
-            return Array.from({ length: pageCount }, (_, i) => ({
-                page: i,
-                buffer: null,
-                width: 200,
-                height: 300
-            }));
+            entry = await this.loading.get(filePath);
         }
+
+        entry.users++;
+        this.accessOrder = this.accessOrder.filter(key => key !== filePath);
+        this.accessOrder.push(filePath);
+        this.trimRenderCache();
+        return entry;
     }
 
-    async exportPDF(pdfDoc, format = 'pdf', quality = 0.9) {
-        try {
-            // For now, only support PDF export
-            return await pdfDoc.save();
-        } catch (error) {
-            throw new Error(`Export failed: ${error.message}`);
+    releaseRenderDocument(entry) {
+        entry.users--;
+        if (entry.users === 0 && entry.evicted) {
+            entry.document.destroy().catch(() => {});
         }
+        this.trimRenderCache();
     }
-}
 
-// Composer equivalent - PDF merging and composition
-class Composer {
-    static async merge(pdfPaths, selectedPages, coverPage = null, coverPlacement = 'top') {
-        try {
-            const mergedPdf = await PDFDocument.create();
-            
-            // Process cover if provided
-            if (coverPage !== null) {
-                const coverPdfPath = pdfPaths[0]; // Assuming cover comes from same document
-                const coverPdfBytes = await fs.readFile(coverPdfPath);
-                const coverPdf = await PDFDocument.load(coverPdfBytes);
-                
-                if (coverPage < coverPdf.getPageCount()) {
-                    const [copiedCoverPage] = await mergedPdf.copyPages(coverPdf, [coverPage]);
-                    
-                    const insertIndex = this.getCoverInsertIndex(coverPlacement, selectedPages.length);
-                    if (insertIndex === 0) {
-                        mergedPdf.insertPage(0, copiedCoverPage);
-                    }
-                }
-            }
+    async openCachedDocument(filePath) {
+        const pdfBytes = await fs.readFile(filePath);
+        const document = await this.openRenderDocument(pdfBytes);
 
-            // Process selected citation pages
-            for (const pdfPath of pdfPaths) {
-                const pdfBytes = await fs.readFile(pdfPath);
-                const pdf = await PDFDocument.load(pdfBytes);
-                
-                // Filter pages based on selection
-                const pagesToCopy = selectedPages.filter(pageIndex => pageIndex < pdf.getPageCount());
-                
-                if (pagesToCopy.length > 0) {
-                    const copiedPages = await mergedPdf.copyPages(pdf, pagesToCopy);
-                    copiedPages.forEach(page => mergedPdf.addPage(page));
-                }
-            }
+        const entry = { document, size: pdfBytes.length, users: 0, evicted: false };
+        this.cache.set(filePath, entry);
+        this.accessOrder.push(filePath);
+        this.currentCacheSize += entry.size;
+        return entry;
+    }
 
-            return await mergedPdf.save();
-        } catch (error) {
-            throw new Error(`PDF composition failed: ${error.message}`);
+    // Evict least recently used documents that no render is using
+    trimRenderCache() {
+        for (const filePath of [...this.accessOrder]) {
+            if (this.currentCacheSize <= this.maxCacheSize) break;
+            if (this.cache.get(filePath).users === 0) {
+                this.evictDocument(filePath);
+            }
         }
     }
 
-    static getCoverInsertIndex(placement, pageCount) {
-        switch (placement) {
-            case 'top':
-            case 'topLeft':
-            case 'topRight':
-                return 0;
-            case 'center':
-            case 'left':
-            case 'right':
-                return Math.floor(pageCount / 2);
-            case 'bottom':
-            case 'bottomLeft':
-            case 'bottomRight':
-                return pageCount;
-            default:
-                return 0;
+    // Bibliographic metadata for captions, from XMP where present and the Info dictionary otherwise
+    async readMetadata(filePath) {
+        if (this.metadataCache.has(filePath)) {
+            return this.metadataCache.get(filePath);
         }
-    }
-}
 
-// Initialize services
-const pdfService = new PDFService();
+        const { info = {}, metadata: xmp } = await this.withRenderDocument(filePath, document => document.getMetadata());
+        // pdf.js keys XMP properties by lower-cased name
+        const fromXMP = (name) => {
+            const value = xmp ? xmp.get(name) : null;
+            if (Array.isArray(value)) return value.length > 0 ? value : null;
+            return value ? value : null;
+        };
+        const fromInfo = (name) => (typeof info[name] === 'string' && info[name].trim()) || null;
 
-// Routes
+        const identifiers = [fromXMP('prism:doi'), fromXMP('dc:identifier'), fromInfo('Subject'), fromInfo('Keywords')];
+        const doiMatch = identifiers.filter(Boolean).join(' ').match(/\b10\.\d{4,9}\/[^\s"<>]+/);
+        const date = PDFService.toISODate(fromXMP('prism:publicationdate') || fromXMP('prism:coverdate') ||
+            fromXMP('xmp:createdate') || fromInfo('CreationDate'));
 
-// Upload PDF endpoint
-app.post('/api/upload', upload.single('pdf'), async (req, res) => {
+        const metadata = {
+            title: fromXMP('dc:title') || fromInfo('Title'),
+            authors: fromXMP('dc:creator') || PDFService.splitAuthors(fromInfo('Author')),
+            publication: fromXMP('prism:publicationname'),
+            publisher: fromXMP('dc:publisher'),
+            volume: fromXMP('prism:volume'),
+            issue: fromXMP('prism:number'),
+            doi: doiMatch ? doiMatch[0].replace(/[.,;]$/, '') : null,
+            date,
+            year: date ? Number(date.slice(0, 4)) : null,
+            subject: fromInfo('Subject'),
+            keywords: fromInfo('Keywords'),
+            creator: fromInfo('Creator'),
+            producer: fromInfo('Producer')
+        };
+
+        this.metadataCache.set(filePath, metadata);
+        return metadata;
+    }
+
+    // "Jane Doe; John Smith", "Doe, J. and Smith, J." or "Jane Doe, John Smith" -> one entry per author
+    static splitAuthors(author) {
+        if (!author) return [];
+        const names = author.split(/\s*(?:;|&|\band\b)\s*/).map(name => name.trim()).filter(Boolean);
+        if (names.length === 1 && names[0].split(',').every(part => /\S\s+\S/.test(part.trim()))) {
+            // Commas between full names rather than "Last, First"
+            return names[0].split(',').map(name => name.trim());
+        }
+        return names;
+    }
+
+    // PDF date strings (D:YYYYMMDDHHmmSS...) and XMP dates to ISO 8601
+    static toISODate(value) {
+        if (!value) return null;
+        const date = value.startsWith('D:') ? pdfjsLib.PDFDateString.toDateObject(value) : new Date(value);
+        return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+    }
+
+    evictDocument(filePath) {
+        const entry = this.cache.get(filePath);
+        this.accessOrder = this.accessOrder.filter(key => key !== filePath);
+        if (!entry) return;
+
+        this.cache.delete(filePath);
+        this.metadataCache.delete(filePath);
+        this.currentCacheSize -= entry.size;
+        // A document still rendering is destroyed when its last render finishes
+        entry.evicted = true;
+        if (entry.users === 0) {
+            entry.document.destroy().catch(() => {});
+        }
+    }
+
+    normalizeThumbnailWidth(width) {
+        const parsed = parseInt(width, 10);
+        if (isNaN(parsed)) return this.defaultThumbnailWidth;
+        return Math.min(this.maxThumbnailWidth, Math.max(this.minThumbnailWidth, parsed));
+    }
+
+    // Render a single page thumbnail, returning the path of the cached image on disk
+    async renderThumbnail(filePath, pageIndex, width = this.defaultThumbnailWidth, format = 'png') {
+        const thumbDir = getThumbnailDir(path.basename(filePath));
+        const thumbPath = path.join(thumbDir, `${pageIndex}-${width}.${format}`);
+
+        const cached = await fs.access(thumbPath).then(() => true).catch(() => false);
+        if (cached) {
+            return thumbPath;
+        }
+
+        const image = await this.withRenderDocument(filePath, async (document) => {
+            const page = await document.getPage(pageIndex + 1);
+            try {
+                const baseViewport = page.getViewport({ scale: 1 });
+                const canvas = await this.renderPageToCanvas(page, width / baseViewport.width);
+                return this.encodeCanvas(canvas, format, 0.8);
+            } finally {
+                page.cleanup();
+            }
+        });
+
+        await fs.mkdir(thumbDir, { recursive: true });
+        // Write to a temporary name first so concurrent requests never see a partial file
+        const tmpPath = `${thumbPath}.${process.pid}-${Date.now()}.tmp`;
+        await fs.writeFile(tmpPath, image);
+        await fs.rename(tmpPath, thumbPath);
+
+        return thumbPath;
+    }
+
+    async generateThumbnails(filePath, pageCount) {
+        // Thumbnails are rendered lazily by the per-page thumbnail endpoint;
+        // here we only describe them so clients know the page sizes up front
+        const fileId = path.basename(filePath, '.pdf');
+        const width = this.defaultThumbnailWidth;
+
+        try {
+            const { document } = await this.loadPDF(filePath);
+            return document.getPages().map((page, i) => {
+                const { width: pageWidth, height: pageHeight } = page.getSize();
+                return {
+                    page: i,
+                    buffer: null,
+                    url: `/api/pdf/${encodeURIComponent(fileId)}/pages/${i}/thumbnail?width=${width}`,
+                    width,
+                    height: Math.round(width * (pageHeight / pageWidth))
+                };
+            });
+        } catch (error) {
+            console.error('Thumbnail generation error:', error);
+            return Array.from({ length: pageCount }, (_, i) => ({
+                page: i,
+                buffer: null,
+                url: `/api/pdf/${encodeURIComponent(fileId)}/pages/${i}/thumbnail?width=${width}`,
+                width: 200,
+                height: 300
+            }));
+        }
+    }
+
+    // Export a composed document as PDF or as images rendered at the given DPI.
+    // output: 'single' (one image, or one multi-page TIFF), 'zip' (one image per page)
+    // or 'contactSheet' (all pages on one image). Defaults to single for one page or TIFF, else zip.
+    // Resolves to { buffer, extension }.
+    async exportPDF(pdfDoc, format = 'pdf', quality = 0.9, { dpi = this.defaultExportDPI, output = null } = {}) {
+        try {
+            const pdfBytes = await pdfDoc.save();
+            if (format === 'pdf') {
+                return { buffer: Buffer.from(pdfBytes), extension: 'pdf' };
+            }
+
+            const pageCount = pdfDoc.getPageCount();
+            const extension = format === 'jpeg' ? 'jpg' : format;
+            output = output || (pageCount === 1 || format === 'tiff' ? 'single' : 'zip');
+
+            if (output === 'contactSheet') {
+                const sheet = await this.renderContactSheet(pdfBytes, dpi);
+                return { buffer: await this.encodeCanvas(sheet, format, quality, dpi), extension };
+            }
+
+            if (output === 'single' && format === 'tiff') {
+                const pages = [];
+                await this.renderPages(pdfBytes, dpi, canvas => pages.push(this.toTIFFPage(canvas)));
+                return { buffer: this.encodeTIFF(pages, dpi), extension };
+            }
+
+            if (output === 'single') {
+                if (pageCount > 1) {
+                    throw Object.assign(new Error(`${pageCount} pages can't be exported as a single ${format.toUpperCase()} image; use zip or contactSheet output`), { status: 400 });
+                }
+                let image = null;
+                await this.renderPages(pdfBytes, dpi, async canvas => {
+                    image = await this.encodeCanvas(canvas, format, quality, dpi);
+                });
+                return { buffer: image, extension };
+            }
+
+            const zip = new JSZip();
+            await this.renderPages(pdfBytes, dpi, async (canvas, pageNumber) => {
+                const name = `page-${String(pageNumber).padStart(3, '0')}.${extension}`;
+                zip.file(name, await this.encodeCanvas(canvas, format, quality, dpi));
+            });
+            return { buffer: await zip.generateAsync({ type: 'nodebuffer' }), extension: 'zip' };
+        } catch (error) {
+            throw Object.assign(new Error(`Export failed: ${error.message}`), { status: error.status });
+        }
+    }
+
+    // Render every page of a PDF at the given DPI, one at a time to keep memory bounded
+    async renderPages(pdfBytes, dpi, onPage) {
+        const document = await this.openRenderDocument(pdfBytes);
+        try {
+            for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+                const page = await document.getPage(pageNumber);
+                try {
+                    const canvas = await this.renderPageToCanvas(page, dpi / 72);
+                    await onPage(canvas, pageNumber);
+                } finally {
+                    page.cleanup();
+                }
+            }
+        } finally {
+            await document.destroy();
+        }
+    }
+
+    async openRenderDocument(pdfBytes) {
+        return pdfjsLib.getDocument({
+            data: new Uint8Array(pdfBytes),
+            standardFontDataUrl: STANDARD_FONT_DATA_URL,
+            // Character maps for CID fonts, e.g. in Chinese, Japanese and Korean documents
+            cMapUrl: CMAP_URL,
+            cMapPacked: true,
+            // Images, masks and transparency groups are drawn on scratch canvases from this factory;
+            // without it pdf.js looks for the 'canvas' package (scanned pages would fail to render)
+            canvasFactory: new NodeCanvasFactory(),
+            isEvalSupported: false,
+            disableFontFace: true,
+            verbosity: 0
+        }).promise;
+    }
+
+    async renderPageToCanvas(page, scale) {
+        const viewport = page.getViewport({ scale });
+        const canvasFactory = new NodeCanvasFactory();
+        // Rounded, not ceiled: scale = width / page width comes out a hair over the requested width
+        const { canvas, context } = canvasFactory.create(
+            Math.round(viewport.width),
+            Math.round(viewport.height)
+        );
+
+        // Pages without a background would otherwise render transparent
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        await page.render({ canvasContext: context, viewport, canvasFactory }).promise;
+        return canvas;
+    }
+
+    // All pages scaled to 2-inch wide cells in a roughly square grid, each labelled with its page number
+    async renderContactSheet(pdfBytes, dpi) {
+        const document = await this.openRenderDocument(pdfBytes);
+        try {
+            const cellWidth = Math.round(dpi * 2);
+            const padding = Math.round(dpi / 6);
+            const labelHeight = Math.round(dpi / 4);
+            const columns = Math.ceil(Math.sqrt(document.numPages));
+            const rows = Math.ceil(document.numPages / columns);
+
+            // Size the grid from the page shapes before rendering anything
+            const scales = [];
+            let cellHeight = 0;
+            for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+                const page = await document.getPage(pageNumber);
+                const viewport = page.getViewport({ scale: 1 });
+                scales.push(cellWidth / viewport.width);
+                cellHeight = Math.max(cellHeight, Math.ceil(viewport.height * cellWidth / viewport.width));
+            }
+
+            const sheet = createCanvas(
+                columns * cellWidth + (columns + 1) * padding,
+                rows * (cellHeight + labelHeight) + (rows + 1) * padding
+            );
+            const context = sheet.getContext('2d');
+            context.fillStyle = '#e0e0e0';
+            context.fillRect(0, 0, sheet.width, sheet.height);
+            context.font = `${Math.round(labelHeight * 0.6)}px sans-serif`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+
+            for (let i = 0; i < document.numPages; i++) {
+                const page = await document.getPage(i + 1);
+                try {
+                    const canvas = await this.renderPageToCanvas(page, scales[i]);
+                    const x = padding + (i % columns) * (cellWidth + padding);
+                    const y = padding + Math.floor(i / columns) * (cellHeight + labelHeight + padding);
+                    context.drawImage(canvas, x, y);
+                    context.fillStyle = '#000000';
+                    context.fillText(String(i + 1), x + cellWidth / 2, y + cellHeight + labelHeight / 2);
+                } finally {
+                    page.cleanup();
+                }
+            }
+
+            return sheet;
+        } finally {
+            await document.destroy();
+        }
+    }
+
+    async encodeCanvas(canvas, format, quality, dpi) {
+        const { width, height, data } = canvas;
+        switch (format) {
+            case 'png':
+                return new Jimp({ data: Buffer.from(data), width, height }).getBufferAsync(Jimp.MIME_PNG);
+            case 'jpeg':
+                return new Jimp({ data: Buffer.from(data), width, height })
+                    .quality(Math.round(quality * 100))
+                    .getBufferAsync(Jimp.MIME_JPEG);
+            case 'webp': {
+                const encode = await getWebPEncoder();
+                const image = { width, height, data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), colorSpace: 'srgb' };
+                return Buffer.from(await encode(image, { quality: Math.round(quality * 100) }));
+            }
+            case 'tiff':
+                return this.encodeTIFF([this.toTIFFPage(canvas)], dpi);
+            default:
+                throw new Error(`Unsupported image format: ${format}`);
+        }
+    }
+
+    // Deflate-compressed RGB strip for one TIFF page
+    toTIFFPage(canvas) {
+        const { data } = canvas;
+        const rgb = Buffer.alloc(canvas.width * canvas.height * 3);
+        for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+            rgb[j] = data[i];
+            rgb[j + 1] = data[i + 1];
+            rgb[j + 2] = data[i + 2];
+        }
+        return { width: canvas.width, height: canvas.height, strip: zlib.deflateSync(rgb) };
+    }
+
+    // Minimal baseline TIFF writer (little-endian, one Deflate strip per page, one IFD per page)
+    encodeTIFF(pages, dpi) {
+        const SHORT = 3, LONG = 4, RATIONAL = 5;
+        const header = Buffer.alloc(8);
+        header.write('II', 0, 'latin1');
+        header.writeUInt16LE(42, 2);
+
+        const chunks = [header];
+        let offset = header.length;
+        let nextIFDPointer = { buffer: header, position: 4 };
+
+        pages.forEach((page, index) => {
+            const stripOffset = offset;
+            chunks.push(page.strip);
+            offset += page.strip.length;
+            if (offset % 2) {
+                chunks.push(Buffer.alloc(1)); // IFDs must start on a word boundary
+                offset += 1;
+            }
+
+            const entries = [
+                [256, LONG, 1, page.width],        // ImageWidth
+                [257, LONG, 1, page.height],       // ImageLength
+                [258, SHORT, 3, null],             // BitsPerSample (8,8,8), stored after the IFD
+                [259, SHORT, 1, 8],                // Compression: Deflate
+                [262, SHORT, 1, 2],                // PhotometricInterpretation: RGB
+                [273, LONG, 1, stripOffset],       // StripOffsets
+                [277, SHORT, 1, 3],                // SamplesPerPixel
+                [278, LONG, 1, page.height],       // RowsPerStrip
+                [279, LONG, 1, page.strip.length], // StripByteCounts
+                [282, RATIONAL, 1, null],          // XResolution
+                [283, RATIONAL, 1, null],          // YResolution
+                [284, SHORT, 1, 1],                // PlanarConfiguration: chunky
+                [296, SHORT, 1, 2],                // ResolutionUnit: inch
+                [297, SHORT, 2, null]              // PageNumber (index, total)
+            ];
+
+            const ifdSize = 2 + entries.length * 12 + 4;
+            const ifd = Buffer.alloc(ifdSize + 6 + 8 + 8);
+            const bitsOffset = offset + ifdSize;
+            const resolutionOffset = bitsOffset + 6;
+
+            ifd.writeUInt16LE(entries.length, 0);
+            entries.forEach(([tag, type, count, value], i) => {
+                const position = 2 + i * 12;
+                ifd.writeUInt16LE(tag, position);
+                ifd.writeUInt16LE(type, position + 2);
+                ifd.writeUInt32LE(count, position + 4);
+                if (tag === 258) {
+                    ifd.writeUInt32LE(bitsOffset, position + 8);
+                } else if (tag === 282 || tag === 283) {
+                    ifd.writeUInt32LE(resolutionOffset + (tag === 283 ? 8 : 0), position + 8);
+                } else if (tag === 297) {
+                    ifd.writeUInt16LE(index, position + 8);
+                    ifd.writeUInt16LE(pages.length, position + 10);
+                } else if (type === SHORT) {
+                    ifd.writeUInt16LE(value, position + 8);
+                } else {
+                    ifd.writeUInt32LE(value, position + 8);
+                }
+            });
+
+            [8, 8, 8].forEach((bits, i) => ifd.writeUInt16LE(bits, ifdSize + i * 2));
+            ifd.writeUInt32LE(dpi, ifdSize + 6);
+            ifd.writeUInt32LE(1, ifdSize + 10);
+            ifd.writeUInt32LE(dpi, ifdSize + 14);
+            ifd.writeUInt32LE(1, ifdSize + 18);
+
+            // Link the previous IFD (or the header) to this one
+            nextIFDPointer.buffer.writeUInt32LE(offset, nextIFDPointer.position);
+            nextIFDPointer = { buffer: ifd, position: ifdSize - 4 };
+
+            chunks.push(ifd);
+            offset += ifd.length;
+        });
+
+        return Buffer.concat(chunks);
+    }
+}
+
+// Optional OCR for scanned pages. tesseract.js reads a page rendered by PDFService; the words are
+// cached as JSON in the document's thumbnail directory, so they are removed along with the document
+class OCRService {
+    constructor(pdfService) {
+        this.pdfService = pdfService;
+        this.dpi = 300;
+        this.language = englishOCRData.code;
+        this.workerPromise = null;
+        this.pending = new Map(); // cache path -> recognition in progress, shared by concurrent requests
+    }
+
+    getCachePath(filePath, pageIndex) {
+        return path.join(getThumbnailDir(path.basename(filePath)), `${pageIndex}.ocr.json`);
+    }
+
+    // One worker, started on first use; tesseract.js queues the pages sent to it
+    getWorker() {
+        if (!this.workerPromise) {
+            // The language data ships with @tesseract.js-data/eng, so nothing is downloaded at runtime
+            this.workerPromise = Tesseract.createWorker(this.language, Tesseract.OEM.LSTM_ONLY, {
+                langPath: englishOCRData.langPath,
+                gzip: englishOCRData.gzip,
+                cacheMethod: 'none'
+            }).catch(error => {
+                this.workerPromise = null;
+                throw error;
+            });
+        }
+        return this.workerPromise;
+    }
+
+    // Lines and words of a page, in fractions of the page as pdf.js displays it (its /Rotate applied)
+    async recognizePage(filePath, pageIndex) {
+        const cachePath = this.getCachePath(filePath, pageIndex);
+        const cached = await fs.readFile(cachePath, 'utf8').then(JSON.parse).catch(() => null);
+        if (cached) {
+            return cached;
+        }
+
+        if (!this.pending.has(cachePath)) {
+            const recognition = this.runRecognition(filePath, pageIndex, cachePath)
+                .finally(() => this.pending.delete(cachePath));
+            this.pending.set(cachePath, recognition);
+        }
+        return this.pending.get(cachePath);
+    }
+
+    async runRecognition(filePath, pageIndex, cachePath) {
+        const startTime = Date.now();
+        const { image, width, height } = await this.pdfService.withRenderDocument(filePath, async (document) => {
+            const page = await document.getPage(pageIndex + 1);
+            try {
+                const canvas = await this.pdfService.renderPageToCanvas(page, this.dpi / 72);
+                return { image: await this.pdfService.encodeCanvas(canvas, 'png'), width: canvas.width, height: canvas.height };
+            } finally {
+                page.cleanup();
+            }
+        });
+
+        const worker = await this.getWorker();
+        const { data } = await worker.recognize(image, {}, { blocks: true, text: true });
+
+        const toRect = ({ x0, y0, x1, y1 }) => ({
+            x: x0 / width,
+            y: y0 / height,
+            width: (x1 - x0) / width,
+            height: (y1 - y0) / height
+        });
+        const lines = [];
+        for (const block of data.blocks || []) {
+            for (const paragraph of block.paragraphs) {
+                for (const line of paragraph.lines) {
+                    const words = line.words
+                        .filter(word => word.text.trim())
+                        .map(word => ({ text: word.text, ...toRect(word.bbox), confidence: Math.round(word.confidence) }));
+                    if (words.length > 0) {
+                        lines.push({ ...toRect(line.bbox), words });
+                    }
+                }
+            }
+        }
+
+        const result = {
+            page: pageIndex,
+            language: this.language,
+            confidence: Math.round(data.confidence),
+            text: lines.map(line => line.words.map(word => word.text).join(' ')).join('\n'),
+            lines
+        };
+
+        await fs.mkdir(path.dirname(cachePath), { recursive: true });
+        // Write to a temporary name first so concurrent requests never see a partial file
+        const tmpPath = `${cachePath}.${process.pid}-${Date.now()}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(result));
+        await fs.rename(tmpPath, cachePath);
+
+        console.log(`OCR page ${pageIndex + 1} of ${path.basename(filePath)}: ${lines.length} lines in ${Date.now() - startTime}ms`);
+        return result;
+    }
+
+    async terminate() {
+        if (!this.workerPromise) return;
+        const worker = await this.workerPromise.catch(() => null);
+        this.workerPromise = null;
+        if (worker) await worker.terminate();
+    }
+}
+
+// Composer equivalent - PDF merging and composition
+class Composer {
+    // Pages are referenced as { filePath, page } so citations and cover can come from different uploads
+    static async merge(citationRefs, coverRef = null, coverPlacement = 'top') {
+        if (!this.coverPlacements.includes(coverPlacement)) {
+            throw new Error(`Unknown cover placement: ${coverPlacement}`);
+        }
+
+        try {
+            const mergedPdf = await PDFDocument.create();
+            const sourceDocs = new Map();
+            const loadSource = async (filePath) => {
+                if (!sourceDocs.has(filePath)) {
+                    sourceDocs.set(filePath, await PDFDocument.load(await fs.readFile(filePath)));
+                }
+                return sourceDocs.get(filePath);
+            };
+
+            // Process selected citation pages in the order given
+            for (const ref of citationRefs) {
+                const pdf = await loadSource(ref.filePath);
+                const [copiedPage] = await mergedPdf.copyPages(pdf, [ref.page]);
+                this.applyPageTransform(copiedPage, ref);
+                mergedPdf.addPage(copiedPage);
+            }
+
+            // Insert the cover once the citation count is known
+            if (coverRef) {
+                const coverPdf = await loadSource(coverRef.filePath);
+                const citationCount = mergedPdf.getPageCount();
+
+                if (coverPlacement === 'beforeEach') {
+                    const copiedCovers = await mergedPdf.copyPages(coverPdf, Array(citationCount).fill(coverRef.page));
+                    // Insert from the end so the remaining citation indices stay valid
+                    for (let i = citationCount - 1; i >= 0; i--) {
+                        this.applyPageTransform(copiedCovers[i], coverRef);
+                        mergedPdf.insertPage(i, copiedCovers[i]);
+                    }
+                } else {
+                    const [copiedCoverPage] = await mergedPdf.copyPages(coverPdf, [coverRef.page]);
+                    this.applyPageTransform(copiedCoverPage, coverRef);
+                    const insertIndex = this.getCoverInsertIndex(coverPlacement, citationCount);
+                    mergedPdf.insertPage(insertIndex, copiedCoverPage);
+                }
+            }
+
+            return await mergedPdf.save();
+        } catch (error) {
+            throw new Error(`PDF composition failed: ${error.message}`);
+        }
+    }
+
+    // Apply a user rotation (clockwise, 90° steps) and crop margins to a copied page.
+    // Crop margins are fractions of the page as displayed before the user's rotation.
+    static applyPageTransform(page, { rotation = 0, crop = null } = {}) {
+        const pageRotation = page.getRotation().angle;
+
+        if (crop) {
+            const cropBox = page.getCropBox();
+            const [left, bottom, right, top] = PageGeometry.getCroppedViewBox(
+                [cropBox.x, cropBox.y, cropBox.x + cropBox.width, cropBox.y + cropBox.height],
+                pageRotation,
+                crop
+            );
+            page.setCropBox(left, bottom, right - left, top - bottom);
+        }
+
+        if (rotation) {
+            page.setRotation(degrees((pageRotation + rotation) % 360));
+        }
+    }
+
+    static get coverPlacements() {
+        return ['top', 'topLeft', 'topRight', 'center', 'left', 'right', 'bottom', 'bottomLeft', 'bottomRight', 'beforeEach'];
+    }
+
+    static getCoverInsertIndex(placement, pageCount) {
+        switch (placement) {
+            case 'top':
+            case 'topLeft':
+            case 'topRight':
+            case 'beforeEach':
+                return 0;
+            case 'center':
+            case 'left':
+            case 'right':
+                return Math.floor(pageCount / 2);
+            case 'bottom':
+            case 'bottomLeft':
+            case 'bottomRight':
+                return pageCount;
+            default:
+                throw new Error(`Unknown cover placement: ${placement}`);
+        }
+    }
+
+    // Check a declarative layout against the source document, returning an error message or null
+    static validateLayout(layout, pageCount) {
+        const { mode = 'custom', citationPages, coverPage, coverRect, overlays = [] } = layout;
+        const isPageIndex = (value) => Number.isInteger(value) && value >= 0 && value < pageCount;
+        const validateRect = (rect, name) => {
+            if (!rect || typeof rect !== 'object') {
+                return `${name} is required in custom mode`;
+            }
+            for (const key of ['x', 'y', 'width']) {
+                if (typeof rect[key] !== 'number' || !isFinite(rect[key])) {
+                    return `${name}.${key} must be a number`;
+                }
+            }
+            if (rect.height !== undefined && (typeof rect.height !== 'number' || !isFinite(rect.height))) {
+                return `${name}.height must be a number`;
+            }
+            if (rect.width <= 0 || rect.width > 1 || (rect.height !== undefined && (rect.height <= 0 || rect.height > 1))) {
+                return `${name} width and height must be between 0 and 1`;
+            }
+            return null;
+        };
+
+        if (!['custom', 'sidebyside'].includes(mode)) {
+            return `Unknown layout mode: ${mode}`;
+        }
+        if (!Array.isArray(citationPages) || citationPages.length === 0) {
+            return 'citationPages must be a non-empty array';
+        }
+        if (!citationPages.every(isPageIndex)) {
+            return `citationPages must be page indices between 0 and ${pageCount - 1}`;
+        }
+        if (!isPageIndex(coverPage)) {
+            return `coverPage must be a page index between 0 and ${pageCount - 1}`;
+        }
+
+        if (mode === 'custom') {
+            const rectError = validateRect(coverRect, 'coverRect');
+            if (rectError) return rectError;
+        }
+
+        if (!Array.isArray(overlays)) {
+            return 'overlays must be an array';
+        }
+        for (const [i, overlay] of overlays.entries()) {
+            if (!overlay || !isPageIndex(overlay.page)) {
+                return `overlays[${i}].page must be a page index between 0 and ${pageCount - 1}`;
+            }
+            if (overlay.zIndex !== undefined && !Number.isFinite(overlay.zIndex)) {
+                return `overlays[${i}].zIndex must be a number`;
+            }
+            if (mode === 'custom') {
+                const rectError = validateRect(overlay.rect, `overlays[${i}].rect`);
+                if (rectError) return rectError;
+            }
+        }
+        if (layout.coverZIndex !== undefined && !Number.isFinite(layout.coverZIndex)) {
+            return 'coverZIndex must be a number';
+        }
+
+        return null;
+    }
+
+    // Render a layout to a single-page PDF, matching the browser preview geometry.
+    // Coordinates in the layout are normalized (0-1) to the background citation page.
+    static async composeLayout(pdfPath, layout) {
+        try {
+            const sourceBytes = await fs.readFile(pdfPath);
+            const sourceDoc = await PDFDocument.load(sourceBytes);
+            const outputPdf = await PDFDocument.create();
+
+            const { pageSize, placements } = this.getLayoutPlacements(
+                layout,
+                pageIndex => this.getDisplaySize(sourceDoc.getPage(pageIndex))
+            );
+
+            const page = outputPdf.addPage([pageSize.width, pageSize.height]);
+            const embeddedPages = new Map();
+
+            for (const placement of placements) {
+                const sourcePage = sourceDoc.getPage(placement.pageIndex);
+                if (!embeddedPages.has(placement.pageIndex)) {
+                    const cropBox = sourcePage.getCropBox();
+                    embeddedPages.set(placement.pageIndex, await outputPdf.embedPage(sourcePage, {
+                        left: cropBox.x,
+                        bottom: cropBox.y,
+                        right: cropBox.x + cropBox.width,
+                        top: cropBox.y + cropBox.height
+                    }));
+                }
+                PageGeometry.drawEmbeddedPage(page, embeddedPages.get(placement.pageIndex), placement, sourcePage.getRotation().angle);
+            }
+
+            return await outputPdf.save();
+        } catch (error) {
+            throw new Error(`Layout composition failed: ${error.message}`);
+        }
+    }
+
+    // Where each page of a layout goes on the output page, in points with a top-left origin, bottom to top.
+    // getPageSize(pageIndex) gives a source page's displayed { width, height }
+    static getLayoutPlacements(layout, getPageSize) {
+        const { mode = 'custom', citationPages } = layout;
+
+        // The cover and any extra overlay layers, bottom to top. Layers without a zIndex
+        // go above the cover in array order
+        const stack = [
+            { page: layout.coverPage, rect: layout.coverRect, zIndex: layout.coverZIndex || 0 },
+            ...(layout.overlays || []).map((overlay, i) => ({ ...overlay, zIndex: overlay.zIndex ?? i + 1 }))
+        ].sort((a, b) => a.zIndex - b.zIndex);
+
+        const sizes = new Map();
+        for (const pageIndex of [...citationPages, ...stack.map(overlay => overlay.page)]) {
+            sizes.set(pageIndex, getPageSize(pageIndex));
+        }
+
+        let pageSize;
+        const placements = [];
+
+        if (mode === 'sidebyside') {
+            // Citations left to right, then the cover and layers, everything top-aligned at native size
+            const citationSizes = citationPages.map(pageIndex => sizes.get(pageIndex));
+            const totalCitationWidth = citationSizes.reduce((sum, size) => sum + size.width, 0);
+            const citationStep = totalCitationWidth / citationSizes.length;
+
+            citationPages.forEach((pageIndex, i) => {
+                placements.push({ pageIndex, x: citationStep * i, y: 0, ...citationSizes[i] });
+            });
+            let x = totalCitationWidth;
+            for (const overlay of stack) {
+                const overlaySize = sizes.get(overlay.page);
+                placements.push({ pageIndex: overlay.page, x, y: 0, ...overlaySize });
+                x += overlaySize.width;
+            }
+
+            pageSize = {
+                width: x,
+                height: Math.max(...placements.map(placement => placement.height))
+            };
+        } else {
+            // The first citation is the background; the cover and layers sit on top of it
+            const backgroundPage = citationPages[0];
+            const backgroundSize = sizes.get(backgroundPage);
+
+            placements.push({ pageIndex: backgroundPage, x: 0, y: 0, ...backgroundSize });
+            for (const { page: pageIndex, rect } of stack) {
+                const overlaySize = sizes.get(pageIndex);
+                const width = rect.width * backgroundSize.width;
+                // Without an explicit height, keep the overlay's own aspect ratio
+                const height = rect.height !== undefined
+                    ? rect.height * backgroundSize.height
+                    : width * (overlaySize.height / overlaySize.width);
+
+                placements.push({
+                    pageIndex,
+                    x: rect.x * backgroundSize.width,
+                    y: rect.y * backgroundSize.height,
+                    width,
+                    height
+                });
+            }
+
+            pageSize = backgroundSize;
+        }
+
+        return { pageSize, placements };
+    }
+
+    // Visible page size in points, as pdf.js reports it (crop box, with /Rotate applied)
+    static getDisplaySize(page) {
+        const { width, height } = page.getCropBox();
+        const angle = ((page.getRotation().angle % 360) + 360) % 360;
+        return angle === 90 || angle === 270 ? { width: height, height: width } : { width, height };
+    }
+}
+
+// Initialize services
+const pdfService = new PDFService();
+const ocrService = new OCRService(pdfService);
+
+// Resolve page references from a request into { fileId, filePath, page } entries.
+// A reference is either a page index into defaultFileId or a { fileId, page } pair.
+// Returns { refs } or { error } with a message suitable for a 400 response.
+const resolvePageRefs = async (refs, defaultFileId, pageCounts = new Map()) => {
+    const resolved = [];
+
+    for (const ref of refs) {
+        const fileId = typeof ref === 'object' && ref !== null ? ref.fileId : defaultFileId;
+        const page = typeof ref === 'object' && ref !== null ? ref.page : ref;
+
+        if (!fileId || typeof fileId !== 'string') {
+            return { error: `Missing or invalid fileId for page reference ${JSON.stringify(ref)}` };
+        }
+
+        const document = documentRegistry.get(fileId);
+        if (!document) {
+            return { error: `PDF not found: ${fileId}` };
+        }
+
+        const filePath = documentRegistry.getFilePath(fileId);
+        if (!pageCounts.has(fileId)) {
+            pageCounts.set(fileId, document.pageCount);
+        }
+
+        if (!Number.isInteger(page) || page < 0 || page >= pageCounts.get(fileId)) {
+            return { error: `Page ${page} is out of range for ${fileId}` };
+        }
+
+        // Optional per-page rotation and crop from the workspace
+        const rotation = (typeof ref === 'object' && ref !== null && ref.rotation) || 0;
+        const crop = (typeof ref === 'object' && ref !== null && ref.crop) || null;
+
+        if (![0, 90, 180, 270].includes(rotation)) {
+            return { error: `Rotation must be 0, 90, 180 or 270 (got ${rotation})` };
+        }
+        if (crop) {
+            const sides = ['top', 'right', 'bottom', 'left'];
+            const valid = sides.every(side => typeof crop[side] === 'number' && crop[side] >= 0 && crop[side] < 1)
+                && crop.top + crop.bottom < 1 && crop.left + crop.right < 1;
+            if (!valid) {
+                return { error: 'Crop must give top, right, bottom and left margins as fractions that leave part of the page' };
+            }
+        }
+
+        resolved.push({ fileId, filePath, page, rotation, crop });
+    }
+
+    return { refs: resolved };
+};
+
+// Write a composed document to temp/ and track it for automatic cleanup
+const saveComposedFile = async (bytes, extension = 'pdf') => {
+    const outputFilename = `composed-${Date.now()}.${extension}`;
+    await fs.writeFile(path.join('temp', outputFilename), bytes);
+    fileCleanup.trackComposedFile(outputFilename);
+    return outputFilename;
+};
+
+// Registrations in progress by SHA-256, so uploads of the same bytes register one after another
+const pendingRegistrations = new Map();
+
+// Register a PDF that has arrived in uploads/ (multer or chunked upload), reusing an
+// existing document when identical bytes are already stored. Resolves to the upload response.
+const registerUploadedFile = async ({ filePath, originalName, size, sha256 = null }) => {
+    sha256 = sha256 || DocumentRegistry.hash(await fs.readFile(filePath));
+
+    // Wait for a concurrent upload of the same bytes, then find its document in the registry
+    const previous = pendingRegistrations.get(sha256) || Promise.resolve();
+    const registration = previous
+        .catch(() => {})
+        .then(() => registerDocumentFile({ filePath, originalName, size, sha256 }));
+    pendingRegistrations.set(sha256, registration);
+
+    let result;
+    try {
+        result = await registration;
+    } finally {
+        if (pendingRegistrations.get(sha256) === registration) {
+            pendingRegistrations.delete(sha256);
+        }
+    }
+    return buildUploadResponse(result.document, originalName, result.deduplicated);
+};
+
+// Resolves to { document, deduplicated }
+const registerDocumentFile = async ({ filePath, originalName, size, sha256 }) => {
+    // Identical bytes already uploaded: drop the new copy and share the existing file
+    const existing = documentRegistry.findByHash(sha256);
+    if (existing) {
+        await fs.unlink(filePath).catch(() => {});
+        await documentRegistry.addReference(existing.id);
+        return { document: existing, deduplicated: true };
+    }
+
+    const pdfData = await pdfService.loadPDF(filePath).catch(async (error) => {
+        // Don't keep files that aren't readable PDFs
+        await fs.unlink(filePath).catch(() => {});
+        throw error;
+    });
+
+    // Register the upload; the registry also drives automatic cleanup
+    const document = await documentRegistry.add({
+        id: path.basename(filePath, '.pdf'),
+        originalName,
+        size,
+        pageCount: pdfData.pageCount,
+        sha256
+    });
+    return { document, deduplicated: false };
+};
+
+// Response shared by uploads and hash-based reuse of a stored document
+const buildUploadResponse = async (document, filename, deduplicated) => {
+    const thumbnails = await pdfService.generateThumbnails(documentRegistry.getFilePath(document.id), document.pageCount);
+    return {
+        success: true,
+        fileId: document.id,
+        pageCount: document.pageCount,
+        thumbnails: thumbnails,
+        filename: filename,
+        deduplicated,
+        document: DocumentRegistry.describe(document)
+    };
+};
+
+// Validate the export options of a compose request: exportFormat, dpi, quality (0-1) and output.
+// Returns { options } or { error } with a message suitable for a 400 response.
+const resolveExportOptions = ({ exportFormat = 'pdf', dpi = pdfService.defaultExportDPI, quality = 0.9, output = null }) => {
+    const format = String(exportFormat).toLowerCase() === 'jpg' ? 'jpeg' : String(exportFormat).toLowerCase();
+
+    if (!pdfService.exportFormats.includes(format)) {
+        return { error: `Unsupported export format: ${exportFormat}. Expected one of: ${pdfService.exportFormats.join(', ')}` };
+    }
+    if (!Number.isInteger(dpi) || dpi < pdfService.minExportDPI || dpi > pdfService.maxExportDPI) {
+        return { error: `DPI must be a whole number from ${pdfService.minExportDPI} to ${pdfService.maxExportDPI}` };
+    }
+    if (typeof quality !== 'number' || quality <= 0 || quality > 1) {
+        return { error: 'Quality must be a number between 0 and 1' };
+    }
+    if (output !== null && !pdfService.imageOutputs.includes(output)) {
+        return { error: `Unknown output: ${output}. Expected one of: ${pdfService.imageOutputs.join(', ')}` };
+    }
+
+    return { options: { format, dpi, quality, output } };
+};
+
+// Convert composed PDF bytes to the requested export format and save the result
+const saveExport = async (composedPdfBytes, { format, dpi, quality, output }) => {
+    if (format === 'pdf') {
+        return saveComposedFile(composedPdfBytes);
+    }
+    const pdfDoc = await PDFDocument.load(composedPdfBytes);
+    const { buffer, extension } = await pdfService.exportPDF(pdfDoc, format, quality, { dpi, output });
+    return saveComposedFile(buffer, extension);
+};
+
+// Routes
+
+// Upload PDF endpoint
+app.post('/api/upload', upload.single('pdf'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No PDF file uploaded' });
         }
 
-        const pdfData = await pdfService.loadPDF(req.file.path);
-        const thumbnails = await pdfService.generateThumbnails(req.file.path, pdfData.pageCount);
+        res.json(await registerUploadedFile({
+            filePath: req.file.path,
+            originalName: req.file.originalname,
+            size: req.file.size
+        }));
+    } catch (error) {
+        console.error('Upload error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Track the uploaded file for automatic cleanup
-        fileCleanup.trackUploadedFile(req.file.filename);
+// Start a chunked upload: { filename, size, sha256? } -> { uploadId, chunkSize, offset }
+app.post('/api/uploads', async (req, res) => {
+    try {
+        const { filename, size, sha256 = null } = req.body;
 
-        res.json({
-            success: true,
-            fileId: req.file.filename,
-            pageCount: pdfData.pageCount,
-            thumbnails: thumbnails,
-            filename: req.file.originalname
+        if (!filename || typeof filename !== 'string') {
+            return res.status(400).json({ error: 'Missing filename' });
+        }
+        if (!Number.isInteger(size) || size <= 0) {
+            return res.status(400).json({ error: 'Size must be a positive number of bytes' });
+        }
+        if (size > MAX_UPLOAD_SIZE) {
+            return res.status(400).json({ error: 'File too large' });
+        }
+        if (sha256 !== null && !DocumentRegistry.isValidHash(sha256)) {
+            return res.status(400).json({ error: 'Invalid SHA-256 hash' });
+        }
+
+        const session = await chunkedUploads.create({ filename: path.basename(filename), size, sha256 });
+        res.status(201).json({
+            uploadId: session.uploadId,
+            chunkSize: chunkedUploads.chunkSize,
+            offset: session.offset
         });
     } catch (error) {
-        console.error('Upload error:', error);
+        console.error('Chunked upload init error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Report how much of a chunked upload the server has, so clients can resume
+app.head('/api/uploads/:uploadId', (req, res) => {
+    const session = chunkedUploads.get(req.params.uploadId);
+    if (!session) {
+        return res.sendStatus(404);
+    }
+    res.set({
+        'Upload-Offset': String(session.offset),
+        'Upload-Length': String(session.size),
+        'Cache-Control': 'no-store'
+    }).sendStatus(200);
+});
+
+// Append one chunk at ?offset= (raw application/octet-stream body)
+app.put('/api/uploads/:uploadId', express.raw({ type: 'application/octet-stream', limit: chunkedUploads.chunkSize }), async (req, res) => {
+    try {
+        const session = chunkedUploads.get(req.params.uploadId);
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        const offset = Number(req.query.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ error: 'Missing or invalid offset' });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Chunk must be a non-empty application/octet-stream body' });
+        }
+
+        const newOffset = await chunkedUploads.appendChunk(session, offset, req.body);
+        res.set('Upload-Offset', String(newOffset)).json({ offset: newOffset, size: session.size });
+    } catch (error) {
+        if (error.status) {
+            const session = chunkedUploads.get(req.params.uploadId);
+            return res.status(error.status).json({ error: error.message, offset: session ? session.offset : undefined });
+        }
+        console.error('Chunk upload error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reassemble, validate and register a finished chunked upload
+app.post('/api/uploads/:uploadId/complete', async (req, res) => {
+    try {
+        const session = chunkedUploads.get(req.params.uploadId);
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        const { partPath, sha256 } = await chunkedUploads.finish(session);
+        const filePath = documentRegistry.getFilePath(DocumentRegistry.createId());
+        await fs.rename(partPath, filePath);
+
+        res.json(await registerUploadedFile({
+            filePath,
+            originalName: session.filename,
+            size: session.size,
+            sha256
+        }));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Chunked upload complete error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Abandon a chunked upload
+app.delete('/api/uploads/:uploadId', async (req, res) => {
+    const session = chunkedUploads.get(req.params.uploadId);
+    if (!session) {
+        return res.status(404).json({ error: 'Upload not found' });
+    }
+    await chunkedUploads.abort(session.uploadId);
+    res.json({ success: true });
+});
+
+// List uploaded documents, most recent first
+app.get('/api/documents', (req, res) => {
+    res.json({ documents: documentRegistry.list().map(DocumentRegistry.describe) });
+});
+
+// Pre-check whether a PDF with this SHA-256 is already stored, without uploading it
+app.head('/api/documents/by-hash/:sha256', (req, res) => {
+    if (!DocumentRegistry.isValidHash(req.params.sha256)) {
+        return res.sendStatus(400);
+    }
+    const document = documentRegistry.findByHash(req.params.sha256);
+    if (!document) {
+        return res.sendStatus(404);
+    }
+    res.set('X-Document-Id', document.id).sendStatus(200);
+});
+
+// Reuse an already stored PDF by hash, so the client can skip uploading it again
+app.post('/api/documents/by-hash/:sha256', async (req, res) => {
+    try {
+        if (!DocumentRegistry.isValidHash(req.params.sha256)) {
+            return res.status(400).json({ error: 'Invalid SHA-256 hash' });
+        }
+
+        const document = documentRegistry.findByHash(req.params.sha256);
+        if (!document) {
+            return res.status(404).json({ error: 'PDF not found' });
+        }
+
+        await documentRegistry.addReference(document.id);
+        res.json(await buildUploadResponse(document, req.body.filename || document.originalName, true));
+    } catch (error) {
+        console.error('Hash reuse error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get PDF info endpoint
+// Get PDF info endpoint, with bibliographic metadata for citation captions
 app.get('/api/pdf/:fileId/info', async (req, res) => {
     try {
-        const filePath = path.join('uploads', req.params.fileId);
-        const pdfData = await pdfService.loadPDF(filePath);
-        
+        const document = documentRegistry.get(req.params.fileId);
+        if (!document) {
+            return res.status(404).json({ error: 'PDF not found' });
+        }
+
+        const metadata = await pdfService.readMetadata(documentRegistry.getFilePath(document.id));
         res.json({
-            pageCount: pdfData.pageCount,
-            filename: req.params.fileId
+            ...DocumentRegistry.describe(document),
+            filename: document.originalName,
+            metadata
         });
     } catch (error) {
-        res.status(404).json({ error: 'PDF not found' });
+        console.error('PDF info error:', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
+// Original PDF bytes, so a saved session can be reopened in a browser that doesn't have the file
+app.get('/api/pdf/:fileId/file', (req, res) => {
+    const document = documentRegistry.get(req.params.fileId);
+    if (!document) {
+        return res.status(404).json({ error: 'PDF not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type('pdf').sendFile(path.resolve(documentRegistry.getFilePath(document.id)));
+});
+
 // Generate thumbnails endpoint
 app.get('/api/pdf/:fileId/thumbnails', async (req, res) => {
     try {
-        const filePath = path.join('uploads', req.params.fileId);
+        const document = documentRegistry.get(req.params.fileId);
+        if (!document) {
+            return res.status(404).json({ error: 'PDF not found' });
+        }
+
+        const filePath = documentRegistry.getFilePath(document.id);
         const pdfData = await pdfService.loadPDF(filePath);
         const thumbnails = await pdfService.generateThumbnails(filePath, pdfData.pageCount);
         
@@ -389,35 +2036,251 @@ app.get('/api/pdf/:fileId/thumbnails', async (req, res) => {
     }
 });
 
+// Single page thumbnail endpoint - renders on first request, then served from the disk cache
+app.get('/api/pdf/:fileId/pages/:n/thumbnail', async (req, res) => {
+    try {
+        const { fileId, n } = req.params;
+        const format = (req.query.format || 'png').toLowerCase();
+
+        if (!/^\d+$/.test(n)) {
+            return res.status(400).json({ error: 'Invalid file or page' });
+        }
+        if (!pdfService.thumbnailFormats.includes(format)) {
+            return res.status(400).json({ error: `Unsupported thumbnail format: ${format}` });
+        }
+
+        const document = documentRegistry.get(fileId);
+        if (!document) {
+            return res.status(404).json({ error: 'PDF not found' });
+        }
+
+        const pageIndex = parseInt(n, 10);
+        if (pageIndex >= document.pageCount) {
+            return res.status(404).json({ error: 'Page not found' });
+        }
+
+        const filePath = documentRegistry.getFilePath(fileId);
+
+        const width = pdfService.normalizeThumbnailWidth(req.query.width);
+        const thumbPath = await pdfService.renderThumbnail(filePath, pageIndex, width, format);
+
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.type(format).sendFile(path.resolve(thumbPath));
+    } catch (error) {
+        console.error('Thumbnail render error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// OCR text layer for a scanned page, recognized on the first request and then served from the cache
+app.get('/api/pdf/:fileId/pages/:n/ocr', async (req, res) => {
+    try {
+        const { fileId, n } = req.params;
+        if (!/^\d+$/.test(n)) {
+            return res.status(400).json({ error: 'Invalid file or page' });
+        }
+
+        const document = documentRegistry.get(fileId);
+        if (!document) {
+            return res.status(404).json({ error: 'PDF not found' });
+        }
+
+        const pageIndex = parseInt(n, 10);
+        if (pageIndex >= document.pageCount) {
+            return res.status(404).json({ error: 'Page not found' });
+        }
+
+        const result = await ocrService.recognizePage(documentRegistry.getFilePath(fileId), pageIndex);
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.json(result);
+    } catch (error) {
+        console.error('OCR error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Compose PDF endpoint
 app.post('/api/compose', async (req, res) => {
     try {
-        const { fileId, selectedPages, coverPage, coverPlacement, exportFormat } = req.body;
-        
-        if (!fileId || !selectedPages || selectedPages.length === 0) {
+        const { fileId, coverPage = null, coverPlacement = 'top' } = req.body;
+        let { selectedPages } = req.body;
+
+        // selectedPages may also be a range string ("3-7, 12") of page numbers in fileId
+        if (typeof selectedPages === 'string') {
+            const document = typeof fileId === 'string' ? documentRegistry.get(fileId) : null;
+            if (!document) {
+                return res.status(400).json({ error: 'A page range needs the fileId of an uploaded PDF' });
+            }
+            const range = parsePageRanges(selectedPages, document.pageCount);
+            if (range.error) {
+                return res.status(400).json({ error: range.error });
+            }
+            selectedPages = range.pages;
+        }
+
+        if (!Array.isArray(selectedPages) || selectedPages.length === 0) {
             return res.status(400).json({ error: 'Missing required parameters' });
         }
 
-        const filePath = path.join('uploads', fileId);
-        const composedPdfBytes = await Composer.merge([filePath], selectedPages, coverPage, coverPlacement);
-        
-        // Generate output filename
-        const timestamp = Date.now();
-        const outputFilename = `composed-${timestamp}.pdf`;
-        const outputPath = path.join('temp', outputFilename);
-        
-        await fs.writeFile(outputPath, composedPdfBytes);
-        
-        // Track the composed file for automatic cleanup
-        fileCleanup.trackComposedFile(outputFilename);
+        const exportOptions = resolveExportOptions(req.body);
+        if (exportOptions.error) {
+            return res.status(400).json({ error: exportOptions.error });
+        }
+
+        if (!Composer.coverPlacements.includes(coverPlacement)) {
+            return res.status(400).json({
+                error: `Unknown cover placement: ${coverPlacement}. Expected one of: ${Composer.coverPlacements.join(', ')}`
+            });
+        }
+
+        // Page counts are shared so each source document is only loaded once
+        const pageCounts = new Map();
+        const citations = await resolvePageRefs(selectedPages, fileId, pageCounts);
+        if (citations.error) {
+            return res.status(400).json({ error: citations.error });
+        }
+        const cover = coverPage !== null ? await resolvePageRefs([coverPage], fileId, pageCounts) : { refs: [null] };
+        if (cover.error) {
+            return res.status(400).json({ error: cover.error });
+        }
+
+        const composedPdfBytes = await Composer.merge(citations.refs, cover.refs[0], coverPlacement);
+        const outputFilename = await saveExport(composedPdfBytes, exportOptions.options);
         
         res.json({
             success: true,
             downloadUrl: `/api/download/${outputFilename}`,
-            filename: outputFilename
+            filename: outputFilename,
+            format: exportOptions.options.format
         });
     } catch (error) {
         console.error('Compose error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Compose a declarative layout (cover overlay or side-by-side) without a browser
+app.post('/api/compose/layout', async (req, res) => {
+    try {
+        const { fileId } = req.body;
+
+        if (!fileId || typeof fileId !== 'string') {
+            return res.status(400).json({ error: 'Missing or invalid fileId' });
+        }
+
+        const document = documentRegistry.get(fileId);
+        if (!document) {
+            return res.status(404).json({ error: 'PDF not found' });
+        }
+
+        const filePath = documentRegistry.getFilePath(fileId);
+        const validationError = Composer.validateLayout(req.body, document.pageCount);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const exportOptions = resolveExportOptions(req.body);
+        if (exportOptions.error) {
+            return res.status(400).json({ error: exportOptions.error });
+        }
+
+        const composedPdfBytes = await Composer.composeLayout(filePath, req.body);
+        const outputFilename = await saveExport(composedPdfBytes, exportOptions.options);
+
+        res.json({
+            success: true,
+            downloadUrl: `/api/download/${outputFilename}`,
+            filename: outputFilename,
+            format: exportOptions.options.format
+        });
+    } catch (error) {
+        console.error('Layout compose error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Save a composition session under a client-chosen id
+app.post('/api/sessions/:id', async (req, res) => {
+    try {
+        if (!DocumentRegistry.isValidId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid session id' });
+        }
+
+        const validationError = SessionStore.validate(req.body.session);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const record = await sessionStore.save(req.params.id, req.body.session);
+        res.json({ success: true, id: record.id, updatedAt: record.updatedAt });
+    } catch (error) {
+        console.error('Session save error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Load a saved composition session
+app.get('/api/sessions/:id', (req, res) => {
+    const record = sessionStore.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(record);
+});
+
+// Create a shareable link to a composition
+app.post('/api/shares', async (req, res) => {
+    try {
+        const validationError = shareStore.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const share = await shareStore.create(req.body);
+        res.json({
+            success: true,
+            shareId: share.shareId,
+            url: `/c/${share.shareId}`,
+            editable: share.editable,
+            expiresAt: share.expiresAt
+        });
+    } catch (error) {
+        console.error('Share creation error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Load a shared composition descriptor
+app.get('/api/shares/:shareId', (req, res) => {
+    const share = shareStore.get(req.params.shareId);
+    if (!share) {
+        return res.status(404).json({ error: 'Share link not found or expired' });
+    }
+    res.json(share);
+});
+
+// Shared compositions open the regular app, which reads the share id from the path
+app.get('/c/:shareId', (req, res) => {
+    if (!shareStore.get(req.params.shareId)) {
+        return res.status(404).send('Share link not found or expired');
+    }
+    res.sendFile(path.resolve('public', 'index.html'));
+});
+
+// Fonts bundled in fonts/ for text annotations; the family name comes from the file name
+app.get('/api/fonts', async (req, res) => {
+    try {
+        const files = await fs.readdir('fonts').catch(() => []);
+        const fonts = files
+            .filter(file => /\.(ttf|otf)$/i.test(file))
+            .sort()
+            .map(file => ({
+                family: path.parse(file).name.replace(/[-_]+/g, ' '),
+                file,
+                url: `/fonts/${encodeURIComponent(file)}`
+            }));
+        res.json({ fonts });
+    } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
@@ -455,6 +2318,9 @@ app.use((error, req, res, next) => {
             return res.status(400).json({ error: 'File too large' });
         }
     }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body too large' });
+    }
     
     console.error('Server error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -467,6 +2333,7 @@ const gracefulShutdown = async (signal) => {
     try {
         // Clean up all temporary files
         await fileCleanup.cleanupAllFiles();
+        await ocrService.terminate();
         console.log('Server shutdown complete');
         process.exit(0);
     } catch (error) {
@@ -475,11 +2342,6 @@ const gracefulShutdown = async (signal) => {
     }
 };
 
-// Register shutdown handlers
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2')); // nodemon restart
-
 // Start server
 const startServer = async () => {
     await initDirectories();
@@ -490,7 +2352,7 @@ const startServer = async () => {
         console.log('Automatic file cleanup enabled:');
         console.log(`- Files older than 24 hours will be cleaned up automatically`);
         console.log(`- Cleanup runs every 60 minutes`);
-        console.log(`- All files will be cleaned on server shutdown`);
+        console.log(`- Composed files will be cleaned on server shutdown; uploads are kept in the document registry until they expire`);
     });
 
     // Handle server errors
@@ -500,4 +2362,14 @@ const startServer = async () => {
     });
 };
 
-startServer().catch(console.error);
\ No newline at end of file
+// Run as the server (node server.js); the tests require() it for the classes and helpers below
+if (require.main === module) {
+    // Register shutdown handlers
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+    process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2')); // nodemon restart
+
+    startServer().catch(console.error);
+}
+
+module.exports = { DocumentRegistry, ChunkedUploadManager, PDFService, Composer };
\ No newline at end of file
@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ChunkedUploadManager, DocumentRegistry } = require('../server');
+
+describe('ChunkedUploadManager', () => {
+    const pdfBytes = Buffer.from('%PDF-1.7\n% test upload\n%%EOF\n', 'latin1');
+    let partialDir;
+    let uploads;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        partialDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdfw-partial-'));
+        uploads = new ChunkedUploadManager(partialDir);
+        await uploads.initialize();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(partialDir, { recursive: true, force: true });
+    });
+
+    test('appends chunks that start where the stored data ends', async () => {
+        const session = await uploads.create({ filename: 'a.pdf', size: pdfBytes.length });
+
+        expect(await uploads.appendChunk(session, 0, pdfBytes.subarray(0, 10))).toBe(10);
+        expect(await uploads.appendChunk(session, 10, pdfBytes.subarray(10))).toBe(pdfBytes.length);
+        expect(await fs.readFile(uploads.getPartPath(session.uploadId))).toEqual(pdfBytes);
+    });
+
+    test('rejects a chunk at the wrong offset with a 409 and keeps the data', async () => {
+        const session = await uploads.create({ filename: 'a.pdf', size: pdfBytes.length });
+        await uploads.appendChunk(session, 0, pdfBytes.subarray(0, 10));
+
+        await expect(uploads.appendChunk(session, 5, pdfBytes.subarray(5, 15))).rejects.toMatchObject({
+            status: 409,
+            message: 'Chunk offset 5 does not match upload offset 10'
+        });
+        await expect(uploads.appendChunk(session, 0, pdfBytes.subarray(0, 10))).rejects.toMatchObject({ status: 409 });
+        expect(session.offset).toBe(10);
+        expect((await fs.stat(uploads.getPartPath(session.uploadId))).size).toBe(10);
+    });
+
+    test('rejects a chunk while another one is being written', async () => {
+        const session = await uploads.create({ filename: 'a.pdf', size: pdfBytes.length });
+
+        const first = uploads.appendChunk(session, 0, pdfBytes.subarray(0, 10));
+        await expect(uploads.appendChunk(session, 0, pdfBytes.subarray(0, 10))).rejects.toMatchObject({ status: 409 });
+        await first;
+        expect(session.offset).toBe(10);
+    });
+
+    test('rejects a chunk past the declared size with a 400', async () => {
+        const session = await uploads.create({ filename: 'a.pdf', size: 4 });
+
+        await expect(uploads.appendChunk(session, 0, pdfBytes)).rejects.toMatchObject({ status: 400 });
+        expect(session.offset).toBe(0);
+    });
+
+    test('will not finish an incomplete upload', async () => {
+        const session = await uploads.create({ filename: 'a.pdf', size: pdfBytes.length });
+        await uploads.appendChunk(session, 0, pdfBytes.subarray(0, 10));
+
+        await expect(uploads.finish(session)).rejects.toMatchObject({ status: 409 });
+        expect(uploads.get(session.uploadId)).toBe(session);
+    });
+
+    test('hands over a complete upload whose hash matches', async () => {
+        const sha256 = DocumentRegistry.hash(pdfBytes);
+        const session = await uploads.create({ filename: 'a.pdf', size: pdfBytes.length, sha256 });
+        await uploads.appendChunk(session, 0, pdfBytes);
+
+        const { partPath, sha256: actual } = await uploads.finish(session);
+        expect(actual).toBe(sha256);
+        expect(await fs.readFile(partPath)).toEqual(pdfBytes);
+        expect(uploads.get(session.uploadId)).toBeNull();
+        await expect(fs.stat(uploads.getMetaPath(session.uploadId))).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    test('discards a complete upload whose hash does not match', async () => {
+        const sha256 = DocumentRegistry.hash(Buffer.from('something else'));
+        const session = await uploads.create({ filename: 'a.pdf', size: pdfBytes.length, sha256 });
+        await uploads.appendChunk(session, 0, pdfBytes);
+
+        await expect(uploads.finish(session)).rejects.toMatchObject({
+            status: 400,
+            message: 'Uploaded data does not match the declared SHA-256'
+        });
+        expect(uploads.get(session.uploadId)).toBeNull();
+        expect(await fs.readdir(partialDir)).toEqual([]);
+    });
+
+    test('discards a complete upload that is not a PDF', async () => {
+        const bytes = Buffer.from('not a pdf at all');
+        const session = await uploads.create({ filename: 'a.pdf', size: bytes.length });
+        await uploads.appendChunk(session, 0, bytes);
+
+        await expect(uploads.finish(session)).rejects.toMatchObject({ status: 400, message: 'Uploaded file is not a PDF' });
+        expect(await fs.readdir(partialDir)).toEqual([]);
+    });
+
+    test('resumes a restored upload from the data on disk', async () => {
+        const session = await uploads.create({ filename: 'a.pdf', size: pdfBytes.length });
+        await uploads.appendChunk(session, 0, pdfBytes.subarray(0, 10));
+
+        const restored = new ChunkedUploadManager(partialDir);
+        await restored.initialize();
+        const restoredSession = restored.get(session.uploadId);
+        expect(restoredSession).toMatchObject({ filename: 'a.pdf', size: pdfBytes.length, offset: 10 });
+
+        await restored.appendChunk(restoredSession, 10, pdfBytes.subarray(10));
+        expect((await restored.finish(restoredSession)).sha256).toBe(DocumentRegistry.hash(pdfBytes));
+    });
+});
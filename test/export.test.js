@@ -0,0 +1,136 @@
+const zlib = require('zlib');
+const Jimp = require('jimp');
+const JSZip = require('jszip');
+const { PDFDocument } = require('pdf-lib');
+const { createCanvas } = require('../raster-canvas');
+const { PDFService } = require('../server');
+
+// Read the IFD entries of a little-endian TIFF into { tag: { type, count, value } }
+const readIFD = (buffer, offset) => {
+    const entries = {};
+    const count = buffer.readUInt16LE(offset);
+    for (let i = 0; i < count; i++) {
+        const position = offset + 2 + i * 12;
+        const type = buffer.readUInt16LE(position + 2);
+        const valueCount = buffer.readUInt32LE(position + 4);
+        const inline = type === 3 && valueCount <= 2;
+        entries[buffer.readUInt16LE(position)] = {
+            type,
+            count: valueCount,
+            value: inline ? buffer.readUInt16LE(position + 8) : buffer.readUInt32LE(position + 8),
+            second: inline && valueCount === 2 ? buffer.readUInt16LE(position + 10) : undefined
+        };
+    }
+    return { entries, next: buffer.readUInt32LE(offset + 2 + count * 12) };
+};
+
+describe('PDFService.encodeTIFF', () => {
+    const pdfService = new PDFService();
+
+    const makePage = (width, height, color) => {
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, width, height);
+        return pdfService.toTIFFPage(canvas);
+    };
+
+    test('writes a little-endian header pointing at a word-aligned first IFD', () => {
+        const tiff = pdfService.encodeTIFF([makePage(3, 2, '#ff0000')], 150);
+
+        expect(tiff.toString('latin1', 0, 2)).toBe('II');
+        expect(tiff.readUInt16LE(2)).toBe(42);
+        const ifdOffset = tiff.readUInt32LE(4);
+        expect(ifdOffset % 2).toBe(0);
+        expect(ifdOffset).toBeLessThan(tiff.length);
+    });
+
+    test('describes a Deflate-compressed RGB strip at the given DPI', () => {
+        const tiff = pdfService.encodeTIFF([makePage(3, 2, '#ff0000')], 150);
+        const { entries, next } = readIFD(tiff, tiff.readUInt32LE(4));
+
+        expect(entries[256].value).toBe(3); // ImageWidth
+        expect(entries[257].value).toBe(2); // ImageLength
+        expect(entries[259].value).toBe(8); // Compression: Deflate
+        expect(entries[262].value).toBe(2); // PhotometricInterpretation: RGB
+        expect(entries[277].value).toBe(3); // SamplesPerPixel
+        expect(entries[296].value).toBe(2); // ResolutionUnit: inch
+        expect(next).toBe(0);
+
+        const bits = entries[258].value;
+        expect([0, 2, 4].map(i => tiff.readUInt16LE(bits + i))).toEqual([8, 8, 8]);
+        const xResolution = entries[282].value;
+        expect([tiff.readUInt32LE(xResolution), tiff.readUInt32LE(xResolution + 4)]).toEqual([150, 1]);
+        const yResolution = entries[283].value;
+        expect([tiff.readUInt32LE(yResolution), tiff.readUInt32LE(yResolution + 4)]).toEqual([150, 1]);
+
+        const strip = tiff.subarray(entries[273].value, entries[273].value + entries[279].value);
+        const pixels = zlib.inflateSync(strip);
+        expect(pixels.length).toBe(3 * 2 * 3);
+        expect(Array.from(pixels.subarray(0, 3))).toEqual([255, 0, 0]);
+    });
+
+    test('chains one IFD per page with page numbers', () => {
+        const pages = [makePage(3, 2, '#ff0000'), makePage(5, 4, '#0000ff')];
+        const tiff = pdfService.encodeTIFF(pages, 300);
+
+        const first = readIFD(tiff, tiff.readUInt32LE(4));
+        expect(first.next).not.toBe(0);
+        expect(first.next % 2).toBe(0);
+        expect([first.entries[297].value, first.entries[297].second]).toEqual([0, 2]);
+
+        const second = readIFD(tiff, first.next);
+        expect(second.next).toBe(0);
+        expect(second.entries[256].value).toBe(5);
+        expect(second.entries[257].value).toBe(4);
+        expect([second.entries[297].value, second.entries[297].second]).toEqual([1, 2]);
+
+        const strip = tiff.subarray(second.entries[273].value, second.entries[273].value + second.entries[279].value);
+        expect(Array.from(zlib.inflateSync(strip).subarray(0, 3))).toEqual([0, 0, 255]);
+    });
+});
+
+describe('PDFService.exportPDF', () => {
+    const pdfService = new PDFService();
+
+    // Pages of 1 x 2 inches, so at 72 DPI they render 72 x 144 pixels
+    const makeDocument = async (pageCount) => {
+        const pdfDoc = await PDFDocument.create();
+        for (let i = 0; i < pageCount; i++) {
+            pdfDoc.addPage([72, 144]);
+        }
+        return pdfDoc;
+    };
+
+    test('zips one image per page, named by page number', async () => {
+        const { buffer, extension } = await pdfService.exportPDF(await makeDocument(2), 'png', 0.9, { dpi: 72, output: 'zip' });
+        expect(extension).toBe('zip');
+
+        const zip = await JSZip.loadAsync(buffer);
+        expect(Object.keys(zip.files)).toEqual(['page-001.png', 'page-002.png']);
+        const image = await Jimp.read(await zip.file('page-002.png').async('nodebuffer'));
+        expect([image.bitmap.width, image.bitmap.height]).toEqual([72, 144]);
+    });
+
+    test('lays every page out on one contact sheet in a square grid', async () => {
+        const { buffer, extension } = await pdfService.exportPDF(await makeDocument(3), 'png', 0.9, { dpi: 72, output: 'contactSheet' });
+        expect(extension).toBe('png');
+
+        // 2 x 2 grid of 144 x 288 cells with 18px labels, 12px padding around and between them
+        const image = await Jimp.read(buffer);
+        expect([image.bitmap.width, image.bitmap.height]).toEqual([2 * 144 + 3 * 12, 2 * (288 + 18) + 3 * 12]);
+        expect(Jimp.intToRGBA(image.getPixelColor(5, 5))).toMatchObject({ r: 0xe0, g: 0xe0, b: 0xe0 });
+        expect(Jimp.intToRGBA(image.getPixelColor(12 + 72, 12 + 144))).toMatchObject({ r: 255, g: 255, b: 255 });
+    });
+
+    test('writes a multi-page TIFF as a single file', async () => {
+        const { buffer, extension } = await pdfService.exportPDF(await makeDocument(2), 'tiff', 0.9, { dpi: 72 });
+        expect(extension).toBe('tiff');
+        expect(readIFD(buffer, buffer.readUInt32LE(4)).next).not.toBe(0);
+    });
+
+    test('refuses a single image for several pages', async () => {
+        await expect(pdfService.exportPDF(await makeDocument(2), 'png', 0.9, { dpi: 72, output: 'single' }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+});
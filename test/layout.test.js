@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PDFDocument, degrees } = require('pdf-lib');
+const { Composer } = require('../server');
+
+// Pages are told apart by size: page i is (100 + i) x (200 + i) points
+const sizeOf = page => {
+    const { width, height } = page.getCropBox();
+    return [width, height];
+};
+
+describe('Composer layouts', () => {
+    let tempDir;
+    let sourcePath;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdfw-layout-'));
+        sourcePath = path.join(tempDir, 'source.pdf');
+        const source = await PDFDocument.create();
+        for (let i = 0; i < 6; i++) {
+            // Pages need content to be embedded by composeLayout
+            source.addPage([100 + i, 200 + i]).drawRectangle({ x: 10, y: 10, width: 20, height: 20 });
+        }
+        await fs.writeFile(sourcePath, await source.save());
+    });
+
+    afterAll(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    describe('getLayoutPlacements', () => {
+        const sizes = {
+            0: { width: 600, height: 800 },
+            1: { width: 300, height: 400 },
+            2: { width: 200, height: 100 }
+        };
+        const getPageSize = pageIndex => sizes[pageIndex];
+
+        test('scales the cover over the background page, keeping its aspect ratio without a height', () => {
+            const { pageSize, placements } = Composer.getLayoutPlacements({
+                citationPages: [0],
+                coverPage: 1,
+                coverRect: { x: 0.1, y: 0.2, width: 0.5 }
+            }, getPageSize);
+
+            expect(pageSize).toEqual({ width: 600, height: 800 });
+            expect(placements).toEqual([
+                { pageIndex: 0, x: 0, y: 0, width: 600, height: 800 },
+                { pageIndex: 1, x: 60, y: 160, width: 300, height: 400 }
+            ]);
+        });
+
+        test('stacks overlay layers by zIndex, after the cover when they have none', () => {
+            const { placements } = Composer.getLayoutPlacements({
+                citationPages: [0],
+                coverPage: 1,
+                coverRect: { x: 0, y: 0, width: 0.5, height: 0.25 },
+                overlays: [
+                    { page: 2, rect: { x: 0.5, y: 0.5, width: 0.25, height: 0.5 } },
+                    { page: 2, rect: { x: 0, y: 0.75, width: 1 }, zIndex: -1 }
+                ]
+            }, getPageSize);
+
+            expect(placements).toEqual([
+                { pageIndex: 0, x: 0, y: 0, width: 600, height: 800 },
+                { pageIndex: 2, x: 0, y: 600, width: 600, height: 300 },
+                { pageIndex: 1, x: 0, y: 0, width: 300, height: 200 },
+                { pageIndex: 2, x: 300, y: 400, width: 150, height: 400 }
+            ]);
+        });
+
+        test('lays pages out side by side at their own size', () => {
+            const { pageSize, placements } = Composer.getLayoutPlacements({
+                mode: 'sidebyside',
+                citationPages: [0, 2],
+                coverPage: 1
+            }, getPageSize);
+
+            expect(placements).toEqual([
+                { pageIndex: 0, x: 0, y: 0, width: 600, height: 800 },
+                { pageIndex: 2, x: 400, y: 0, width: 200, height: 100 },
+                { pageIndex: 1, x: 800, y: 0, width: 300, height: 400 }
+            ]);
+            expect(pageSize).toEqual({ width: 1100, height: 800 });
+        });
+    });
+
+    describe('composeLayout', () => {
+        test('renders a layout onto one page the size of the background', async () => {
+            const layout = { citationPages: [5], coverPage: 0, coverRect: { x: 0.1, y: 0.1, width: 0.5 } };
+            const pdf = await PDFDocument.load(await Composer.composeLayout(sourcePath, layout));
+
+            expect(pdf.getPageCount()).toBe(1);
+            expect(sizeOf(pdf.getPage(0))).toEqual([105, 205]);
+        });
+
+        test('uses the displayed size of rotated pages', async () => {
+            const source = await PDFDocument.load(await fs.readFile(sourcePath));
+            source.getPage(1).setRotation(degrees(90));
+            const rotatedPath = path.join(tempDir, 'rotated.pdf');
+            await fs.writeFile(rotatedPath, await source.save());
+
+            const layout = { mode: 'sidebyside', citationPages: [1], coverPage: 0 };
+            const pdf = await PDFDocument.load(await Composer.composeLayout(rotatedPath, layout));
+            expect(sizeOf(pdf.getPage(0))).toEqual([201 + 100, 200]);
+        });
+    });
+
+    describe('validateLayout', () => {
+        const layout = { citationPages: [0], coverPage: 1, coverRect: { x: 0, y: 0, width: 0.5 } };
+
+        test('accepts a valid layout', () => {
+            expect(Composer.validateLayout(layout, 6)).toBeNull();
+        });
+
+        test('rejects pages outside the document and rects outside the page', () => {
+            expect(Composer.validateLayout({ ...layout, coverPage: 6 }, 6)).toBe('coverPage must be a page index between 0 and 5');
+            expect(Composer.validateLayout({ ...layout, coverRect: { x: 0, y: 0, width: 1.5 } }, 6))
+                .toBe('coverRect width and height must be between 0 and 1');
+            expect(Composer.validateLayout({ ...layout, mode: 'grid' }, 6)).toBe('Unknown layout mode: grid');
+        });
+    });
+});
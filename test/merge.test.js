@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { Composer } = require('../server');
+const { parsePageRanges } = require('../public/page-ranges');
+
+// Pages are told apart by size: page i is (100 + i) x (200 + i) points
+const sizeOf = page => {
+    const { width, height } = page.getCropBox();
+    return [width, height];
+};
+
+describe('Composer.merge', () => {
+    let tempDir;
+    let sourcePath;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdfw-merge-'));
+        sourcePath = path.join(tempDir, 'source.pdf');
+        const source = await PDFDocument.create();
+        for (let i = 0; i < 6; i++) {
+            source.addPage([100 + i, 200 + i]);
+        }
+        await fs.writeFile(sourcePath, await source.save());
+    });
+
+    afterAll(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const merge = async (citationPages, coverPage, placement, transform = {}) => {
+        const refs = citationPages.map(page => ({ filePath: sourcePath, page, ...transform }));
+        const cover = coverPage === null ? null : { filePath: sourcePath, page: coverPage };
+        return PDFDocument.load(await Composer.merge(refs, cover, placement));
+    };
+
+    test.each([
+        ['top', [[104, 204], [102, 202], [100, 200], [101, 201]]],
+        ['center', [[102, 202], [104, 204], [100, 200], [101, 201]]],
+        ['bottomRight', [[102, 202], [100, 200], [101, 201], [104, 204]]],
+        ['beforeEach', [[104, 204], [102, 202], [104, 204], [100, 200], [104, 204], [101, 201]]]
+    ])('places the cover for %s', async (placement, expected) => {
+        const pdf = await merge([2, 0, 1], 4, placement);
+        expect(pdf.getPages().map(sizeOf)).toEqual(expected);
+    });
+
+    test('keeps the citations in the order given without a cover', async () => {
+        const pdf = await merge([5, 3], null, 'top');
+        expect(pdf.getPages().map(sizeOf)).toEqual([[105, 205], [103, 203]]);
+    });
+
+    test('composes the pages of a parsed range', async () => {
+        const { pages } = parsePageRanges('4-6, 2', 6);
+        const pdf = await merge(pages, 0, 'bottom');
+        expect(pdf.getPages().map(sizeOf)).toEqual([[103, 203], [104, 204], [105, 205], [101, 201], [100, 200]]);
+    });
+
+    test('takes the citations and the cover from different documents', async () => {
+        const otherPath = path.join(tempDir, 'other.pdf');
+        const other = await PDFDocument.create();
+        other.addPage([300, 400]);
+        other.addPage([301, 401]);
+        await fs.writeFile(otherPath, await other.save());
+
+        const refs = [{ filePath: sourcePath, page: 3 }, { filePath: otherPath, page: 0 }];
+        const pdf = await PDFDocument.load(await Composer.merge(refs, { filePath: otherPath, page: 1 }, 'bottom'));
+        expect(pdf.getPages().map(sizeOf)).toEqual([[103, 203], [300, 400], [301, 401]]);
+    });
+
+    test('applies rotation and crop margins to the copied pages', async () => {
+        const crop = { top: 0.1, right: 0, bottom: 0, left: 0.2 };
+        const pdf = await merge([0], null, 'top', { rotation: 90, crop });
+        const page = pdf.getPage(0);
+
+        expect(page.getRotation().angle).toBe(90);
+        const { x, y, width, height } = page.getCropBox();
+        expect([x, y, width, height].map(value => Math.round(value * 100) / 100)).toEqual([20, 0, 80, 180]);
+    });
+
+    test('rejects an unknown cover placement', async () => {
+        await expect(merge([0], 1, 'sideways')).rejects.toThrow('Unknown cover placement: sideways');
+    });
+});
+
+describe('Composer.getCoverInsertIndex', () => {
+    test.each([
+        ['topLeft', 0],
+        ['beforeEach', 0],
+        ['left', 2],
+        ['right', 2],
+        ['bottom', 5]
+    ])('inserts a %s cover at %i of 5 pages', (placement, index) => {
+        expect(Composer.getCoverInsertIndex(placement, 5)).toBe(index);
+    });
+});
@@ -0,0 +1,28 @@
+const PageGeometry = require('../public/page-geometry');
+
+describe('PageGeometry.rotateMargins', () => {
+    test('moves each margin to the side it ends up on after quarter turns clockwise', () => {
+        const margins = { top: 0.1, right: 0.2, bottom: 0.3, left: 0.4 };
+        expect(PageGeometry.rotateMargins(margins, 1)).toEqual({ top: 0.4, right: 0.1, bottom: 0.2, left: 0.3 });
+        expect(PageGeometry.rotateMargins(margins, -1)).toEqual({ top: 0.2, right: 0.3, bottom: 0.4, left: 0.1 });
+        expect(PageGeometry.rotateMargins(margins, 4)).toEqual(margins);
+    });
+});
+
+describe('PageGeometry.getCroppedViewBox', () => {
+    const crop = { top: 0.1, right: 0.2, bottom: 0, left: 0 };
+
+    test('shrinks an unrotated box by its margins', () => {
+        expect(PageGeometry.getCroppedViewBox([0, 0, 100, 200], 0, crop)).toEqual([0, 0, 80, 180]);
+    });
+
+    test('maps margins seen on a rotated page back to the unrotated box', () => {
+        // Turned 90° clockwise, the displayed top is the box's left edge and the displayed right its top
+        expect(PageGeometry.getCroppedViewBox([0, 0, 100, 200], 90, crop)).toEqual([10, 0, 100, 160]);
+    });
+
+    test('leaves the box alone without a crop', () => {
+        const view = [0, 0, 100, 200];
+        expect(PageGeometry.getCroppedViewBox(view, 0, null)).toBe(view);
+    });
+});
@@ -0,0 +1,29 @@
+const { parsePageRanges } = require('../public/page-ranges');
+
+describe('parsePageRanges', () => {
+    test('turns page numbers and ranges into zero-based page indices in order', () => {
+        expect(parsePageRanges('3-5, 1', 10)).toEqual({ pages: [2, 3, 4, 0] });
+        expect(parsePageRanges(' 7 ', 10)).toEqual({ pages: [6] });
+        expect(parsePageRanges('2 - 3', 10)).toEqual({ pages: [1, 2] });
+    });
+
+    test('keeps the first occurrence of a page listed twice', () => {
+        expect(parsePageRanges('4, 2-5', 10)).toEqual({ pages: [3, 1, 2, 4] });
+    });
+
+    test('rejects a range that runs backwards', () => {
+        expect(parsePageRanges('5-3', 10)).toEqual({ error: 'Page range 5-3 runs backwards' });
+    });
+
+    test('rejects pages outside the document', () => {
+        expect(parsePageRanges('0', 10)).toEqual({ error: 'Page range 0 is outside pages 1-10' });
+        expect(parsePageRanges('9-11', 10)).toEqual({ error: 'Page range 9-11 is outside pages 1-10' });
+        expect(parsePageRanges('1, 12', 10)).toEqual({ error: 'Page range 12 is outside pages 1-10' });
+    });
+
+    test('rejects malformed and empty ranges', () => {
+        expect(parsePageRanges('1-3-5', 10)).toEqual({ error: 'Invalid page range: 1-3-5' });
+        expect(parsePageRanges('two', 10)).toEqual({ error: 'Invalid page range: two' });
+        expect(parsePageRanges(' , ', 10)).toEqual({ error: 'Page range is empty' });
+    });
+});